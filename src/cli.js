@@ -3,14 +3,114 @@
  * @module cli
  */
 
+const path = require('path');
+const { EventEmitter } = require('events');
 const { Command } = require('commander');
 const chalk = require('chalk');
 
-const { organizeDirectory, undoOrganize, showCategories } = require('./organizer');
+const {
+    planOrganize,
+    organizeDirectory,
+    applyPlan,
+    undoOrganize,
+    redoOrganize,
+    recoverRun,
+    showCategories
+} = require('./organizer');
+const { savePlan, loadPlan } = require('./plan');
 const { generateSampleConfig } = require('./config');
+const { watchDirectory } = require('./watcher');
+const { findDuplicates, showDuplicates } = require('./duplicates');
+const { getHistory, showHistory } = require('./history');
+const { printJson, printJsonLine } = require('./output');
 
 const VERSION = '1.1.0'; // Updated version
 
+const JSON_HELP = 'Print the result as JSON on stdout instead of progress output';
+const WAIT_HELP = 'If another segre run is using the directory, wait for it to finish (optionally at most this many seconds)';
+const CONCURRENCY_HELP = 'Number of files to move at once (default 1; higher helps on network mounts)';
+const INCLUDE_HIDDEN_HELP = 'Organize hidden files and folders too (system files and partial downloads stay protected)';
+const STRUCTURE_HELP = 'With --recursive, where files from subfolders go: flatten (into the category folder), keep (the same subfolders under it) or encode (subfolders in the name, a_b_report.pdf)';
+const ON_CONFLICT_HELP = 'When a file with the same name is already at the destination: rename, skip, overwrite-if-newer, overwrite or ask (overwritten files are kept in .segre-trash for undo)';
+const WATCH_ON_CONFLICT_HELP = 'When a file with the same name is already at the destination: rename, skip, overwrite-if-newer or overwrite (overwritten files are kept in .segre-trash for undo)';
+const RENAME_FORMAT_HELP = 'How renamed files are named, with {name}, {ext}, {n}, {timestamp} and {hash}, e.g. "{name} ({n}){ext}", "{name}_{n}{ext}" or "{name}-{hash}{ext}" (default "{name}({n}){ext}")';
+const SYMLINKS_HELP = 'What to do with symbolic links: skip, move-link (move links to files as links) or follow (also scan linked folders)';
+
+// Exit code when a command ran but some files could not be handled
+// (1 is used when the command itself fails)
+const EXIT_PARTIAL_FAILURE = 2;
+
+/**
+ * Get the exit code for a command result
+ * @param {Object} result - Result of organize, apply, undo or redo
+ * @returns {number} EXIT_PARTIAL_FAILURE if any file failed, otherwise 0
+ */
+function getExitCode(result) {
+    return result.errors && result.errors.length > 0 ? EXIT_PARTIAL_FAILURE : 0;
+}
+
+/**
+ * Print a command failure, as JSON when --json is set
+ * @param {Error} error - The error
+ * @param {boolean} json - Whether --json is set
+ */
+/* istanbul ignore next */
+function printError(error, json) {
+    if (json) {
+        printJson({ error: error.message });
+    } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+    }
+}
+
+/**
+ * Add the options that decide which files are organized and where they go,
+ * shared by organize, plan and watch
+ * @param {Command} command - Command to add them to
+ * @param {Object} [settings] - Settings
+ * @param {boolean} [settings.watch] - Leave out what watch cannot do: scanning
+ *     subfolders, --mode, and --on-conflict ask (nobody is there to answer)
+ * @returns {Command} The command, to chain its own options
+ */
+function addOrganizeOptions(command, { watch = false } = {}) {
+    command
+        .option('-c, --config <path>', 'Path to custom categories config file (JSON)')
+        .option('-b, --by-date', 'Organize files by modification date (Year/Month)')
+        .option('-t, --template <template>', 'Destination path template, e.g. "{category}/{year}/{month:02}/{name}{ext}"')
+        .option('--capture-date', 'Date photos and videos by their EXIF or QuickTime capture date, falling back to the modification time');
+
+    if (!watch) {
+        command
+            .option('-r, --recursive', 'Recursively organize files in subdirectories')
+            .option('--max-depth <n>', 'With --recursive, only organize files at most this many levels deep (1 = top level only)')
+            .option('--min-depth <n>', 'With --recursive, only organize files at least this many levels deep')
+            .option('--only-dirs <patterns>', 'With --recursive, only organize files in folders matching these comma-separated patterns')
+            .option('--exclude-dirs <patterns>', 'With --recursive, do not scan folders matching these comma-separated patterns')
+            .option('--structure <structure>', STRUCTURE_HELP, 'flatten');
+    }
+
+    command
+        .option('--detect-content', 'Detect file types from their content (magic bytes) when the extension is missing or unknown')
+        .option('--ignore <patterns>', 'Comma-separated patterns to ignore (e.g., node_modules,.git,*.log)')
+        .option('--include-hidden', INCLUDE_HIDDEN_HELP)
+        .option('--symlinks <policy>', SYMLINKS_HELP, 'skip')
+        .option('--min-size <size>', 'Only organize files of at least this size (e.g. 500KB, 100MB)')
+        .option('--max-size <size>', 'Only organize files of at most this size')
+        .option('--older-than <duration>', 'Only organize files last modified longer ago than this (e.g. 30d, 2w, 6mo)')
+        .option('--newer-than <duration>', 'Only organize files modified within this time')
+        .option('--since <date>', 'Only organize files modified on or after this date (e.g. 2024-01-31)')
+        .option('--until <date>', 'Only organize files modified on or before this date')
+        .option('--duplicates <policy>', 'How to handle identical files: keep, skip, delete, hardlink or move-to:<folder>', 'keep');
+
+    if (!watch) {
+        command.option('--mode <mode>', 'How to place files in the category tree: move, copy, symlink or hardlink', 'move');
+    }
+
+    return command
+        .option('--on-conflict <strategy>', watch ? WATCH_ON_CONFLICT_HELP : ON_CONFLICT_HELP, 'rename')
+        .option('--rename-format <format>', RENAME_FORMAT_HELP);
+}
+
 /**
  * Create and configure CLI program
  * @returns {Command} Configured commander program
@@ -21,25 +121,112 @@ function createProgram() {
     program
         .name('segre')
         .description('Professional CLI tool to organize files into categories')
-        .version(VERSION);
+        .version(VERSION)
+        .enablePositionalOptions();
 
     // Main organize command
     program
         .argument('<directory>', 'Directory to organize')
-        .option('-c, --config <path>', 'Path to custom categories config file (JSON)')
+        .option('-o, --output <dir>', 'Create the category folders in another directory instead of in place')
         .option('-d, --dry-run', 'Show what would happen without moving files')
-        .option('-i, --interactive', 'Ask before moving each file')
-        .option('-b, --by-date', 'Organize files by modification date (Year/Month)')
-        .option('-r, --recursive', 'Recursively organize files in subdirectories')
-        .option('--ignore <patterns>', 'Comma-separated patterns to ignore (e.g., node_modules,.git,*.log)')
+        .option('-i, --interactive', 'Ask before moving each file');
+    addOrganizeOptions(program)
+        .option('--verify', 'Verify files copied across filesystems with a SHA-256 hash before deleting the source')
+        .option('--concurrency <n>', CONCURRENCY_HELP)
+        .option('--wait [seconds]', WAIT_HELP)
         .option('-v, --verbose', 'Show detailed output')
+        .option('--json', JSON_HELP)
         /* istanbul ignore next */
         .action(async (directory, options) => {
             try {
+                if (options.json) {
+                    const result = await organizeDirectory(directory, options);
+                    printJson(result);
+                    process.exitCode = getExitCode(result);
+                    return;
+                }
                 console.log(chalk.bold(`\nSegre v${VERSION}\n`));
-                await organizeDirectory(directory, options);
+                const result = await organizeDirectory(directory, options);
                 console.log('');
+                process.exitCode = getExitCode(result);
+            } catch (error) {
+                if (options.json) printJson({ error: error.message });
+                process.exit(1);
+            }
+        });
+
+    // --json before a subcommand ("segre --json undo <dir>") applies to it too
+    const wantsJson = options => Boolean(options.json || program.opts().json);
+
+    // Plan command
+    const planCommand = program
+        .command('plan <directory>')
+        .description('Save what organizing would do, to review or edit and run later with "segre apply"')
+        .option('-o, --out <file>', 'Write the plan to a file instead of stdout')
+        .option('--output <dir>', 'Create the category folders in another directory instead of in place');
+    addOrganizeOptions(planCommand)
+        .option('-v, --verbose', 'Show detailed output')
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            const { out, ...planOptions } = options;
+            try {
+                const events = new EventEmitter();
+                if (options.verbose) {
+                    // On stderr, as without --out the plan itself is the output
+                    events.on('file:ignored', ({ path: relativePath, reason, detail }) => {
+                        console.error(chalk.gray(`  Skipping ${relativePath} (${detail || reason})`));
+                    });
+                }
+                const plan = await planOrganize(directory, { ...planOptions, events });
+                if (!out) {
+                    printJson(plan);
+                    return;
+                }
+
+                await savePlan(plan, out);
+                const count = plan.entries.filter(entry => entry.action !== 'skip').length;
+                if (json) {
+                    printJson({ command: 'plan', file: path.resolve(out), directory: plan.directory, files: count });
+                } else {
+                    console.log(chalk.green(`Planned ${count} files in ${out}`));
+                    console.log(chalk.gray(`Review it, then run "segre apply ${out}".\n`));
+                }
             } catch (error) {
+                printError(error, json);
+                process.exit(1);
+            }
+        });
+
+    // Apply command
+    program
+        .command('apply <plan>')
+        .description('Carry out a plan saved by "segre plan"')
+        .option('--skip-changed', 'Apply the other entries when some files changed since planning')
+        .option('--verify', 'Verify files copied across filesystems with a SHA-256 hash before deleting the source')
+        .option('--concurrency <n>', CONCURRENCY_HELP)
+        .option('--wait [seconds]', WAIT_HELP)
+        .option('-v, --verbose', 'Show detailed output')
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (planFile, options) => {
+            const json = wantsJson(options);
+            try {
+                const plan = await loadPlan(planFile);
+                if (!json) {
+                    console.log(chalk.bold(`\nSegre v${VERSION} - Apply\n`));
+                }
+                const result = await applyPlan(plan, { ...options, json });
+                if (json) {
+                    printJson(result);
+                } else {
+                    console.log('');
+                }
+                // Refused because files changed since planning
+                process.exitCode = result.error ? 1 : getExitCode(result);
+            } catch (error) {
+                printError(error, json);
                 process.exit(1);
             }
         });
@@ -47,14 +234,161 @@ function createProgram() {
     // Undo command
     program
         .command('undo <directory>')
-        .description('Undo the last organize operation')
+        .description('Undo the last organize operation (or a specific batch)')
+        .option('--batch <id>', 'Revert a specific batch (see "segre history")')
+        .option('--all', 'Revert every logged batch, newest first')
+        .option('--force', 'Revert a batch even if later batches moved some of its files (those files are skipped)')
+        .option('--wait [seconds]', WAIT_HELP)
+        .option('--json', JSON_HELP)
         /* istanbul ignore next */
-        .action(async (directory) => {
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
             try {
+                if (json) {
+                    const result = await undoOrganize(directory, { ...options, json });
+                    printJson(result);
+                    process.exitCode = getExitCode(result);
+                    return;
+                }
                 console.log(chalk.bold('\nSegre - Undo\n'));
-                await undoOrganize(directory);
+                const result = await undoOrganize(directory, options);
+                console.log('');
+                process.exitCode = getExitCode(result);
+            } catch (error) {
+                if (json) printJson({ error: error.message });
+                process.exit(1);
+            }
+        });
+
+    // Redo command
+    program
+        .command('redo <directory>')
+        .description('Reapply the most recently undone operation')
+        .option('--wait [seconds]', WAIT_HELP)
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            try {
+                if (json) {
+                    const result = await redoOrganize(directory, { ...options, json });
+                    printJson(result);
+                    process.exitCode = getExitCode(result);
+                    return;
+                }
+                console.log(chalk.bold('\nSegre - Redo\n'));
+                const result = await redoOrganize(directory, options);
+                console.log('');
+                process.exitCode = getExitCode(result);
+            } catch (error) {
+                if (json) printJson({ error: error.message });
+                process.exit(1);
+            }
+        });
+
+    // Recover command
+    program
+        .command('recover <directory>')
+        .description('Log the files moved by an interrupted run so they can be undone, or put them back')
+        .option('--rollback', 'Put the files the interrupted run moved back where they were')
+        .option('--wait [seconds]', WAIT_HELP)
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            try {
+                if (!json) {
+                    console.log(chalk.bold('\nSegre - Recover\n'));
+                }
+                const result = await recoverRun(directory, { ...options, json });
+                if (json) {
+                    printJson(result);
+                } else {
+                    console.log('');
+                }
+                process.exitCode = getExitCode(result);
+            } catch (error) {
+                printError(error, json);
+                process.exit(1);
+            }
+        });
+
+    // History command
+    program
+        .command('history <directory>')
+        .description('List logged organize batches that can be undone')
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            try {
+                if (json) {
+                    printJson({ command: 'history', directory: path.resolve(directory), batches: await getHistory(directory) });
+                    return;
+                }
+                await showHistory(directory);
+                console.log('');
+            } catch (error) {
+                printError(error, json);
+                process.exit(1);
+            }
+        });
+
+    // Watch command
+    const watchCommand = program
+        .command('watch <directory>')
+        .description('Watch a directory and organize new files as they arrive');
+    addOrganizeOptions(watchCommand, { watch: true })
+        .option('--verify', 'Verify files copied across filesystems with a SHA-256 hash before deleting the source')
+        .option('--delay <ms>', 'Milliseconds a file size must stay unchanged before it is moved', '1000')
+        .option('-v, --verbose', 'Show detailed output')
+        .option('--json', 'Print each moved file as a line of JSON (NDJSON) instead of progress output')
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            try {
+                if (!json) {
+                    console.log(chalk.bold(`\nSegre v${VERSION} - Watch\n`));
+                }
+                const watcher = await watchDirectory(directory, { ...options, json });
+                if (json) {
+                    printJsonLine({ time: new Date().toISOString(), type: 'watching', directory: watcher.directory });
+                } else {
+                    console.log(chalk.cyan(`Watching ${watcher.directory} (press Ctrl+C to stop)\n`));
+                }
+
+                process.once('SIGINT', async () => {
+                    await watcher.close();
+                    if (!json) {
+                        console.log(chalk.gray('\nStopped watching.\n'));
+                    }
+                    process.exit(0);
+                });
+            } catch (error) {
+                printError(error, json);
+                process.exit(1);
+            }
+        });
+
+    // Duplicate report command
+    program
+        .command('dupes <directory>')
+        .description('List groups of duplicate files and the space they waste')
+        .option('-r, --recursive', 'Scan subdirectories too')
+        .option('--ignore <patterns>', 'Comma-separated patterns to ignore')
+        .option('--json', JSON_HELP)
+        /* istanbul ignore next */
+        .action(async (directory, options) => {
+            const json = wantsJson(options);
+            try {
+                if (json) {
+                    printJson({ command: 'dupes', directory: path.resolve(directory), groups: await findDuplicates(directory, options) });
+                    return;
+                }
+                await showDuplicates(directory, options);
                 console.log('');
             } catch (error) {
+                printError(error, json);
                 process.exit(1);
             }
         });
@@ -64,12 +398,17 @@ function createProgram() {
         .command('categories')
         .description('Show file categories and their extensions')
         .option('-c, --config <path>', 'Path to custom categories config file')
+        .option('--json', JSON_HELP)
         /* istanbul ignore next */
         .action(async (options) => {
+            const json = wantsJson(options);
             try {
-                await showCategories(options.config);
+                const result = await showCategories(options.config, { json });
+                if (json) {
+                    printJson(result);
+                }
             } catch (error) {
-                console.error(chalk.red(`Error: ${error.message}`));
+                printError(error, json);
                 process.exit(1);
             }
         });
@@ -79,12 +418,21 @@ function createProgram() {
         .command('init-config')
         .description('Generate a sample config file')
         .argument('[path]', 'Output path for config file', './segre.config.json')
+        .option('--json', JSON_HELP)
         /* istanbul ignore next */
-        .action(async (outputPath) => {
+        .action(async (outputPath, options) => {
+            const json = wantsJson(options);
             try {
-                await generateSampleConfig(outputPath);
+                await generateSampleConfig(outputPath, { json });
+                if (json) {
+                    printJson({ command: 'init-config', file: path.resolve(outputPath) });
+                }
             } catch (error) {
-                console.error(chalk.red(`Error creating config: ${error.message}`));
+                if (json) {
+                    printJson({ error: error.message });
+                } else {
+                    console.error(chalk.red(`Error creating config: ${error.message}`));
+                }
                 process.exit(1);
             }
         });
@@ -103,6 +451,8 @@ function run() {
 
 module.exports = {
     VERSION,
+    EXIT_PARTIAL_FAILURE,
+    getExitCode,
     createProgram,
     run
 };
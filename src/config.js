@@ -6,28 +6,51 @@
 const fs = require('fs/promises');
 const chalk = require('chalk');
 const { defaultCategories } = require('./categories');
+const { defaultSignatures } = require('./detector');
+const { parseRules } = require('./rules');
+const { parseTemplate } = require('./templates');
+const { createOutput } = require('./output');
 
 /**
- * Load custom categories from config file
+ * Top-level config keys that hold settings rather than categories
+ */
+const SETTING_KEYS = ['signatures', 'rules', 'template', 'protected'];
+
+/**
+ * Read and parse a config file
  * @param {string} configPath - Path to config file
- * @returns {Promise<Object>} Categories configuration
+ * @returns {Promise<Object>} Parsed config object
  * @throws {Error} If config file cannot be loaded or parsed
  */
-async function loadConfig(configPath) {
+async function readConfigFile(configPath) {
     if (!configPath || typeof configPath !== 'string') {
         throw new Error('Config path must be a non-empty string');
     }
 
     const configContent = await fs.readFile(configPath, 'utf-8');
-    const customCategories = JSON.parse(configContent);
+    const config = JSON.parse(configContent);
 
     // Validate config structure
-    if (typeof customCategories !== 'object' || customCategories === null || Array.isArray(customCategories)) {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
         throw new Error('Config must be a valid JSON object');
     }
 
+    return config;
+}
+
+/**
+ * Validate category entries and merge them with the defaults
+ * @param {Object} config - Parsed config object
+ * @returns {Object} Categories configuration
+ * @throws {Error} If a category is malformed
+ */
+function parseCategories(config) {
+    const customCategories = {};
+
     // Validate each category has an array of extensions
-    for (const [category, extensions] of Object.entries(customCategories)) {
+    for (const [category, extensions] of Object.entries(config)) {
+        if (SETTING_KEYS.includes(category)) continue;
+
         if (!Array.isArray(extensions)) {
             throw new Error(`Category "${category}" must have an array of extensions`);
         }
@@ -36,18 +59,119 @@ async function loadConfig(configPath) {
                 throw new Error(`Extensions in "${category}" must be strings`);
             }
         }
+        customCategories[category] = extensions;
     }
 
     return { ...defaultCategories, ...customCategories };
 }
 
+/**
+ * Validate custom content signatures
+ * @param {*} signatures - Value of the "signatures" config key
+ * @returns {Array<Object>} Validated signatures
+ * @throws {Error} If a signature is malformed
+ */
+function parseSignatures(signatures) {
+    if (!Array.isArray(signatures)) {
+        throw new Error('"signatures" must be an array');
+    }
+
+    return signatures.map((sig, i) => {
+        if (typeof sig !== 'object' || sig === null) {
+            throw new Error(`Signature #${i + 1} must be an object`);
+        }
+        if (typeof sig.category !== 'string' || sig.category === '') {
+            throw new Error(`Signature #${i + 1} must have a category`);
+        }
+        if (typeof sig.hex !== 'string' || !/^([0-9a-fA-F]{2}|\?\?)+$/.test(sig.hex)) {
+            throw new Error(`Signature #${i + 1} must have a hex byte pattern`);
+        }
+        if (sig.offset !== undefined && (!Number.isInteger(sig.offset) || sig.offset < 0)) {
+            throw new Error(`Signature #${i + 1} offset must be a non-negative integer`);
+        }
+        if (sig.extensions !== undefined &&
+            (!Array.isArray(sig.extensions) || !sig.extensions.every(ext => typeof ext === 'string'))) {
+            throw new Error(`Signature #${i + 1} extensions must be an array of strings`);
+        }
+
+        return {
+            name: sig.name || sig.category,
+            category: sig.category,
+            hex: sig.hex.toUpperCase(),
+            offset: sig.offset || 0,
+            extensions: sig.extensions ? sig.extensions.map(ext => ext.toLowerCase()) : undefined
+        };
+    });
+}
+
+/**
+ * Validate the patterns of protected files
+ * @param {*} patterns - Value of the "protected" config key
+ * @returns {string[]} Patterns, added to the built-in ones
+ * @throws {Error} If the value is not an array of strings
+ */
+function parseProtected(patterns) {
+    if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+        throw new Error('"protected" must be an array of patterns');
+    }
+    return patterns;
+}
+
+/**
+ * Load custom categories from config file
+ * @param {string} configPath - Path to config file
+ * @returns {Promise<Object>} Categories configuration
+ * @throws {Error} If config file cannot be loaded or parsed
+ */
+async function loadConfig(configPath) {
+    const config = await readConfigFile(configPath);
+    return parseCategories(config);
+}
+
+/**
+ * Load categories and additional settings from config file
+ * @param {string} configPath - Path to config file
+ * @returns {Promise<Object>} Settings with categories, signatures, rules, template and protected
+ * @throws {Error} If config file cannot be loaded or parsed
+ */
+async function loadSettings(configPath) {
+    const config = await readConfigFile(configPath);
+
+    // Custom signatures are tried before the built-in table
+    const customSignatures = config.signatures !== undefined ? parseSignatures(config.signatures) : [];
+
+    return {
+        categories: parseCategories(config),
+        signatures: [...customSignatures, ...defaultSignatures],
+        rules: config.rules !== undefined ? parseRules(config.rules) : [],
+        template: config.template !== undefined ? parseTemplate(config.template) : null,
+        protected: config.protected !== undefined ? parseProtected(config.protected) : []
+    };
+}
+
+/**
+ * Get settings used when no config file is given
+ * @returns {Object} Default settings
+ */
+function getDefaultSettings() {
+    return {
+        categories: defaultCategories,
+        signatures: defaultSignatures,
+        rules: [],
+        template: null,
+        protected: []
+    };
+}
+
 /**
  * Generate a sample config file
  * @param {string} outputPath - Path to save config file
+ * @param {Object} options - Display options
+ * @param {boolean} [options.json] - Silence console output
  * @returns {Promise<Object>} The generated config
  * @throws {Error} If file cannot be written
  */
-async function generateSampleConfig(outputPath) {
+async function generateSampleConfig(outputPath, options = {}) {
     if (!outputPath || typeof outputPath !== 'string') {
         throw new Error('Output path must be a non-empty string');
     }
@@ -63,12 +187,16 @@ async function generateSampleConfig(outputPath) {
     };
 
     await fs.writeFile(outputPath, JSON.stringify(sampleConfig, null, 2));
-    console.log(chalk.green(`\nSample config created: ${outputPath}\n`));
-    console.log(chalk.gray('Edit this file to customize your categories.\n'));
+    const output = createOutput(options);
+    output.log(chalk.green(`\nSample config created: ${outputPath}\n`));
+    output.log(chalk.gray('Edit this file to customize your categories.\n'));
     return sampleConfig;
 }
 
 module.exports = {
+    SETTING_KEYS,
     loadConfig,
+    loadSettings,
+    getDefaultSettings,
     generateSampleConfig
 };
@@ -0,0 +1,137 @@
+/**
+ * What happens when a file's destination is taken: --on-conflict strategies,
+ * --rename-format names, and the trash area overwritten files are kept in
+ * so undo can put them back
+ * @module conflicts
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { numberPath } = require('./utils');
+const { TRASH_DIR_NAME } = require('./logger');
+const { hashFile } = require('./duplicates');
+const { moveFile } = require('./fileops');
+
+const CONFLICT_STRATEGIES = ['rename', 'skip', 'overwrite-if-newer', 'overwrite', 'ask'];
+
+const DEFAULT_RENAME_FORMAT = '{name}({n}){ext}';
+const RENAME_TOKENS = ['name', 'ext', 'n', 'timestamp', 'hash'];
+
+/**
+ * Validate the --on-conflict option
+ * @param {string} [strategy] - What to do when the destination exists
+ * @returns {string} The strategy, "rename" by default
+ * @throws {Error} If the strategy is not recognized
+ */
+function parseConflictStrategy(strategy) {
+    if (!strategy) return 'rename';
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid conflict strategy: ${strategy} (expected ${CONFLICT_STRATEGIES.join('|')})`);
+    }
+    return strategy;
+}
+
+/**
+ * Parse a --rename-format such as "{name} ({n}){ext}" or "{name}-{hash}{ext}"
+ * @param {string} [value] - Format, "{name}({n}){ext}" by default
+ * @returns {Object} Format with the string and the set of tokens it uses
+ * @throws {Error} If a token is unknown, or the format cannot tell names apart
+ */
+function parseRenameFormat(value) {
+    const format = value ? String(value) : DEFAULT_RENAME_FORMAT;
+    const tokens = new Set();
+
+    for (const [, token] of format.matchAll(/\{([^}]*)\}/g)) {
+        if (!RENAME_TOKENS.includes(token)) {
+            throw new Error(`Unknown rename format token: {${token}} (expected {${RENAME_TOKENS.join('}, {')}})`);
+        }
+        tokens.add(token);
+    }
+
+    if (!['n', 'timestamp', 'hash'].some(token => tokens.has(token)) || /[\\/]/.test(format)) {
+        throw new Error(`Invalid rename format: ${format} (expected a file name with {n}, {timestamp} or {hash}, e.g. "{name}_{n}{ext}")`);
+    }
+
+    return { format, tokens };
+}
+
+/**
+ * Format a date for {timestamp}: local time as YYYYMMDD-HHmmss
+ * @param {Date} date - Date
+ * @returns {string} E.g. "20240131-180502"
+ */
+function formatTimestamp(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Create the function that names a file whose destination is taken. The
+ * file is only hashed for {hash} once a name is actually needed. A format
+ * without {n} numbers the name as well when it is still taken, e.g.
+ * "report-1a2b3c4d(1).pdf".
+ * @param {Object} renameFormat - Format from parseRenameFormat
+ * @param {Object} source - File being placed, with path and mtime (a Date)
+ * @returns {Function} async (targetPath, counter) => path, for getUniqueFilePath
+ */
+function createRenamer(renameFormat, source) {
+    let hash = null;
+
+    return async (targetPath, counter) => {
+        if (renameFormat.tokens.has('hash') && hash === null) {
+            hash = (await hashFile(source.path)).slice(0, 8);
+        }
+
+        const ext = path.extname(targetPath);
+        const values = {
+            name: path.basename(targetPath, ext),
+            ext,
+            n: counter,
+            timestamp: formatTimestamp(source.mtime),
+            hash
+        };
+        const renamed = path.join(path.dirname(targetPath),
+            renameFormat.format.replace(/\{(\w+)\}/g, (match, token) => values[token]));
+
+        return renameFormat.tokens.has('n') || counter === 1 ? renamed : numberPath(renamed, counter - 1);
+    };
+}
+
+/**
+ * Get the trash folder of a run
+ * @param {string} outputDir - Output root
+ * @param {Date} startedAt - When the run started
+ * @returns {string} E.g. "<output>/.segre-trash/2024-01-31T18-05-02-123Z"
+ */
+function getTrashDir(outputDir, startedAt) {
+    return path.join(outputDir, TRASH_DIR_NAME, startedAt.toISOString().replace(/[:.]/g, '-'));
+}
+
+/**
+ * Move a file that is about to be overwritten into the trash
+ * @param {string} filePath - File at the destination
+ * @param {string} trashPath - Where to keep it
+ * @throws {Error} If the destination is a folder, or cannot be moved
+ */
+async function setAside(filePath, trashPath) {
+    const stats = await fs.lstat(filePath);
+    if (stats.isDirectory()) {
+        throw new Error(`Cannot overwrite a folder: ${filePath}`);
+    }
+
+    await fs.mkdir(path.dirname(trashPath), { recursive: true });
+    await moveFile(filePath, trashPath);
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    DEFAULT_RENAME_FORMAT,
+    parseConflictStrategy,
+    parseRenameFormat,
+    formatTimestamp,
+    createRenamer,
+    getTrashDir,
+    setAside
+};
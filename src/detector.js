@@ -0,0 +1,146 @@
+/**
+ * Content-based file type detection using magic bytes
+ * @module detector
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getCategory } = require('./categories');
+
+/**
+ * Known file signatures. `hex` is matched at `offset`; `??` matches any byte.
+ * When a file's extension is listed in `extensions`, the extension category
+ * wins, so e.g. a .docx (a ZIP container) stays in Documents. `weak`
+ * signatures are too short to overrule an extension that has a category
+ * (a .txt starting with "MZ") and only apply to extension-less or unknown files.
+ */
+const defaultSignatures = [
+    { name: 'pdf', category: 'Documents', hex: '25504446', extensions: ['.ai'] },
+    { name: 'png', category: 'Images', hex: '89504E470D0A1A0A' },
+    { name: 'jpeg', category: 'Images', hex: 'FFD8FF' },
+    { name: 'gif', category: 'Images', hex: '47494638' },
+    { name: 'webp', category: 'Images', hex: '52494646????????57454250' },
+    { name: 'tiff', category: 'Images', hex: '49492A00', extensions: ['.raw'] },
+    { name: 'tiff', category: 'Images', hex: '4D4D002A', extensions: ['.raw'] },
+    { name: 'heic', category: 'Images', hex: '6674797068656963', offset: 4 },
+    { name: 'heif', category: 'Images', hex: '667479706D696631', offset: 4 },
+    { name: 'heif', category: 'Images', hex: '667479706D736631', offset: 4 },
+    { name: 'avif', category: 'Images', hex: '6674797061766966', offset: 4 },
+    { name: 'zip', category: 'Archives', hex: '504B0304', extensions: ['.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.jar', '.apk', '.epub'] },
+    { name: 'gzip', category: 'Archives', hex: '1F8B08' },
+    { name: '7z', category: 'Archives', hex: '377ABCAF271C' },
+    { name: 'rar', category: 'Archives', hex: '526172211A07' },
+    { name: 'bzip2', category: 'Archives', hex: '425A68??314159265359' },
+    { name: 'xz', category: 'Archives', hex: 'FD377A585A00' },
+    { name: 'tar', category: 'Archives', hex: '7573746172', offset: 257 },
+    { name: 'mp3', category: 'Audio', hex: '494433??00' },
+    { name: 'mp3', category: 'Audio', hex: 'FFFB', weak: true },
+    { name: 'flac', category: 'Audio', hex: '664C6143' },
+    { name: 'ogg', category: 'Audio', hex: '4F676753', extensions: ['.ogv'] },
+    { name: 'wav', category: 'Audio', hex: '52494646????????57415645' },
+    { name: 'm4a', category: 'Audio', hex: '667479704D344120', offset: 4 },
+    { name: 'mp4', category: 'Videos', hex: '66747970', offset: 4, extensions: ['.m4a', '.heic'] },
+    { name: 'mkv', category: 'Videos', hex: '1A45DFA3' },
+    { name: 'avi', category: 'Videos', hex: '52494646????????41564920' },
+    { name: 'elf', category: 'Executables', hex: '7F454C46' },
+    { name: 'exe', category: 'Executables', hex: '4D5A', weak: true },
+    { name: 'macho', category: 'Executables', hex: 'CFFAEDFE' },
+    { name: 'woff', category: 'Fonts', hex: '774F4646' },
+    { name: 'woff2', category: 'Fonts', hex: '774F4632' },
+    { name: 'otf', category: 'Fonts', hex: '4F54544F' },
+    { name: 'ttf', category: 'Fonts', hex: '0001000000' }
+];
+
+/**
+ * Convert a signature's hex string into byte values (null for wildcards)
+ * @param {string} hex - Hex string, e.g. '52494646????????'
+ * @returns {Array<number|null>} Byte values
+ */
+function parseHex(hex) {
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+        const pair = hex.slice(i, i + 2);
+        bytes.push(pair === '??' ? null : parseInt(pair, 16));
+    }
+    return bytes;
+}
+
+/**
+ * Check whether a buffer matches a signature
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @param {Object} signature - Signature definition
+ * @returns {boolean} True if every non-wildcard byte matches
+ */
+function matchSignature(buffer, signature) {
+    const offset = signature.offset || 0;
+    const bytes = parseHex(signature.hex);
+
+    if (buffer.length < offset + bytes.length) return false;
+
+    return bytes.every((byte, i) => byte === null || buffer[offset + i] === byte);
+}
+
+/**
+ * Read the leading bytes of a file
+ * @param {string} filePath - File to read
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Buffer>} Bytes read (may be shorter than length)
+ */
+async function readHeader(filePath, length) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Detect a file's type from its content
+ * @param {string} filePath - File to inspect
+ * @param {Array<Object>} signatures - Signatures to try, in order
+ * @returns {Promise<Object|null>} Matching signature or null
+ */
+async function detectFileType(filePath, signatures = defaultSignatures) {
+    const length = Math.max(...signatures.map(sig => (sig.offset || 0) + sig.hex.length / 2));
+
+    let header;
+    try {
+        header = await readHeader(filePath, length);
+    } catch {
+        return null;
+    }
+
+    return signatures.find(sig => matchSignature(header, sig)) || null;
+}
+
+/**
+ * Get category for a file from its content, falling back to its extension
+ * @param {string} filePath - File to inspect
+ * @param {Object} categories - Categories configuration
+ * @param {Array<Object>} signatures - Signatures to try, in order
+ * @returns {Promise<string>} Category name
+ */
+async function detectCategory(filePath, categories, signatures = defaultSignatures) {
+    const ext = path.extname(filePath).toLowerCase();
+    const category = getCategory(ext, categories);
+    const detected = await detectFileType(filePath, signatures);
+
+    if (!detected || (detected.extensions && detected.extensions.includes(ext))) {
+        return category;
+    }
+    if (detected.weak && category !== 'Others') {
+        return category;
+    }
+
+    return detected.category;
+}
+
+module.exports = {
+    defaultSignatures,
+    matchSignature,
+    detectFileType,
+    detectCategory
+};
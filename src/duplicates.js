@@ -0,0 +1,273 @@
+/**
+ * Duplicate file detection using content hashes
+ * @module duplicates
+ */
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+const { formatBytes } = require('./utils');
+const { IGNORE_FILE_NAME, parseIgnoreOption, createIgnoreMatcher } = require('./ignore');
+const { LOG_FILE_NAME, TRASH_DIR_NAME } = require('./logger');
+const { JOURNAL_FILE_NAME } = require('./journal');
+const { LOCK_FILE_NAME, TAKEOVER_FILE_NAME } = require('./lock');
+
+const DUPLICATE_ACTIONS = ['keep', 'skip', 'delete', 'hardlink', 'move-to'];
+
+/**
+ * Parse a --duplicates policy such as "skip" or "move-to:Duplicates"
+ * @param {string} value - Policy string
+ * @returns {Object} Policy with action and optional folder
+ * @throws {Error} If the policy is not recognized
+ */
+function parseDuplicatePolicy(value) {
+    if (!value) return { action: 'keep' };
+
+    const [action, ...rest] = String(value).split(':');
+    const folder = rest.join(':').trim();
+
+    if (!DUPLICATE_ACTIONS.includes(action)) {
+        throw new Error(`Invalid duplicates policy: ${value} (expected ${DUPLICATE_ACTIONS.join('|')}:<folder>)`);
+    }
+    if (action === 'move-to') {
+        if (!folder || path.isAbsolute(folder) || folder.split(/[\\/]/).includes('..')) {
+            throw new Error('Duplicates policy move-to needs a relative folder, e.g. move-to:Duplicates');
+        }
+        return { action, folder };
+    }
+
+    return { action };
+}
+
+/**
+ * Compute the SHA-256 hash of a file's content
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fsSync.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Create an index of destination directories used to spot duplicates.
+ * Directories are read lazily and files are only hashed when sizes match.
+ * @returns {Object} Index with findDuplicate() and add()
+ */
+function createDuplicateIndex() {
+    // dir -> [{ path, source, size }]
+    const dirs = new Map();
+    // readable file path -> Promise<hash>
+    const hashes = new Map();
+
+    async function getEntries(dir) {
+        if (!dirs.has(dir)) {
+            const entries = [];
+            let names = [];
+            try {
+                names = await fs.readdir(dir);
+            } catch {
+                // Destination does not exist yet
+            }
+            for (const name of names) {
+                const entryPath = path.join(dir, name);
+                // A link may point to the very file being organized
+                let stats;
+                try {
+                    stats = await fs.lstat(entryPath);
+                } catch (error) {
+                    // Removed since the directory was read
+                    if (error.code === 'ENOENT') continue;
+                    throw error;
+                }
+                if (stats.isFile()) {
+                    entries.push({ path: entryPath, source: entryPath, size: stats.size });
+                }
+            }
+            dirs.set(dir, entries);
+        }
+        return dirs.get(dir);
+    }
+
+    function hashOf(filePath) {
+        if (!hashes.has(filePath)) {
+            hashes.set(filePath, hashFile(filePath));
+        }
+        return hashes.get(filePath);
+    }
+
+    return {
+        /**
+         * Find a file in dir with the same content as filePath
+         * @param {string} filePath - File being organized
+         * @param {number} size - Its size in bytes
+         * @param {string} dir - Destination directory
+         * @returns {Promise<string|null>} Path of the existing duplicate
+         */
+        async findDuplicate(filePath, size, dir) {
+            const entries = await getEntries(dir);
+            for (const entry of entries) {
+                if (entry.size !== size || entry.source === filePath) continue;
+                if (await hashOf(entry.source) === await hashOf(filePath)) {
+                    return entry.path;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Record a file placed (or planned) in dir
+         * @param {string} dir - Destination directory
+         * @param {string} destPath - Where the file ends up
+         * @param {string} source - Path its content can be read from now
+         * @param {number} size - Its size in bytes
+         */
+        async add(dir, destPath, source, size) {
+            const entries = await getEntries(dir);
+            entries.push({ path: destPath, source, size });
+        }
+    };
+}
+
+/**
+ * Collect files for a duplicate scan. Symbolic links are left out: a link
+ * is not a copy, and following links to directories could loop.
+ * @param {string} dir - Directory to scan
+ * @param {Object} ignore - Matcher from createIgnoreMatcher
+ * @param {boolean} recursive - Descend into subdirectories
+ * @returns {Promise<Array>} Array of { path, size }
+ */
+async function collectFiles(dir, ignore, recursive) {
+    const files = [];
+    const entries = await fs.readdir(dir);
+
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry);
+        if ([LOG_FILE_NAME, JOURNAL_FILE_NAME, LOCK_FILE_NAME, TAKEOVER_FILE_NAME, IGNORE_FILE_NAME, TRASH_DIR_NAME].includes(entry)) continue;
+
+        const stats = await fs.lstat(entryPath);
+        if (stats.isSymbolicLink() || ignore.ignores(entryPath, stats.isDirectory())) continue;
+
+        if (stats.isFile()) {
+            files.push({ path: entryPath, size: stats.size });
+        } else if (stats.isDirectory() && recursive) {
+            await ignore.load(entryPath);
+            files.push(...await collectFiles(entryPath, ignore, recursive));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Find groups of byte-identical files in a directory
+ * @param {string} targetDir - Directory to scan
+ * @param {Object} options - CLI options (recursive, ignore)
+ * @returns {Promise<Array>} Groups of { hash, size, files, wasted }, largest waste first
+ * @throws {Error} If the directory is invalid
+ */
+async function findDuplicates(targetDir, options = {}) {
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    targetDir = path.resolve(targetDir);
+
+    let dirStats;
+    try {
+        dirStats = await fs.stat(targetDir);
+    } catch {
+        throw new Error(`Directory does not exist: ${targetDir}`);
+    }
+    if (!dirStats.isDirectory()) {
+        throw new Error(`Path is not a directory: ${targetDir}`);
+    }
+
+    const ignore = await createIgnoreMatcher(targetDir, parseIgnoreOption(options.ignore));
+    const files = await collectFiles(targetDir, ignore, options.recursive);
+
+    // Size prefilter: only files sharing a size can be identical
+    const bySize = new Map();
+    for (const file of files) {
+        if (file.size === 0) continue;
+        if (!bySize.has(file.size)) bySize.set(file.size, []);
+        bySize.get(file.size).push(file.path);
+    }
+
+    const groups = [];
+    for (const [size, paths] of bySize) {
+        if (paths.length < 2) continue;
+
+        const byHash = new Map();
+        for (const filePath of paths) {
+            const hash = await hashFile(filePath);
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(filePath);
+        }
+
+        for (const [hash, sameFiles] of byHash) {
+            if (sameFiles.length < 2) continue;
+            groups.push({
+                hash,
+                size,
+                files: sameFiles.sort(),
+                wasted: size * (sameFiles.length - 1)
+            });
+        }
+    }
+
+    return groups.sort((a, b) => b.wasted - a.wasted);
+}
+
+/**
+ * Print a report of duplicate groups
+ * @param {string} targetDir - Directory to scan
+ * @param {Object} options - CLI options (recursive, ignore)
+ * @returns {Promise<Array>} The duplicate groups
+ */
+async function showDuplicates(targetDir, options = {}) {
+    const groups = await findDuplicates(targetDir, options);
+    const baseDir = path.resolve(targetDir);
+
+    if (groups.length === 0) {
+        console.log(chalk.green('No duplicate files found.'));
+        return groups;
+    }
+
+    console.log(chalk.bold('\nDuplicate Files:\n'));
+
+    groups.forEach((group, i) => {
+        console.log(chalk.cyan(`  Group ${i + 1}: ${group.files.length} copies of ${formatBytes(group.size)} (${formatBytes(group.wasted)} wasted)`));
+        for (const filePath of group.files) {
+            console.log(chalk.gray(`    ${path.relative(baseDir, filePath)}`));
+        }
+    });
+
+    const duplicateCount = groups.reduce((sum, group) => sum + group.files.length - 1, 0);
+    const wasted = groups.reduce((sum, group) => sum + group.wasted, 0);
+
+    console.log('');
+    console.log(chalk.bold('Summary:'));
+    console.log(chalk.yellow(`  Groups: ${groups.length}`));
+    console.log(chalk.yellow(`  Duplicate files: ${duplicateCount}`));
+    console.log(chalk.yellow(`  Wasted space: ${formatBytes(wasted)}`));
+
+    return groups;
+}
+
+module.exports = {
+    DUPLICATE_ACTIONS,
+    parseDuplicatePolicy,
+    hashFile,
+    createDuplicateIndex,
+    findDuplicates,
+    showDuplicates
+};
@@ -0,0 +1,165 @@
+/**
+ * File move operations that work across filesystems
+ * @module fileops
+ */
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+
+const { hashFile } = require('./duplicates');
+
+const pipeline = util.promisify(stream.pipeline);
+
+const PLACE_MODES = ['move', 'copy', 'symlink', 'hardlink'];
+
+// What a scan does with symbolic links: leave them, move links to files as
+// links, or also descend into linked directories
+const SYMLINK_POLICIES = ['skip', 'move-link', 'follow'];
+
+/**
+ * Copy a file by streaming it, keeping permissions and timestamps
+ * @param {string} source - File to copy
+ * @param {string} dest - Destination path (must not exist)
+ * @param {fs.Stats} stats - Stats of the source file
+ */
+async function copyPreservingMetadata(source, dest, stats) {
+    // Copy into a temporary name first so a half-written file never sits at dest
+    const tempPath = path.join(path.dirname(dest), `.${path.basename(dest)}.segre-tmp`);
+
+    try {
+        await pipeline(
+            fsSync.createReadStream(source),
+            fsSync.createWriteStream(tempPath, { flags: 'wx', mode: stats.mode })
+        );
+        await fs.chmod(tempPath, stats.mode);
+        await fs.utimes(tempPath, stats.atime, stats.mtime);
+        await fs.rename(tempPath, dest);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Move a symbolic link. A relative target is rewritten for the new
+ * location, so the link still points to the same file.
+ * @param {string} source - Link to move
+ * @param {string} dest - Destination path (must not exist)
+ */
+async function moveLink(source, dest) {
+    const target = await fs.readlink(source);
+    const newTarget = path.isAbsolute(target) ?
+        target :
+        path.relative(path.dirname(dest), path.resolve(path.dirname(source), target));
+
+    await fs.symlink(newTarget, dest);
+    await fs.unlink(source);
+}
+
+/**
+ * Move a file, falling back to copy-verify-delete when rename fails with
+ * EXDEV (source and destination on different filesystems). Symbolic links
+ * are moved as links (see moveLink).
+ * @param {string} source - File to move
+ * @param {string} dest - Destination path
+ * @param {Object} options - Move options
+ * @param {boolean} [options.verify] - Compare SHA-256 hashes before removing the source
+ * @returns {Promise<Object>} { copied } - true if the file was copied across filesystems
+ * @throws {Error} If the move fails; the source is kept whenever the copy is not verified
+ */
+async function moveFile(source, dest, options = {}) {
+    if ((await fs.lstat(source)).isSymbolicLink()) {
+        await moveLink(source, dest);
+        return { copied: false };
+    }
+
+    try {
+        await fs.rename(source, dest);
+        return { copied: false };
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+    }
+
+    const stats = await fs.stat(source);
+    await copyPreservingMetadata(source, dest, stats);
+
+    try {
+        const copyStats = await fs.stat(dest);
+        if (copyStats.size !== stats.size) {
+            throw new Error(`Copy verification failed: size mismatch for ${dest}`);
+        }
+        if (options.verify && await hashFile(source) !== await hashFile(dest)) {
+            throw new Error(`Copy verification failed: hash mismatch for ${dest}`);
+        }
+    } catch (error) {
+        await fs.unlink(dest).catch(() => {});
+        throw error;
+    }
+
+    await fs.unlink(source);
+    return { copied: true };
+}
+
+/**
+ * Put a file at a destination by moving, copying or linking it
+ * @param {string} source - File to place
+ * @param {string} dest - Destination path
+ * @param {string} mode - One of move, copy, symlink, hardlink
+ * @param {Object} options - Move options (see moveFile)
+ * @returns {Promise<Object>} { copied } - true if a move fell back to copying
+ */
+async function placeFile(source, dest, mode = 'move', options = {}) {
+    switch (mode) {
+        case 'copy':
+            await copyPreservingMetadata(source, dest, await fs.stat(source));
+            return { copied: false };
+
+        case 'symlink':
+            // Relative target so the tree can be moved as a whole
+            await fs.symlink(path.relative(path.dirname(dest), source), dest);
+            return { copied: false };
+
+        case 'hardlink':
+            await fs.link(source, dest);
+            return { copied: false };
+
+        default:
+            return moveFile(source, dest, options);
+    }
+}
+
+/**
+ * Check whether dest is already a copy or link of source from an earlier run
+ * @param {string} source - Original file
+ * @param {string} dest - Candidate destination
+ * @param {string} mode - One of copy, symlink, hardlink
+ * @returns {Promise<boolean>} True if dest already represents source
+ */
+async function isPlaced(source, dest, mode) {
+    try {
+        const [sourceStats, destStats] = await Promise.all([fs.stat(source), fs.stat(dest)]);
+
+        if (mode === 'copy') {
+            // Copies keep the source's size and modification time
+            return sourceStats.size === destStats.size &&
+                sourceStats.mtime.getTime() === destStats.mtime.getTime();
+        }
+
+        // Links resolve to the same inode
+        return sourceStats.dev === destStats.dev && sourceStats.ino === destStats.ino;
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    PLACE_MODES,
+    SYMLINK_POLICIES,
+    moveLink,
+    moveFile,
+    placeFile,
+    isPlaced
+};
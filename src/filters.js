@@ -0,0 +1,98 @@
+/**
+ * Size, age and date filters (--min-size, --older-than, --since, ...) that
+ * limit which scanned files are organized
+ * @module filters
+ */
+
+const { parseSize, parseDuration } = require('./utils');
+
+/**
+ * Parse a --since or --until date. A date without a time covers the whole
+ * day, in local time.
+ * @param {string} value - Date ("2024-01-31") or date and time ("2024-01-31T18:00")
+ * @param {boolean} endOfDay - For a date alone, use the end of the day instead of the start
+ * @returns {number} Timestamp in milliseconds
+ * @throws {Error} If the date cannot be parsed
+ */
+function parseDate(value, endOfDay) {
+    const text = String(value).trim();
+
+    const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+        const [year, month, day] = dateOnly.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() === month - 1 && date.getDate() === day) {
+            return endOfDay ? new Date(year, month - 1, day + 1).getTime() - 1 : date.getTime();
+        }
+    } else if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !Number.isNaN(Date.parse(text))) {
+        return Date.parse(text);
+    }
+
+    throw new Error(`Invalid date: ${value} (expected e.g. 2024-01-31 or 2024-01-31T18:00)`);
+}
+
+/**
+ * Compile the filter options. Ages are measured from now, on the files'
+ * modification times.
+ * @param {Object} options - CLI options (minSize, maxSize, olderThan, newerThan, since, until)
+ * @param {number} [now] - Reference time for --older-than and --newer-than
+ * @returns {Array<Object>} Filters with flag, value, test(stats) and the reason a file fails it
+ * @throws {Error} If a value is invalid or the bounds exclude every file
+ */
+function parseFilters(options = {}, now = Date.now()) {
+    const filters = [];
+    const add = (flag, value, test, reason) => filters.push({ flag, value: String(value), test, reason });
+
+    const minSize = options.minSize !== undefined ? parseSize(options.minSize) : null;
+    const maxSize = options.maxSize !== undefined ? parseSize(options.maxSize) : null;
+    if (minSize !== null && maxSize !== null && minSize > maxSize) {
+        throw new Error(`--min-size ${options.minSize} is larger than --max-size ${options.maxSize}`);
+    }
+    if (minSize !== null) {
+        add('--min-size', options.minSize, stats => stats.size >= minSize, `smaller than ${options.minSize}`);
+    }
+    if (maxSize !== null) {
+        add('--max-size', options.maxSize, stats => stats.size <= maxSize, `larger than ${options.maxSize}`);
+    }
+
+    if (options.olderThan !== undefined) {
+        const age = parseDuration(options.olderThan);
+        add('--older-than', options.olderThan, stats => now - stats.mtimeMs >= age,
+            `modified in the last ${options.olderThan}`);
+    }
+    if (options.newerThan !== undefined) {
+        const age = parseDuration(options.newerThan);
+        add('--newer-than', options.newerThan, stats => now - stats.mtimeMs <= age,
+            `modified more than ${options.newerThan} ago`);
+    }
+
+    const since = options.since !== undefined ? parseDate(options.since, false) : null;
+    const until = options.until !== undefined ? parseDate(options.until, true) : null;
+    if (since !== null && until !== null && since > until) {
+        throw new Error(`--since ${options.since} is after --until ${options.until}`);
+    }
+    if (since !== null) {
+        add('--since', options.since, stats => stats.mtimeMs >= since, `modified before ${options.since}`);
+    }
+    if (until !== null) {
+        add('--until', options.until, stats => stats.mtimeMs <= until, `modified after ${options.until}`);
+    }
+
+    return filters;
+}
+
+/**
+ * Find the first filter a file does not pass
+ * @param {Array<Object>} filters - Filters from parseFilters
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {Object|null} The filter, or null if the file passes them all
+ */
+function findFailedFilter(filters, stats) {
+    return filters.find(filter => !filter.test(stats)) || null;
+}
+
+module.exports = {
+    parseDate,
+    parseFilters,
+    findFailedFilter
+};
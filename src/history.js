@@ -0,0 +1,140 @@
+/**
+ * Operation history: listing logged batches and finding conflicts between them
+ * @module history
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+
+const { readLog, getBatchId, normalizeLog } = require('./logger');
+
+/**
+ * Format recorded options as CLI flags (e.g., "--by-date --ignore *.log")
+ * @param {Object} options - Options recorded with a batch
+ * @returns {string} Flags, or an empty string
+ */
+function formatOptions(options = {}) {
+    return Object.entries(options)
+        .filter(([, value]) => value !== false)
+        .map(([key, value]) => {
+            const flag = '--' + key.replace(/[A-Z]/g, char => '-' + char.toLowerCase());
+            return value === true ? flag : `${flag} ${value}`;
+        })
+        .join(' ');
+}
+
+/**
+ * Find the position of a batch in the log by id
+ * @param {Array} log - Log array
+ * @param {number|string} id - Batch id
+ * @returns {number} Index, or -1 if not found
+ */
+function findBatchIndex(log, id) {
+    return log.findIndex((batch, i) => String(getBatchId(batch, i)) === String(id));
+}
+
+/**
+ * Find operations of a batch whose files were moved again, or overwritten
+ * (and set aside in the trash), by a later batch
+ * @param {Array} log - Log array
+ * @param {number} index - Position of the batch to check
+ * @returns {Array} Conflicts as { operation, batchId, movedTo, reason } where movedTo is
+ *     where the file is now and reason is "moved again" or "overwritten"
+ */
+function findBatchConflicts(log, index) {
+    const conflicts = [];
+
+    for (const operation of log[index].operations) {
+        if (!operation.movedTo) continue;
+
+        for (let later = index + 1; later < log.length; later++) {
+            const laterOp = log[later].operations.find(op => op.original === operation.movedTo ||
+                (op.replaced && op.movedTo === operation.movedTo));
+            if (laterOp) {
+                const overwritten = laterOp.original !== operation.movedTo;
+                conflicts.push({
+                    operation,
+                    batchId: getBatchId(log[later], later),
+                    movedTo: overwritten ? laterOp.replaced : laterOp.movedTo || null,
+                    reason: overwritten ? 'overwritten' : 'moved again'
+                });
+                break;
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Get a summary of every logged batch in log order. Undone batches (the
+ * redo stack) have their undo timestamp in `undone`.
+ * @param {string} targetDir - Directory with log file
+ * @returns {Promise<Array>} Batches as { id, timestamp, command, fileCount, options, undone }
+ */
+async function getHistory(targetDir) {
+    const log = await readLog(path.resolve(targetDir));
+    if (!log) return [];
+
+    return normalizeLog(log).map(batch => ({
+        id: batch.id,
+        timestamp: batch.timestamp,
+        command: batch.command || 'organize',
+        fileCount: batch.operations.length,
+        options: batch.options || {},
+        undone: batch.undone || null
+    }));
+}
+
+/**
+ * Print every logged batch
+ * @param {string} targetDir - Directory with log file
+ * @returns {Promise<Array>} The batch summaries
+ */
+async function showHistory(targetDir) {
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    const history = await getHistory(targetDir);
+
+    if (history.length === 0) {
+        console.log(chalk.yellow('No operation history found.'));
+        return history;
+    }
+
+    const printBatch = batch => {
+        const flags = formatOptions(batch.options);
+        console.log(chalk.cyan(`  #${batch.id}  ${batch.timestamp}  ${batch.command}  ${batch.fileCount} files`));
+        if (flags) {
+            console.log(chalk.gray(`      ${flags}`));
+        }
+    };
+
+    const active = history.filter(batch => !batch.undone);
+    const undone = history.filter(batch => batch.undone);
+
+    console.log(chalk.bold('\nOperation History:\n'));
+    active.forEach(printBatch);
+    if (active.length === 0) {
+        console.log(chalk.gray('  (nothing to undo)'));
+    }
+
+    if (undone.length > 0) {
+        console.log(chalk.bold('\nUndone (most recent last, redo with "segre redo"):\n'));
+        undone.forEach(printBatch);
+    }
+
+    console.log('');
+    console.log(chalk.gray(`Use "segre undo ${targetDir} --batch <id>" to revert a specific batch.`));
+
+    return history;
+}
+
+module.exports = {
+    formatOptions,
+    findBatchIndex,
+    findBatchConflicts,
+    getHistory,
+    showHistory
+};
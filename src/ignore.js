@@ -0,0 +1,226 @@
+/**
+ * Ignore patterns with gitignore semantics, from --ignore and .segreignore
+ * files, and the protected files that are never organized
+ * @module ignore
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { globToRegExp } = require('./utils');
+
+const IGNORE_FILE_NAME = '.segreignore';
+
+/**
+ * Files left alone by default: system files, secrets, and downloads or saves
+ * still in progress. The "protected" config key adds patterns, or re-includes
+ * these with "!".
+ */
+const PROTECTED_PATTERNS = [
+    // macOS and Windows system files
+    '.DS_Store', '._*', '.localized', '.Spotlight-V100', '.Trashes', '.fseventsd', '.TemporaryItems',
+    'Thumbs.db', 'ehthumbs.db', 'desktop.ini', '$RECYCLE.BIN', 'System Volume Information',
+    // Secrets
+    '.env', '.env.*',
+    // Partial downloads, temporary files and office lock files. Safari's
+    // ".download" is a folder; a file named "invoice.pdf.download" is organized.
+    '*.crdownload', '*.part', '*.partial', '*.download/', '*.opdownload', '*.tmp', '*.temp', '~$*', '.~lock.*#'
+];
+
+/**
+ * Split the --ignore option into patterns
+ * @param {string} [value] - Comma-separated patterns
+ * @returns {string[]} Patterns
+ */
+function parseIgnoreOption(value) {
+    return value ? value.split(',').map(pattern => pattern.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Compile ignore patterns (gitignore syntax). A pattern with a slash other
+ * than a trailing one is anchored to the base directory; one without
+ * matches a name at any depth. A trailing slash only matches directories,
+ * and a leading "!" re-includes what earlier patterns ignored.
+ * @param {string[]} patterns - Patterns, or lines of an ignore file
+ * @param {string} [base] - Directory the patterns are relative to, relative to
+ *     the root with "/" separators ("" for the root itself)
+ * @returns {Array} Compiled rules
+ */
+function compilePatterns(patterns, base = '') {
+    const rules = [];
+
+    for (const line of patterns) {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (pattern === '' || pattern.startsWith('#')) continue;
+
+        const negate = pattern.startsWith('!');
+        if (negate) {
+            pattern = pattern.slice(1);
+        } else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+            pattern = pattern.slice(1);
+        }
+
+        const dirOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (pattern === '') continue;
+
+        rules.push({ base, negate, dirOnly, anchored, regex: globToRegExp(pattern) });
+    }
+
+    return rules;
+}
+
+/**
+ * Find the last rule that matches a path; it decides whether the path is ignored
+ * @param {Array} rules - Compiled rules, lowest priority first
+ * @param {string} relativePath - Path relative to the root, "/" separators
+ * @param {boolean} isDir - Whether the path is a directory
+ * @returns {Object|null} The rule, or null if none matches
+ */
+function findLastMatch(rules, relativePath, isDir) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+        const rule = rules[i];
+        if (rule.dirOnly && !isDir) continue;
+
+        let rest = relativePath;
+        if (rule.base) {
+            if (!relativePath.startsWith(rule.base + '/')) continue;
+            rest = relativePath.slice(rule.base.length + 1);
+        }
+
+        const subject = rule.anchored ? rest : rest.slice(rest.lastIndexOf('/') + 1);
+        if (rule.regex.test(subject)) return rule;
+    }
+    return null;
+}
+
+/**
+ * Check a path against compiled rules. Like git, nothing inside an ignored
+ * directory can be re-included.
+ * @param {Array} rules - Compiled rules, lowest priority first
+ * @param {string} relativePath - Path relative to the root, "/" separators
+ * @param {boolean} isDir - Whether the path is a directory
+ * @returns {boolean} True if ignored
+ */
+function matchesRules(rules, relativePath, isDir) {
+    const segments = relativePath.split('/').filter(Boolean);
+
+    for (let i = 1; i <= segments.length; i++) {
+        const isLast = i === segments.length;
+        const rule = findLastMatch(rules, segments.slice(0, i).join('/'), isLast ? isDir : true);
+        const ignored = Boolean(rule && !rule.negate);
+        if (ignored || isLast) return ignored;
+    }
+    return false;
+}
+
+/**
+ * Check if a path should be ignored
+ * @param {string} filePath - File path to check
+ * @param {Array<string>} ignorePatterns - Patterns to ignore (gitignore syntax)
+ * @param {boolean} [isDir] - Whether the path is a directory
+ * @returns {boolean} True if should be ignored
+ */
+function shouldIgnore(filePath, ignorePatterns, isDir = false) {
+    if (!ignorePatterns || ignorePatterns.length === 0) return false;
+
+    return matchesRules(compilePatterns(ignorePatterns), filePath.split(path.sep).join('/'), isDir);
+}
+
+/**
+ * Create the matcher for a scan of a directory. It starts with the
+ * .segreignore file of the root; load() adds those of subdirectories as the
+ * scan reaches them. Deeper files take precedence, and --ignore patterns
+ * over all files.
+ * @param {string} rootDir - Directory being scanned
+ * @param {string[]} [patterns] - Patterns from --ignore
+ * @returns {Promise<Object>} Matcher with ignores(filePath, isDir) and load(dir)
+ */
+async function createIgnoreMatcher(rootDir, patterns = []) {
+    const optionRules = compilePatterns(patterns);
+    const fileRules = [];
+    const toRelative = filePath => path.relative(rootDir, filePath).split(path.sep).join('/');
+
+    const matcher = {
+        /**
+         * Add the rules of a directory's .segreignore file, if it has one
+         * @param {string} dir - Directory inside the root
+         */
+        async load(dir) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(dir, IGNORE_FILE_NAME), 'utf-8');
+            } catch {
+                return;
+            }
+            fileRules.push(...compilePatterns(content.split(/\r?\n/), toRelative(dir)));
+        },
+
+        /**
+         * Check whether a path inside the root is ignored
+         * @param {string} filePath - Absolute path
+         * @param {boolean} [isDir] - Whether the path is a directory
+         * @returns {boolean} True if ignored
+         */
+        ignores(filePath, isDir = false) {
+            return matchesRules([...fileRules, ...optionRules], toRelative(filePath), isDir);
+        }
+    };
+
+    await matcher.load(rootDir);
+    return matcher;
+}
+
+/**
+ * Create a matcher for directory patterns (--only-dirs, --exclude-dirs),
+ * written like ignore patterns
+ * @param {string[]} patterns - Patterns
+ * @returns {Function|null} Function telling whether a directory, given
+ *     relative to the root, or one of its parents matches; null without patterns
+ */
+function createDirMatcher(patterns) {
+    if (patterns.length === 0) return null;
+
+    const rules = compilePatterns(patterns);
+    return relativeDir => matchesRules(rules, relativeDir.split(path.sep).join('/'), true);
+}
+
+/**
+ * Create the check for files that are not organized whatever the patterns:
+ * protected files and, without includeHidden, hidden files and directories
+ * @param {string[]} [patterns] - Extra patterns from the config file
+ * @param {boolean} [includeHidden] - Organize hidden files that are not protected
+ * @returns {Object} Check with reason(filePath, isDir)
+ */
+function createProtectedMatcher(patterns = [], includeHidden = false) {
+    const rules = compilePatterns([...PROTECTED_PATTERNS, ...patterns]);
+
+    return {
+        /**
+         * Tell why a file is left alone
+         * @param {string} filePath - File or directory path
+         * @param {boolean} [isDir] - Whether the path is a directory
+         * @returns {string|null} "protected", "hidden", or null to organize it
+         */
+        reason(filePath, isDir = false) {
+            const name = path.basename(filePath);
+            if (matchesRules(rules, name, isDir)) return 'protected';
+            if (!includeHidden && name.startsWith('.')) return 'hidden';
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    IGNORE_FILE_NAME,
+    PROTECTED_PATTERNS,
+    parseIgnoreOption,
+    compilePatterns,
+    shouldIgnore,
+    createIgnoreMatcher,
+    createDirMatcher,
+    createProtectedMatcher
+};
@@ -5,11 +5,45 @@
  */
 
 const { defaultCategories, getCategory } = require('./categories');
-const { getUniqueFilePath, getMonthName, shouldIgnore } = require('./utils');
-const { loadConfig, generateSampleConfig } = require('./config');
-const { LOG_FILE_NAME, saveLog, readLog, updateLog } = require('./logger');
-const { organizeDirectory, undoOrganize, showCategories } = require('./organizer');
-const { VERSION, createProgram, run } = require('./cli');
+const {
+    getUniqueFilePath,
+    createPathAllocator,
+    runConcurrently,
+    getMonthName,
+    describeError,
+    formatBytes,
+    parseSize,
+    parseDuration,
+    globToRegExp
+} = require('./utils');
+const { IGNORE_FILE_NAME, PROTECTED_PATTERNS, shouldIgnore, createIgnoreMatcher, createProtectedMatcher } = require('./ignore');
+const { defaultSignatures, detectFileType, detectCategory } = require('./detector');
+const { parseRules, findMatchingRule } = require('./rules');
+const { parseDate, parseFilters, findFailedFilter } = require('./filters');
+const { CONFLICT_STRATEGIES, parseConflictStrategy, parseRenameFormat, createRenamer } = require('./conflicts');
+const { parseTemplate, getTemplateValues, renderTemplate } = require('./templates');
+const { readCaptureDate } = require('./metadata');
+const { loadConfig, loadSettings, generateSampleConfig } = require('./config');
+const { LOG_FILE_NAME, TRASH_DIR_NAME, saveLog, readLog, updateLog, getBatchId } = require('./logger');
+const { findBatchConflicts, getHistory, showHistory } = require('./history');
+const {
+    parseConcurrency,
+    planOrganize,
+    executePlan,
+    organizeDirectory,
+    applyPlan,
+    undoOrganize,
+    redoOrganize,
+    recoverRun,
+    showCategories
+} = require('./organizer');
+const { savePlan, loadPlan } = require('./plan');
+const { JOURNAL_FILE_NAME, openJournal, readJournal } = require('./journal');
+const { LOCK_FILE_NAME, acquireLock, acquireLocks } = require('./lock');
+const { parseDuplicatePolicy, hashFile, findDuplicates, showDuplicates } = require('./duplicates');
+const { PLACE_MODES, SYMLINK_POLICIES, moveFile, placeFile } = require('./fileops');
+const { watchDirectory } = require('./watcher');
+const { VERSION, EXIT_PARTIAL_FAILURE, getExitCode, createProgram, run } = require('./cli');
 
 module.exports = {
     // Categories
@@ -18,26 +52,112 @@ module.exports = {
 
     // Utils
     getUniqueFilePath,
+    createPathAllocator,
+    runConcurrently,
     getMonthName,
+    describeError,
+    formatBytes,
+    parseSize,
+    parseDuration,
+    globToRegExp,
+
+    // Ignore patterns
+    IGNORE_FILE_NAME,
     shouldIgnore,
+    createIgnoreMatcher,
+    PROTECTED_PATTERNS,
+    createProtectedMatcher,
+
+    // Detector
+    defaultSignatures,
+    detectFileType,
+    detectCategory,
+
+    // Rules
+    parseRules,
+    findMatchingRule,
+
+    // Filters
+    parseDate,
+    parseFilters,
+    findFailedFilter,
+
+    // Conflicts
+    CONFLICT_STRATEGIES,
+    parseConflictStrategy,
+    parseRenameFormat,
+    createRenamer,
+
+    // Templates
+    parseTemplate,
+    getTemplateValues,
+    renderTemplate,
+
+    // Metadata
+    readCaptureDate,
 
     // Config
     loadConfig,
+    loadSettings,
     generateSampleConfig,
 
     // Logger
     LOG_FILE_NAME,
+    TRASH_DIR_NAME,
     saveLog,
     readLog,
     updateLog,
+    getBatchId,
+
+    // History
+    findBatchConflicts,
+    getHistory,
+    showHistory,
 
     // Organizer
+    parseConcurrency,
+    planOrganize,
+    executePlan,
     organizeDirectory,
+    applyPlan,
     undoOrganize,
+    redoOrganize,
+    recoverRun,
     showCategories,
 
+    // Plans
+    savePlan,
+    loadPlan,
+
+    // Journal
+    JOURNAL_FILE_NAME,
+    openJournal,
+    readJournal,
+
+    // Locks
+    LOCK_FILE_NAME,
+    acquireLock,
+    acquireLocks,
+
+    // Duplicates
+    parseDuplicatePolicy,
+    hashFile,
+    findDuplicates,
+    showDuplicates,
+
+    // File operations
+    PLACE_MODES,
+    SYMLINK_POLICIES,
+    moveFile,
+    placeFile,
+
+    // Watcher
+    watchDirectory,
+
     // CLI
     VERSION,
+    EXIT_PARTIAL_FAILURE,
+    getExitCode,
     createProgram,
     run
 };
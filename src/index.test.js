@@ -2,6 +2,7 @@ const fs = require('fs/promises');
 const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
+const { EventEmitter } = require('events');
 
 // Mock dependencies before requiring the modules
 jest.mock('ora', () => {
@@ -41,18 +42,68 @@ const {
     defaultCategories,
     getCategory,
     getUniqueFilePath,
+    createPathAllocator,
+    runConcurrently,
     getMonthName,
     shouldIgnore,
+    describeError,
+    formatBytes,
+    parseSize,
+    parseDuration,
+    globToRegExp,
+    defaultSignatures,
+    detectFileType,
+    detectCategory,
+    parseRules,
+    findMatchingRule,
+    parseDate,
+    parseFilters,
+    parseConflictStrategy,
+    parseRenameFormat,
+    createRenamer,
+    TRASH_DIR_NAME,
+    parseTemplate,
+    getTemplateValues,
+    renderTemplate,
+    readCaptureDate,
     loadConfig,
+    loadSettings,
     generateSampleConfig,
     LOG_FILE_NAME,
     saveLog,
     readLog,
     updateLog,
+    getBatchId,
+    findBatchConflicts,
+    getHistory,
+    showHistory,
+    parseConcurrency,
+    planOrganize,
+    executePlan,
     organizeDirectory,
+    applyPlan,
+    savePlan,
+    loadPlan,
+    JOURNAL_FILE_NAME,
+    readJournal,
+    IGNORE_FILE_NAME,
+    LOCK_FILE_NAME,
+    acquireLock,
+    acquireLocks,
     undoOrganize,
+    redoOrganize,
+    recoverRun,
     showCategories,
+    parseDuplicatePolicy,
+    hashFile,
+    findDuplicates,
+    showDuplicates,
+    moveFile,
+    placeFile,
+    watchDirectory,
     VERSION,
+    EXIT_PARTIAL_FAILURE,
+    getExitCode,
     createProgram
 } = require('./index');
 
@@ -73,6 +124,27 @@ async function cleanupTestDir() {
     }
 }
 
+// Poll until a condition holds or the timeout expires
+async function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// Plan a recursive run, collecting the files and folders left out
+async function planRecursive(directory, options = {}) {
+    const ignored = [];
+    const events = new EventEmitter();
+    events.on('file:ignored', item => ignored.push(item));
+    const result = await planOrganize(directory, { recursive: true, ...options, events });
+    const sources = result.entries.map(entry => entry.source).sort();
+    return { sources, names: sources.map(source => path.basename(source)).sort(), ignored };
+}
+
 // ==================== VERSION Tests ====================
 describe('VERSION', () => {
     test('should be defined', () => {
@@ -207,6 +279,72 @@ describe('getMonthName', () => {
     });
 });
 
+// ==================== formatBytes Tests ====================
+describe('formatBytes', () => {
+    test('should format bytes with units', () => {
+        expect(formatBytes(0)).toBe('0 B');
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(1536)).toBe('1.5 KB');
+        expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+        expect(formatBytes(2 * 1024 ** 5)).toBe('2048.0 TB');
+    });
+});
+
+// ==================== parseSize / parseDuration Tests ====================
+describe('parseSize', () => {
+    test('should parse sizes with units', () => {
+        expect(parseSize('200')).toBe(200);
+        expect(parseSize(64)).toBe(64);
+        expect(parseSize('1KB')).toBe(1024);
+        expect(parseSize('1.5 mb')).toBe(1.5 * 1024 * 1024);
+        expect(parseSize('2G')).toBe(2 * 1024 ** 3);
+    });
+
+    test('should reject invalid sizes', () => {
+        expect(() => parseSize('big')).toThrow('Invalid size: big');
+        expect(() => parseSize('10XB')).toThrow('Invalid size');
+    });
+});
+
+describe('parseDuration', () => {
+    test('should parse durations with units', () => {
+        expect(parseDuration('30s')).toBe(30 * 1000);
+        expect(parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+        expect(parseDuration('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+        expect(parseDuration('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+        expect(parseDuration('6mo')).toBe(180 * 24 * 60 * 60 * 1000);
+        expect(parseDuration('1y')).toBe(365 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should reject invalid durations', () => {
+        expect(() => parseDuration('soon')).toThrow('Invalid duration: soon');
+        expect(() => parseDuration('30')).toThrow('Invalid duration');
+    });
+});
+
+// ==================== globToRegExp Tests ====================
+describe('globToRegExp', () => {
+    test('should match single-segment wildcards', () => {
+        expect(globToRegExp('*.pdf').test('report.pdf')).toBe(true);
+        expect(globToRegExp('*.pdf').test('dir/report.pdf')).toBe(false);
+        expect(globToRegExp('file?.txt').test('file1.txt')).toBe(true);
+        expect(globToRegExp('a.b').test('axb')).toBe(false);
+    });
+
+    test('should match ** across directories', () => {
+        expect(globToRegExp('**/*.pdf').test('report.pdf')).toBe(true);
+        expect(globToRegExp('**/*.pdf').test('a/b/report.pdf')).toBe(true);
+        expect(globToRegExp('src/**').test('src/a/b.js')).toBe(true);
+    });
+
+    test('should support character classes', () => {
+        expect(globToRegExp('img[0-9].png').test('img7.png')).toBe(true);
+        expect(globToRegExp('[!a]b').test('ab')).toBe(false);
+        expect(globToRegExp('[!a]b').test('cb')).toBe(true);
+        expect(globToRegExp('a[b').test('a[b')).toBe(true);
+    });
+});
+
 // ==================== loadConfig Tests ====================
 describe('loadConfig', () => {
     beforeEach(async () => {
@@ -285,6 +423,674 @@ describe('loadConfig', () => {
     });
 });
 
+// ==================== loadSettings Tests ====================
+describe('loadSettings', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    async function writeConfig(config) {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify(config));
+        return configPath;
+    }
+
+    test('should return categories and default signatures', async () => {
+        const configPath = await writeConfig({ "Scans": [".tif"] });
+
+        const settings = await loadSettings(configPath);
+        expect(settings.categories.Scans).toEqual([".tif"]);
+        expect(settings.categories.Images).toBeDefined();
+        expect(settings.signatures).toEqual(defaultSignatures);
+    });
+
+    test('should put custom signatures before the defaults', async () => {
+        const configPath = await writeConfig({
+            "Databases": [".db"],
+            "signatures": [{ "name": "sqlite", "category": "Databases", "hex": "53514c697465", "extensions": [".DB"] }]
+        });
+
+        const settings = await loadSettings(configPath);
+        expect(settings.signatures[0]).toEqual({
+            name: 'sqlite', category: 'Databases', hex: '53514C697465', offset: 0, extensions: ['.db']
+        });
+        expect(settings.signatures).toHaveLength(defaultSignatures.length + 1);
+        expect(settings.categories.signatures).toBeUndefined();
+    });
+
+    test('should not treat signatures as a category in loadConfig', async () => {
+        const configPath = await writeConfig({ "signatures": [] });
+
+        const result = await loadConfig(configPath);
+        expect(result.signatures).toBeUndefined();
+    });
+
+    test('should reject malformed signatures', async () => {
+        const cases = [
+            [{ "signatures": {} }, '"signatures" must be an array'],
+            [{ "signatures": [null] }, 'Signature #1 must be an object'],
+            [{ "signatures": [{ "hex": "00" }] }, 'Signature #1 must have a category'],
+            [{ "signatures": [{ "category": "X", "hex": "0G" }] }, 'Signature #1 must have a hex byte pattern'],
+            [{ "signatures": [{ "category": "X", "hex": "00", "offset": -1 }] }, 'Signature #1 offset must be a non-negative integer'],
+            [{ "signatures": [{ "category": "X", "hex": "00", "extensions": [1] }] }, 'Signature #1 extensions must be an array of strings']
+        ];
+
+        for (const [config, message] of cases) {
+            const configPath = await writeConfig(config);
+            await expect(loadSettings(configPath)).rejects.toThrow(message);
+        }
+    });
+});
+
+// ==================== Rules Tests ====================
+describe('parseRules', () => {
+    test('should compile rules in order', () => {
+        const rules = parseRules([
+            { name: 'Invoices', conditions: [{ name: '/^invoice_.*\\.pdf$/i' }], destination: 'Finance/Invoices' },
+            { match: 'any', conditions: [{ size: '>500MB' }, { extension: ['.iso', '.IMG'] }], destination: 'Large//' }
+        ]);
+
+        expect(rules).toHaveLength(2);
+        expect(rules[0].name).toBe('Invoices');
+        expect(rules[0].destination).toBe('Finance/Invoices');
+        expect(rules[1].name).toBe('Rule #2');
+        expect(rules[1].destination).toBe('Large');
+        expect(rules[1].condition.type).toBe('any');
+        expect(rules[1].condition.conditions[1].extensions).toEqual(['.iso', '.img']);
+    });
+
+    test('should reject malformed rules', () => {
+        const ok = { conditions: [{ name: '*.pdf' }], destination: 'Docs' };
+        const cases = [
+            [{}, '"rules" must be an array'],
+            [[null], 'Rule #1 must be an object'],
+            [[{ conditions: ok.conditions }], 'Rule #1 must have a relative "destination" folder'],
+            [[{ ...ok, destination: '../escape' }], 'Rule #1 must have a relative "destination" folder'],
+            [[{ ...ok, match: 'some' }], 'Rule #1: "match" must be "all" or "any"'],
+            [[{ ...ok, conditions: [] }], 'Rule #1 must have a non-empty "conditions" array'],
+            [[{ ...ok, conditions: ['x'] }], 'Rule #1 > conditions[0] must be an object'],
+            [[{ ...ok, conditions: [{}] }], 'must have at least one condition'],
+            [[{ ...ok, conditions: [{ color: 'red' }] }], 'unknown condition "color"'],
+            [[{ ...ok, conditions: [{ any: [] }] }], '"any" must be a non-empty array'],
+            [[{ ...ok, conditions: [{ name: '' }] }], '"name" must be a non-empty string'],
+            [[{ ...ok, conditions: [{ name: '/(/' }] }], 'is not a valid regex'],
+            [[{ ...ok, conditions: [{ extension: [1] }] }], '"extension" must be a string or array of strings'],
+            [[{ ...ok, conditions: [{ size: '500MB' }] }], '"size" must look like'],
+            [[{ ...ok, conditions: [{ olderThan: 'ages' }] }], 'Invalid duration'],
+            [[{ ...ok, destination: 'Docs/{1}' }], 'Rule #1: Unknown token "{1}"'],
+            [[{ ...ok, conditions: [{ name: '/^(\\d+)_(?<client>\\w+)/' }], destination: '{client}/{2}/{3}' }], 'Unknown token "{3}"'],
+            [[{ ...ok, destination: 'Docs/{categroy}' }], 'Unknown token "{categroy}"']
+        ];
+
+        for (const [rules, message] of cases) {
+            expect(() => parseRules(rules)).toThrow(message);
+        }
+    });
+});
+
+describe('findMatchingRule', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const makeFile = (relative, size, ageDays) => ({
+        name: path.basename(relative),
+        path: path.join('/base', relative),
+        stats: { size, mtime: new Date(Date.now() - ageDays * day) }
+    });
+
+    const rules = parseRules([
+        { name: 'Invoices', conditions: [{ name: '/^invoice_(\\d{4})_(?<client>\\w+)\\.pdf$/i' }], destination: 'Finance/Invoices' },
+        { name: 'Large', conditions: [{ size: '>500MB' }], destination: 'Large' },
+        { name: 'Old', conditions: [{ olderThan: '180d' }], destination: 'Archive/Old' },
+        { name: 'Recent screenshots', conditions: [{ name: 'Screenshot*.png', newerThan: '7d' }], destination: 'Screenshots' },
+        { name: 'Projects', match: 'any', conditions: [{ path: 'projects/**' }, { all: [{ extension: '.psd' }, { size: '>=1KB' }] }], destination: 'Work' },
+        { name: 'Tiny', conditions: [{ size: '<10' }, { size: '<=9' }, { size: '=5' }], destination: 'Tiny' }
+    ]);
+
+    test('should match name regex and keep captures', () => {
+        const result = findMatchingRule(rules, makeFile('INVOICE_2024_acme.pdf', 100, 1), '/base');
+        expect(result.rule.name).toBe('Invoices');
+        expect(result.captures).toEqual({ 1: '2024', 2: 'acme', client: 'acme' });
+    });
+
+    test('should match size and age conditions', () => {
+        expect(findMatchingRule(rules, makeFile('movie.mkv', 600 * 1024 * 1024, 1), '/base').rule.name).toBe('Large');
+        expect(findMatchingRule(rules, makeFile('notes.txt', 100, 200), '/base').rule.name).toBe('Old');
+    });
+
+    test('should combine conditions in one object with all semantics', () => {
+        expect(findMatchingRule(rules, makeFile('Screenshot 1.png', 100, 1), '/base').rule.name).toBe('Recent screenshots');
+        expect(findMatchingRule(rules, makeFile('Screenshot 2.png', 100, 30), '/base')).toBeNull();
+    });
+
+    test('should support any, nested all and path globs', () => {
+        expect(findMatchingRule(rules, makeFile('projects/app/main.js', 100, 1), '/base').rule.destination).toBe('Work');
+        expect(findMatchingRule(rules, makeFile('art.psd', 2048, 1), '/base').rule.destination).toBe('Work');
+        expect(findMatchingRule(rules, makeFile('art.psd', 10, 1), '/base')).toBeNull();
+    });
+
+    test('should evaluate every size operator', () => {
+        expect(findMatchingRule(rules, makeFile('five.bin', 5, 1), '/base').rule.name).toBe('Tiny');
+        expect(findMatchingRule(rules, makeFile('six.bin', 6, 1), '/base')).toBeNull();
+    });
+});
+
+describe('Rule-based Organization', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should apply rules before extension categories', async () => {
+        const configPath = path.join(os.tmpdir(), `segre-rules-${Date.now()}.json`);
+        await fs.writeFile(configPath, JSON.stringify({
+            rules: [
+                { name: 'Invoices', conditions: [{ name: '/^invoice_.*\\.pdf$/i' }], destination: 'Finance/Invoices' },
+                { name: 'Old', conditions: [{ olderThan: '180d' }], destination: 'Archive/Old' }
+            ]
+        }));
+
+        await fs.writeFile(path.join(testDir, 'invoice_march.pdf'), 'invoice');
+        await fs.writeFile(path.join(testDir, 'manual.pdf'), 'manual');
+        const oldFile = path.join(testDir, 'ancient.txt');
+        await fs.writeFile(oldFile, 'old');
+        const oldDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        await fs.utimes(oldFile, oldDate, oldDate);
+
+        await organizeDirectory(testDir, { config: configPath });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Finance', 'Invoices', 'invoice_march.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'manual.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Archive', 'Old', 'ancient.txt'))).toBe(true);
+
+        // Rule destinations are not re-organized on a recursive re-run
+        await organizeDirectory(testDir, { config: configPath, recursive: true });
+        expect(fsSync.existsSync(path.join(testDir, 'Finance', 'Invoices', 'invoice_march.pdf'))).toBe(true);
+
+        await fs.unlink(configPath);
+    });
+
+    test('should print rules in order', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            rules: [
+                { name: 'Invoices', conditions: [{ name: '/^invoice_/i' }], destination: 'Finance/Invoices' },
+                { match: 'any', conditions: [{ size: '>500MB' }, { any: [{ extension: '.iso' }, { path: 'big/**' }] }], destination: 'Large' },
+                { conditions: [{ olderThan: '180d' }, { newerThan: '2y' }], destination: 'Archive/Old' }
+            ]
+        }));
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await showCategories(configPath);
+
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        logSpy.mockRestore();
+        expect(output).toContain('1. Invoices -> Finance/Invoices');
+        expect(output).toContain('when name matches /^invoice_/i');
+        expect(output).toContain('2. Rule #2 -> Large');
+        expect(output).toContain('when size > 500MB or (extension is .iso or path matches big/**)');
+        expect(output).toContain('when older than 180d and newer than 2y');
+        expect(output.indexOf('Invoices')).toBeLessThan(output.indexOf('File Categories'));
+    });
+});
+
+// ==================== Template Tests ====================
+describe('Templates', () => {
+    const file = {
+        name: 'Report.final.PDF',
+        path: path.join('/data', 'inbox', 'Report.final.PDF'),
+        stats: { size: 2 * 1024 * 1024, mtime: new Date(2024, 2, 7) }
+    };
+
+    test('should provide built-in token values', () => {
+        expect(getTemplateValues(file, { category: 'Documents' })).toEqual({
+            category: 'Documents',
+            name: 'Report.final',
+            ext: '.PDF',
+            extension: 'pdf',
+            year: 2024,
+            month: 3,
+            monthName: 'Mar',
+            day: 7,
+            size: 'Medium',
+            initial: 'R',
+            parent: 'inbox'
+        });
+        expect(getTemplateValues({ ...file, name: '_notes' }).initial).toBe('#');
+    });
+
+    test('should render tokens with padding and case formats', () => {
+        const template = parseTemplate('{category}/{year}/{month:02}-{day:02}/{initial:lower}_{name}{ext}');
+        const values = getTemplateValues(file, { category: 'Documents' });
+
+        expect(template.hasFileName).toBe(true);
+        expect(renderTemplate(template, values)).toEqual(['Documents', '2024', '03-07', 'r_Report.final.PDF']);
+    });
+
+    test('should treat templates without {name} as folders', () => {
+        const template = parseTemplate('By Type\\{extension:upper}/{size}');
+
+        expect(template.hasFileName).toBe(false);
+        expect(renderTemplate(template, getTemplateValues(file))).toEqual(['By Type', 'PDF', 'Medium']);
+    });
+
+    test('should fill rule captures and keep them inside one segment', () => {
+        // {missing} is a capture of a regex that did not match (in an "any" rule)
+        const template = parseTemplate('Clients/{client}/{1}/{missing}', ['1', 'client', 'missing']);
+        const values = getTemplateValues(file, { captures: { 1: '../2024', client: 'acme/eu' } });
+
+        expect(renderTemplate(template, values)).toEqual(['Clients', 'acme_eu', '.._2024']);
+        expect(renderTemplate(parseTemplate('{1}', ['1']), getTemplateValues(file, { captures: { 1: '..' } }))).toEqual(['_']);
+    });
+
+    test('should reject unknown tokens', () => {
+        expect(() => parseTemplate('{categroy}')).toThrow('Unknown token "{categroy}" in template: {categroy} (expected {category}, {name}');
+        expect(() => parseTemplate('{year}/{nmae}{ext}')).toThrow('Unknown token "{nmae}"');
+        expect(() => parseTemplate('{category}/{1}')).toThrow('captures such as {1} only work in the destination of a rule');
+        expect(() => parseTemplate('{client}/{2}', ['1', 'client'])).toThrow('Unknown token "{2}"');
+    });
+
+    test('should reject invalid templates', () => {
+        expect(() => parseTemplate('')).toThrow('non-empty string');
+        expect(() => parseTemplate('/abs/{name}')).toThrow('relative path');
+        expect(() => parseTemplate('{category}/../x')).toThrow('relative path');
+        expect(() => parseTemplate('{category')).toThrow('Unbalanced braces');
+        expect(() => parseTemplate('{month:3}')).toThrow('Invalid token "{month:3}"');
+    });
+
+    describe('organizing', () => {
+        beforeEach(async () => {
+            await createTestDir();
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+            await fs.utimes(path.join(testDir, 'photo.jpg'), new Date(2023, 10, 5), new Date(2023, 10, 5));
+        });
+
+        afterEach(async () => {
+            jest.restoreAllMocks();
+            await cleanupTestDir();
+        });
+
+        test('should refuse an unknown token before moving anything', async () => {
+            const configPath = path.join(os.tmpdir(), `segre-template-${Date.now()}.json`);
+            await fs.writeFile(configPath, JSON.stringify({ template: '{year}/{nmae}{ext}' }));
+
+            await expect(organizeDirectory(testDir, { template: '{categroy}' })).rejects.toThrow('Unknown token "{categroy}"');
+            await expect(organizeDirectory(testDir, { config: configPath })).rejects.toThrow('Unknown token "{nmae}"');
+            expect(await fs.readdir(testDir)).toEqual(['photo.jpg']);
+            await fs.unlink(configPath);
+        });
+
+        test('should combine category and date with --template', async () => {
+            await organizeDirectory(testDir, { template: '{category}/{year}/{month:02}/{day:02}-{name}{ext}' });
+
+            expect(fsSync.existsSync(path.join(testDir, 'Images', '2023', '11', '05-photo.jpg'))).toBe(true);
+        });
+
+        test('should use the config template and skip its fixed root folder', async () => {
+            const configPath = path.join(os.tmpdir(), `segre-template-${Date.now()}.json`);
+            await fs.writeFile(configPath, JSON.stringify({ template: 'Sorted/{extension}' }));
+
+            await organizeDirectory(testDir, { config: configPath, recursive: true });
+            await organizeDirectory(testDir, { config: configPath, recursive: true });
+
+            expect(fsSync.readdirSync(path.join(testDir, 'Sorted', 'jpg'))).toEqual(['photo.jpg']);
+            expect(await readLog(testDir)).toHaveLength(1);
+            await fs.unlink(configPath);
+        });
+
+        test('should prefer --by-date over the config template', async () => {
+            const configPath = path.join(os.tmpdir(), `segre-template-${Date.now()}.json`);
+            await fs.writeFile(configPath, JSON.stringify({ template: 'Sorted/{extension}' }));
+
+            await organizeDirectory(testDir, { config: configPath, byDate: true });
+
+            expect(fsSync.existsSync(path.join(testDir, '2023', 'Nov', 'photo.jpg'))).toBe(true);
+            await fs.unlink(configPath);
+        });
+
+        test('should render rule captures in destinations', async () => {
+            const configPath = path.join(os.tmpdir(), `segre-template-${Date.now()}.json`);
+            await fs.writeFile(configPath, JSON.stringify({
+                rules: [{
+                    conditions: [{ name: '/^invoice_(?<client>[a-z]+)_(\\d{4})/' }],
+                    destination: 'Invoices/{client}/{2}'
+                }]
+            }));
+            await fs.writeFile(path.join(testDir, 'invoice_acme_2024.pdf'), 'invoice');
+
+            await organizeDirectory(testDir, { config: configPath });
+
+            expect(fsSync.existsSync(path.join(testDir, 'Invoices', 'acme', '2024', 'invoice_acme_2024.pdf'))).toBe(true);
+            await fs.unlink(configPath);
+        });
+
+        test('should show a custom template with the categories', async () => {
+            const configPath = path.join(os.tmpdir(), `segre-template-${Date.now()}.json`);
+            await fs.writeFile(configPath, JSON.stringify({ template: '{category}/{year}' }));
+
+            await showCategories(configPath);
+
+            const output = console.log.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('{category}/{year}');
+            await fs.unlink(configPath);
+        });
+
+        test('should report invalid rule destinations with the rule', () => {
+            expect(() => parseRules([{ conditions: [{ name: '*' }], destination: 'A/{b' }]))
+                .toThrow('Rule #1: Unbalanced braces');
+        });
+    });
+});
+
+// ==================== Capture Date Tests ====================
+describe('Capture dates', () => {
+    // TIFF/EXIF block with DateTime in IFD0 and DateTimeOriginal in the Exif IFD
+    function buildTiff({ dateTime, original } = {}, little = false) {
+        const buf = Buffer.alloc(96);
+        const u16 = (value, offset) => (little ? buf.writeUInt16LE(value, offset) : buf.writeUInt16BE(value, offset));
+        const u32 = (value, offset) => (little ? buf.writeUInt32LE(value, offset) : buf.writeUInt32BE(value, offset));
+        buf.write(little ? 'II' : 'MM', 0, 'latin1');
+        u16(42, 2);
+        u32(8, 4);
+        u16(2, 8);
+        u16(0x0132, 10); u16(2, 12); u32(20, 14); u32(56, 18);
+        u16(0x8769, 22); u16(4, 24); u32(1, 26); u32(38, 30);
+        u32(0, 34);
+        u16(1, 38);
+        u16(0x9003, 40); u16(2, 42); u32(20, 44); u32(76, 48);
+        u32(0, 52);
+        buf.write(`${dateTime || '0000:00:00 00:00:00'}\0`, 56, 'latin1');
+        buf.write(`${original || '0000:00:00 00:00:00'}\0`, 76, 'latin1');
+        return buf;
+    }
+
+    function buildJpeg(tiff) {
+        const app0 = Buffer.concat([Buffer.from([0xFF, 0xE0, 0x00, 0x10]), Buffer.from('JFIF\0', 'latin1'), Buffer.alloc(9)]);
+        const app1 = Buffer.alloc(4);
+        app1.writeUInt16BE(0xFFE1, 0);
+        app1.writeUInt16BE(2 + 6 + tiff.length, 2);
+        return Buffer.concat([
+            Buffer.from([0xFF, 0xD8]), app0, app1, Buffer.from('Exif\0\0', 'latin1'), tiff,
+            Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9])
+        ]);
+    }
+
+    function box(type, ...contents) {
+        const body = Buffer.concat(contents);
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(8 + body.length, 0);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, body]);
+    }
+
+    function buildMovie(date, version = 0) {
+        const mvhd = Buffer.alloc(100);
+        mvhd[0] = version;
+        const seconds = date ? date.getTime() / 1000 + 2082844800 : 0;
+        if (version === 1) {
+            mvhd.writeBigUInt64BE(BigInt(seconds), 4);
+        } else {
+            mvhd.writeUInt32BE(seconds, 4);
+        }
+        // moov after mdat, as written by most cameras
+        return Buffer.concat([
+            box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1')),
+            box('mdat', Buffer.alloc(64)),
+            box('moov', box('mvhd', mvhd))
+        ]);
+    }
+
+    // HEIF with a "mime" item and an Exif item (id 2). Version 0 boxes use
+    // 16-bit item ids; version 1 adds 32-bit ids and an iloc base offset.
+    function buildHeic(tiff, version = 0) {
+        const ftyp = box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1'));
+        const infe = (id, type) => {
+            const header = Buffer.alloc(version === 0 ? 8 : 10);
+            header[0] = version === 0 ? 2 : 3;
+            if (version === 0) header.writeUInt16BE(id, 4);
+            else header.writeUInt32BE(id, 4);
+            return box('infe', header, Buffer.from(`${type}\0`, 'latin1'));
+        };
+        const iinfHeader = version === 0 ? Buffer.from([0, 0, 0, 0, 0, 2]) : Buffer.from([1, 0, 0, 0, 0, 0, 0, 2]);
+        const iinf = box('iinf', iinfHeader, infe(1, 'mime'), infe(2, 'Exif'));
+        const exifItem = Buffer.concat([Buffer.from([0, 0, 0, 6]), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+        const makeIloc = itemOffset => {
+            // 4-byte offsets and lengths; version 1 also has 4-byte base offsets
+            const item = (id, base, offset, length) => {
+                // id, [construction method], data reference, [base offset], extent count, offset, length
+                const entry = Buffer.alloc(version === 0 ? 14 : 20);
+                entry.writeUInt16BE(id, 0);
+                let p = version === 0 ? 4 : 6;
+                if (version === 1) {
+                    entry.writeUInt32BE(base, p); p += 4;
+                }
+                entry.writeUInt16BE(1, p); p += 2;
+                entry.writeUInt32BE(offset, p); p += 4;
+                entry.writeUInt32BE(length, p);
+                return entry;
+            };
+            const header = Buffer.from([version, 0, 0, 0, 0x44, version === 0 ? 0 : 0x40, 0, 2]);
+            return box('iloc', header,
+                item(1, 0, 0, 0),
+                version === 0 ? item(2, 0, itemOffset, exifItem.length) : item(2, itemOffset, 0, exifItem.length));
+        };
+        const metaFor = itemOffset => box('meta', Buffer.alloc(4), iinf, makeIloc(itemOffset));
+        const offset = ftyp.length + metaFor(0).length + 8;
+        return Buffer.concat([ftyp, metaFor(offset), box('mdat', exifItem)]);
+    }
+
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    async function captureDateOf(name, content) {
+        await fs.writeFile(path.join(testDir, name), content);
+        return readCaptureDate(path.join(testDir, name));
+    }
+
+    test('should read DateTimeOriginal from JPEG EXIF', async () => {
+        const result = await captureDateOf('photo.jpg', buildJpeg(buildTiff({
+            dateTime: '2024:05:01 10:00:00',
+            original: '2019:08:17 09:15:30'
+        })));
+
+        expect(result).toEqual({ date: new Date(2019, 7, 17, 9, 15, 30), source: 'EXIF DateTimeOriginal' });
+    });
+
+    test('should fall back to DateTime in little-endian TIFF', async () => {
+        const result = await captureDateOf('scan.tif', buildTiff({ dateTime: '2020:01:02 03:04:05' }, true));
+
+        expect(result).toEqual({ date: new Date(2020, 0, 2, 3, 4, 5), source: 'EXIF DateTime' });
+    });
+
+    test('should read EXIF from HEIC images', async () => {
+        const tiff = buildTiff({ original: '2023:12:24 18:00:00' });
+        const expected = { date: new Date(2023, 11, 24, 18, 0, 0), source: 'EXIF DateTimeOriginal' };
+
+        expect(await captureDateOf('IMG_0001.HEIC', buildHeic(tiff))).toEqual(expected);
+        expect(await captureDateOf('IMG_0002.HEIC', buildHeic(tiff, 1))).toEqual(expected);
+    });
+
+    test('should read the creation time of MP4 and MOV files', async () => {
+        const date = new Date(Date.UTC(2022, 5, 15, 12, 0, 0));
+
+        expect(await captureDateOf('clip.mp4', buildMovie(date))).toEqual({ date, source: 'QuickTime creation time' });
+        expect(await captureDateOf('clip.mov', buildMovie(date, 1))).toEqual({ date, source: 'QuickTime creation time' });
+        expect(await captureDateOf('blank.mp4', buildMovie(null))).toBeNull();
+    });
+
+    test('should walk 64-bit and open-ended boxes', async () => {
+        const date = new Date(Date.UTC(2021, 3, 1));
+        const movie = buildMovie(date);
+        const ftyp = movie.subarray(0, 24);
+        const moov = movie.subarray(24 + 72);
+        // "free" box with a 64-bit size, and an mdat running to the end of the file
+        const large = Buffer.alloc(24);
+        large.writeUInt32BE(1, 0);
+        large.write('free', 4, 'latin1');
+        large.writeBigUInt64BE(24n, 8);
+        const openEnded = Buffer.concat([Buffer.from([0, 0, 0, 0]), Buffer.from('mdat', 'latin1'), Buffer.alloc(32)]);
+
+        const result = await captureDateOf('long.mp4', Buffer.concat([ftyp, large, moov, openEnded]));
+
+        expect(result).toEqual({ date, source: 'QuickTime creation time' });
+    });
+
+    test('should return null without usable metadata', async () => {
+        expect(await captureDateOf('empty.jpg', buildJpeg(buildTiff()))).toBeNull();
+        expect(await captureDateOf('truncated.jpg', buildJpeg(buildTiff({ original: '2019:08:17 09:15:30' })).subarray(0, 40))).toBeNull();
+        expect(await captureDateOf('notes.txt', 'plain text')).toBeNull();
+        expect(await readCaptureDate(path.join(testDir, 'missing.jpg'))).toBeNull();
+    });
+
+    test('should organize by capture date and show the date source', async () => {
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), buildJpeg(buildTiff({ original: '2019:08:17 09:15:30' })));
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'no metadata');
+        await fs.utimes(path.join(testDir, 'notes.txt'), new Date(2021, 0, 5), new Date(2021, 0, 5));
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await organizeDirectory(testDir, { byDate: true, captureDate: true, dryRun: true });
+
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        expect(output).toContain(`${path.join('2019', 'Aug', 'photo.jpg')} (date: EXIF DateTimeOriginal)`);
+        expect(output).toContain(`${path.join('2021', 'Jan', 'notes.txt')} (date: mtime)`);
+
+        await organizeDirectory(testDir, { template: '{year}/{month:02}', captureDate: true, verbose: true });
+
+        expect(fsSync.existsSync(path.join(testDir, '2019', '08', 'photo.jpg'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, '2021', '01', 'notes.txt'))).toBe(true);
+        expect(logSpy.mock.calls.map(call => call[0]).join('\n')).toContain('(date: EXIF DateTimeOriginal)');
+    });
+});
+
+// ==================== Content Detection Tests ====================
+describe('detectFileType', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    const samples = {
+        pdf: ['25504446', 'Documents'],
+        png: ['89504E470D0A1A0A', 'Images'],
+        jpeg: ['FFD8FFE0', 'Images'],
+        gif: ['474946383961', 'Images'],
+        webp: ['524946461000000057454250', 'Images'],
+        zip: ['504B0304', 'Archives'],
+        gzip: ['1F8B08', 'Archives'],
+        mp3: ['49443303', 'Audio'],
+        wav: ['524946461000000057415645', 'Audio'],
+        mp4: ['0000001866747970697336', 'Videos'],
+        heif: ['00000018667479706D696631', 'Images'],
+        avif: ['000000186674797061766966', 'Images'],
+        elf: ['7F454C46', 'Executables']
+    };
+
+    for (const [name, [hex, category]] of Object.entries(samples)) {
+        test(`should recognize ${name}`, async () => {
+            const filePath = path.join(testDir, 'sample');
+            await fs.writeFile(filePath, Buffer.concat([Buffer.from(hex, 'hex'), Buffer.alloc(16)]));
+
+            const detected = await detectFileType(filePath);
+            expect(detected.name).toBe(name);
+            expect(detected.category).toBe(category);
+        });
+    }
+
+    test('should recognize tar by signature at offset 257', async () => {
+        const buffer = Buffer.alloc(512);
+        buffer.write('ustar', 257);
+        const filePath = path.join(testDir, 'backup');
+        await fs.writeFile(filePath, buffer);
+
+        expect((await detectFileType(filePath)).name).toBe('tar');
+    });
+
+    test('should return null for unknown content', async () => {
+        const filePath = path.join(testDir, 'plain');
+        await fs.writeFile(filePath, 'just some text');
+
+        expect(await detectFileType(filePath)).toBeNull();
+    });
+
+    test('should return null for unreadable files', async () => {
+        expect(await detectFileType(path.join(testDir, 'missing'))).toBeNull();
+    });
+});
+
+describe('detectCategory', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should use content when the extension has no category', async () => {
+        const filePath = path.join(testDir, 'invoice.pdf.download');
+        await fs.writeFile(filePath, '%PDF-1.7 content');
+        const photo = path.join(testDir, 'IMG_0001');
+        await fs.writeFile(photo, Buffer.from('000000186674797061766966', 'hex'));
+
+        expect(await detectCategory(filePath, defaultCategories)).toBe('Documents');
+        expect(await detectCategory(photo, defaultCategories)).toBe('Images');
+    });
+
+    test('should use content over a wrong extension', async () => {
+        const scan = path.join(testDir, 'scan.jpg');
+        await fs.writeFile(scan, '%PDF-1.7 content');
+        const photo = path.join(testDir, 'photo.pdf');
+        await fs.writeFile(photo, Buffer.from('89504E470D0A1A0A0000', 'hex'));
+
+        expect(await detectCategory(scan, defaultCategories)).toBe('Documents');
+        expect(await detectCategory(photo, defaultCategories)).toBe('Images');
+    });
+
+    test('should not let weak signatures overrule a known extension', async () => {
+        const cases = [
+            ['MZ notes.txt', 'MZ is my initials', 'Documents'],
+            ['export.csv', Buffer.from('FFFB3B2C31', 'hex'), 'Documents'],
+            ['logo.ai', '%PDF-1.5 illustrator', 'Images'],
+            ['setup', 'MZ', 'Executables']
+        ];
+
+        for (const [name, content, category] of cases) {
+            const filePath = path.join(testDir, name);
+            await fs.writeFile(filePath, content);
+            expect(await detectCategory(filePath, defaultCategories)).toBe(category);
+        }
+    });
+
+    test('should keep extension category for container formats', async () => {
+        const filePath = path.join(testDir, 'report.docx');
+        await fs.writeFile(filePath, Buffer.from('504B030414000600', 'hex'));
+
+        expect(await detectCategory(filePath, defaultCategories)).toBe('Documents');
+    });
+
+    test('should fall back to extension when content is unknown', async () => {
+        const filePath = path.join(testDir, 'script.py');
+        await fs.writeFile(filePath, 'print("hello")');
+
+        expect(await detectCategory(filePath, defaultCategories)).toBe('Code');
+    });
+});
+
 // ==================== saveLog Tests ====================
 describe('saveLog', () => {
     beforeEach(async () => {
@@ -316,6 +1122,23 @@ describe('saveLog', () => {
 
         const content = JSON.parse(await fs.readFile(logPath, 'utf-8'));
         expect(content).toHaveLength(2);
+        expect(content[1].id).toBe(2);
+    });
+
+    test('should record batch details', async () => {
+        await saveLog(testDir, [], { command: 'organize', options: { byDate: true } });
+        await saveLog(testDir, []);
+
+        const content = JSON.parse(await fs.readFile(path.join(testDir, LOG_FILE_NAME), 'utf-8'));
+        expect(content[0]).toMatchObject({ id: 1, command: 'organize', options: { byDate: true } });
+        expect(content[1].id).toBe(2);
+    });
+});
+
+describe('getBatchId', () => {
+    test('should use stored id or position', () => {
+        expect(getBatchId({ id: 7 }, 0)).toBe(7);
+        expect(getBatchId({}, 2)).toBe(3);
     });
 });
 
@@ -405,6 +1228,54 @@ describe('shouldIgnore', () => {
         expect(shouldIgnore('/path/.git/config', patterns)).toBe(true);
         expect(shouldIgnore('/path/src/app.js', patterns)).toBe(false);
     });
+
+    test('should match whole names rather than substrings', () => {
+        expect(shouldIgnore('build/app.js', ['build'])).toBe(true);
+        expect(shouldIgnore('build-notes.txt', ['build'])).toBe(false);
+        expect(shouldIgnore('rebuild.txt', ['build'])).toBe(false);
+    });
+
+    test('should support ?, ** and character classes', () => {
+        expect(shouldIgnore('scan1.pdf', ['scan?.pdf'])).toBe(true);
+        expect(shouldIgnore('scan10.pdf', ['scan?.pdf'])).toBe(false);
+        expect(shouldIgnore('a/b/c/tmp/x.txt', ['**/tmp'])).toBe(true);
+        expect(shouldIgnore('logs/2026/01/app.txt', ['logs/**/*.txt'])).toBe(true);
+        expect(shouldIgnore('draft-a.doc', ['draft-[ab].doc'])).toBe(true);
+        expect(shouldIgnore('draft-c.doc', ['draft-[ab].doc'])).toBe(false);
+        expect(shouldIgnore('draft-c.doc', ['draft-[!ab].doc'])).toBe(true);
+    });
+
+    test('should re-include files with negated patterns', () => {
+        const patterns = ['*.log', '!keep.log'];
+        expect(shouldIgnore('debug.log', patterns)).toBe(true);
+        expect(shouldIgnore('keep.log', patterns)).toBe(false);
+        // The last matching pattern wins
+        expect(shouldIgnore('keep.log', ['!keep.log', '*.log'])).toBe(true);
+    });
+
+    test('should not re-include files inside an ignored directory', () => {
+        expect(shouldIgnore('cache/keep.txt', ['cache', '!keep.txt'])).toBe(true);
+    });
+
+    test('should anchor patterns that contain a slash', () => {
+        expect(shouldIgnore('tmp/a.txt', ['/tmp'])).toBe(true);
+        expect(shouldIgnore('src/tmp/a.txt', ['/tmp'])).toBe(false);
+        expect(shouldIgnore('src/tmp/a.txt', ['tmp'])).toBe(true);
+        expect(shouldIgnore('docs/old/a.txt', ['docs/old'])).toBe(true);
+        expect(shouldIgnore('src/docs/old/a.txt', ['docs/old'])).toBe(false);
+    });
+
+    test('should only match directories with a trailing slash', () => {
+        expect(shouldIgnore('cache', ['cache/'], true)).toBe(true);
+        expect(shouldIgnore('cache', ['cache/'], false)).toBe(false);
+        expect(shouldIgnore('cache/a.txt', ['cache/'])).toBe(true);
+    });
+
+    test('should skip comments and honour escapes', () => {
+        expect(shouldIgnore('notes.txt', ['# notes.txt', ''])).toBe(false);
+        expect(shouldIgnore('#notes.txt', ['\\#notes.txt'])).toBe(true);
+        expect(shouldIgnore('!important.txt', ['\\!important.txt'])).toBe(true);
+    });
 });
 
 // ==================== organizeDirectory Tests ====================
@@ -656,65 +1527,917 @@ describe('Recursive Mode', () => {
     });
 });
 
-// ==================== Organize by Date Tests ====================
-describe('Organize by Date', () => {
+// ==================== Scan Bounds Tests ====================
+describe('Depth Limits and Directory Filters', () => {
     beforeEach(async () => {
         await createTestDir();
+        await fs.mkdir(path.join(testDir, 'projects', 'app', 'src'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'vendor', 'lib'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'top.pdf'), 'd1');
+        await fs.writeFile(path.join(testDir, 'projects', 'a.pdf'), 'd2');
+        await fs.writeFile(path.join(testDir, 'projects', 'app', 'b.pdf'), 'd3');
+        await fs.writeFile(path.join(testDir, 'projects', 'app', 'src', 'c.pdf'), 'd4');
+        await fs.writeFile(path.join(testDir, 'vendor', 'lib', 'd.pdf'), 'd3');
     });
 
     afterEach(async () => {
         await cleanupTestDir();
     });
 
-    test('should organize by year and month', async () => {
-        const filePath = path.join(testDir, 'test.pdf');
-        await fs.writeFile(filePath, 'content');
+    test('should not go deeper than --max-depth', async () => {
+        const { names, ignored } = await planRecursive(testDir, { maxDepth: '2' });
 
-        await organizeDirectory(testDir, { byDate: true });
+        expect(names).toEqual(['a.pdf', 'top.pdf']);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: path.join('projects', 'app'), reason: 'too deep' },
+            { path: path.join('vendor', 'lib'), reason: 'too deep' }
+        ]));
+        expect((await planRecursive(testDir, { maxDepth: 1 })).names).toEqual(['top.pdf']);
+    });
 
-        const now = new Date();
-        const year = now.getFullYear().toString();
-        const month = getMonthName(now);
+    test('should only organize files at least --min-depth deep', async () => {
+        const { names, ignored } = await planRecursive(testDir, { minDepth: 3 });
 
-        expect(fsSync.existsSync(path.join(testDir, year, month, 'test.pdf'))).toBe(true);
+        expect(names).toEqual(['b.pdf', 'c.pdf', 'd.pdf']);
+        expect(ignored).toContainEqual({ path: 'top.pdf', reason: 'out of range' });
     });
-});
 
-// ==================== Verbose Mode Tests ====================
-describe('Verbose Mode', () => {
-    beforeEach(async () => {
-        await createTestDir();
-    });
+    test('should combine --only-dirs with depths', async () => {
+        const { names } = await planRecursive(testDir, { onlyDirs: 'projects/*', minDepth: 3, maxDepth: 3 });
 
-    afterEach(async () => {
-        await cleanupTestDir();
+        expect(names).toEqual(['b.pdf']);
+        expect((await planRecursive(testDir, { onlyDirs: 'app,lib' })).names).toEqual(['b.pdf', 'c.pdf', 'd.pdf']);
     });
 
-    test('should log moves in verbose mode', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
-
-        await organizeDirectory(testDir, { verbose: true });
+    test('should not scan --exclude-dirs', async () => {
+        const { names, ignored } = await planRecursive(testDir, { excludeDirs: 'vendor,src' });
 
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(names).toEqual(['a.pdf', 'b.pdf', 'top.pdf']);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: 'vendor', reason: 'excluded dir' },
+            { path: path.join('projects', 'app', 'src'), reason: 'excluded dir' }
+        ]));
     });
 
-    test('should log ignored files in verbose mode', async () => {
-        await fs.writeFile(path.join(testDir, 'test.log'), 'log');
-        await fs.writeFile(path.join(testDir, 'doc.pdf'), 'doc');
+    test('should only clean up directories inside the scanned region', async () => {
+        await fs.mkdir(path.join(testDir, 'vendor', 'empty'));
+        await fs.mkdir(path.join(testDir, 'projects', 'app', 'src', 'empty'));
 
-        await organizeDirectory(testDir, { verbose: true, ignore: '*.log' });
+        await organizeDirectory(testDir, { recursive: true, onlyDirs: 'projects' });
 
-        expect(fsSync.existsSync(path.join(testDir, 'test.log'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'doc.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'projects'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'vendor', 'empty'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'top.pdf'))).toBe(true);
     });
 
-    test('should log skipped category folders in verbose mode', async () => {
-        await fs.mkdir(path.join(testDir, 'Documents'), { recursive: true });
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+    test('should leave directories below --max-depth alone when cleaning up', async () => {
+        await fs.rm(path.join(testDir, 'projects', 'app'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'projects', 'deep', 'empty'), { recursive: true });
 
-        await organizeDirectory(testDir, { verbose: true });
+        await organizeDirectory(testDir, { recursive: true, maxDepth: 2 });
 
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'projects', 'deep', 'empty'))).toBe(true);
+    });
+
+    test('should reject invalid bounds', async () => {
+        await expect(planOrganize(testDir, { maxDepth: 2 }))
+            .rejects.toThrow('--max-depth, --min-depth, --only-dirs and --exclude-dirs only work with --recursive');
+        await expect(planOrganize(testDir, { recursive: true, maxDepth: '0' }))
+            .rejects.toThrow('Invalid max depth: 0 (expected a whole number of at least 1)');
+        await expect(planOrganize(testDir, { recursive: true, minDepth: 'deep' }))
+            .rejects.toThrow('Invalid min depth: deep');
+        await expect(planOrganize(testDir, { recursive: true, minDepth: 3, maxDepth: 2 }))
+            .rejects.toThrow('Min depth 3 is greater than max depth 2');
+    });
+});
+
+// ==================== Subfolder Structure Tests ====================
+describe('Subfolder Structure', () => {
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.mkdir(path.join(testDir, 'a', 'b', 'c'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'x'));
+        await fs.writeFile(path.join(testDir, 'a', 'b', 'c', 'report.pdf'), 'abc');
+        await fs.writeFile(path.join(testDir, 'x', 'report.pdf'), 'x');
+        await fs.writeFile(path.join(testDir, 'top.pdf'), 'top');
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should flatten subfolders by default', async () => {
+        await organizeDirectory(testDir, { recursive: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report(1).pdf'))).toBe(true);
+    });
+
+    test('should keep the relative path under the category', async () => {
+        await organizeDirectory(testDir, { recursive: true, structure: 'keep' });
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a', 'b', 'c', 'report.pdf'), 'utf-8')).toBe('abc');
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'x', 'report.pdf'), 'utf-8')).toBe('x');
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'top.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'a'))).toBe(false);
+    });
+
+    test('should keep the relative path under a template', async () => {
+        const date = new Date(2020, 4, 15);
+        await fs.utimes(path.join(testDir, 'x', 'report.pdf'), date, date);
+
+        await organizeDirectory(testDir, { recursive: true, structure: 'keep', template: '{year}/{name}-{category}{ext}' });
+
+        expect(fsSync.existsSync(path.join(testDir, '2020', 'x', 'report-Documents.pdf'))).toBe(true);
+    });
+
+    test('should encode the relative path into the name', async () => {
+        await organizeDirectory(testDir, { recursive: true, structure: 'encode' });
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a_b_c_report.pdf'), 'utf-8')).toBe('abc');
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'x_report.pdf'), 'utf-8')).toBe('x');
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'top.pdf'))).toBe(true);
+    });
+
+    test('should recreate removed directories on undo, and remove them again on redo', async () => {
+        await fs.mkdir(path.join(testDir, 'a', 'empty'));
+
+        const result = await organizeDirectory(testDir, { recursive: true, structure: 'keep' });
+        const [batch] = await readLog(testDir);
+        expect(batch.removedDirs).toEqual(expect.arrayContaining([
+            path.join(testDir, 'a'),
+            path.join(testDir, 'a', 'empty'),
+            path.join(testDir, 'a', 'b', 'c')
+        ]));
+        expect(result.moved).toHaveLength(3);
+        expect(fsSync.existsSync(path.join(testDir, 'a'))).toBe(false);
+
+        await undoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'a', 'b', 'c', 'report.pdf'), 'utf-8')).toBe('abc');
+        expect(fsSync.existsSync(path.join(testDir, 'a', 'empty'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+
+        await redoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a', 'b', 'c', 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'a'))).toBe(false);
+    });
+
+    test('should reject an unknown structure', async () => {
+        await expect(planOrganize(testDir, { recursive: true, structure: 'mirror' }))
+            .rejects.toThrow('Invalid structure: mirror (expected flatten|keep|encode)');
+    });
+});
+
+// ==================== File Filter Tests ====================
+describe('File Filters', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    async function writeFile(name, size, daysAgo) {
+        const filePath = path.join(testDir, name);
+        await fs.writeFile(filePath, 'x'.repeat(size));
+        const date = new Date(Date.now() - daysAgo * DAY);
+        await fs.utimes(filePath, date, date);
+    }
+
+    beforeEach(async () => {
+        await createTestDir();
+        await writeFile('small.pdf', 10, 1);
+        await writeFile('big.pdf', 3000, 1);
+        await writeFile('old.pdf', 10, 60);
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    const planned = plan => plan.entries.map(entry => entry.source).sort();
+
+    test('should filter by size', async () => {
+        expect(planned(await planOrganize(testDir, { minSize: '1KB' }))).toEqual(['big.pdf']);
+        expect(planned(await planOrganize(testDir, { maxSize: '1KB' }))).toEqual(['old.pdf', 'small.pdf']);
+        expect(planned(await planOrganize(testDir, { minSize: '10', maxSize: '10B' }))).toEqual(['old.pdf', 'small.pdf']);
+    });
+
+    test('should filter by age', async () => {
+        expect(planned(await planOrganize(testDir, { olderThan: '30d' }))).toEqual(['old.pdf']);
+        expect(planned(await planOrganize(testDir, { newerThan: '2w' }))).toEqual(['big.pdf', 'small.pdf']);
+    });
+
+    test('should filter by date, with whole days inclusive', async () => {
+        const date = new Date(2024, 0, 31, 23, 30);
+        await fs.utimes(path.join(testDir, 'old.pdf'), date, date);
+
+        expect(planned(await planOrganize(testDir, { until: '2024-01-31' }))).toEqual(['old.pdf']);
+        expect(planned(await planOrganize(testDir, { since: '2024-01-31', until: '2024-01-31' }))).toEqual(['old.pdf']);
+        expect(planned(await planOrganize(testDir, { until: '2024-01-31T12:00' }))).toEqual([]);
+        expect(planned(await planOrganize(testDir, { since: '2024-02-01' }))).toEqual(['big.pdf', 'small.pdf']);
+    });
+
+    test('should report filtered files with the filter that left them out', async () => {
+        const events = new EventEmitter();
+        const ignored = [];
+        events.on('file:ignored', event => ignored.push(event));
+
+        await planOrganize(testDir, { minSize: '100B', olderThan: '7d', events });
+
+        expect(ignored.sort((a, b) => a.path.localeCompare(b.path))).toEqual([
+            { path: 'big.pdf', reason: 'filtered', filter: '--older-than 7d', detail: 'modified in the last 7d' },
+            { path: 'old.pdf', reason: 'filtered', filter: '--min-size 100B', detail: 'smaller than 100B' },
+            { path: 'small.pdf', reason: 'filtered', filter: '--min-size 100B', detail: 'smaller than 100B' }
+        ]);
+    });
+
+    test('should count filtered files in the dry run and the summary', async () => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const dryRun = await organizeDirectory(testDir, { dryRun: true, olderThan: '30d' });
+        const result = await organizeDirectory(testDir, { maxSize: '1KB' });
+
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        logSpy.mockRestore();
+        expect(dryRun.planned).toHaveLength(1);
+        expect(dryRun.filtered.map(file => file.source).sort()).toEqual(['big.pdf', 'small.pdf']);
+        expect(output).toContain('Filtered out: 2 files (2 by --older-than 30d)');
+        expect(result.moved).toHaveLength(2);
+        expect(result.filtered).toEqual([{ source: 'big.pdf', filter: '--max-size 1KB' }]);
+        expect(output).toContain('Filtered out: 1 files (1 by --max-size 1KB)');
+        expect(fsSync.existsSync(path.join(testDir, 'big.pdf'))).toBe(true);
+    });
+
+    test('should parse dates', () => {
+        expect(parseDate('2024-01-31', false)).toBe(new Date(2024, 0, 31).getTime());
+        expect(parseDate('2024-01-31', true)).toBe(new Date(2024, 1, 1).getTime() - 1);
+        expect(parseDate('2024-01-31T18:00', true)).toBe(new Date(2024, 0, 31, 18).getTime());
+        expect(() => parseDate('2024-02-30')).toThrow('Invalid date: 2024-02-30 (expected e.g. 2024-01-31 or 2024-01-31T18:00)');
+        expect(() => parseDate('yesterday')).toThrow('Invalid date: yesterday');
+    });
+
+    test('should reject invalid values and empty ranges', () => {
+        expect(parseFilters({})).toEqual([]);
+        expect(() => parseFilters({ minSize: 'lots' })).toThrow('Invalid size: lots');
+        expect(() => parseFilters({ olderThan: '3 days' })).toThrow('Invalid duration: 3 days');
+        expect(() => parseFilters({ minSize: '2MB', maxSize: '1MB' }))
+            .toThrow('--min-size 2MB is larger than --max-size 1MB');
+        expect(() => parseFilters({ since: '2024-02-01', until: '2024-01-31' }))
+            .toThrow('--since 2024-02-01 is after --until 2024-01-31');
+    });
+});
+
+// ==================== Detect Content Tests ====================
+describe('Detect Content Mode', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should categorize files without extensions by content', async () => {
+        await fs.writeFile(path.join(testDir, 'photo'), Buffer.from('FFD8FFE000104A464946', 'hex'));
+        await fs.writeFile(path.join(testDir, 'notes'), 'plain text');
+
+        await organizeDirectory(testDir, { detectContent: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'photo'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Others', 'notes'))).toBe(true);
+    });
+
+    test('should only use extensions when detection is off', async () => {
+        await fs.writeFile(path.join(testDir, 'photo'), Buffer.from('FFD8FFE000104A464946', 'hex'));
+
+        await organizeDirectory(testDir, {});
+
+        expect(fsSync.existsSync(path.join(testDir, 'Others', 'photo'))).toBe(true);
+    });
+
+    test('should use signatures from the config file', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            "Databases": [".db"],
+            "signatures": [{ "category": "Databases", "hex": "53514C697465" }]
+        }));
+        const dataDir = path.join(testDir, 'data');
+        await fs.mkdir(dataDir);
+        await fs.writeFile(path.join(dataDir, 'app.store'), 'SQLite format 3\0');
+
+        await organizeDirectory(dataDir, { detectContent: true, config: configPath });
+
+        expect(fsSync.existsSync(path.join(dataDir, 'Databases', 'app.store'))).toBe(true);
+    });
+});
+
+// ==================== Duplicate Tests ====================
+describe('parseDuplicatePolicy', () => {
+    test('should default to keep', () => {
+        expect(parseDuplicatePolicy(undefined)).toEqual({ action: 'keep' });
+        expect(parseDuplicatePolicy('keep')).toEqual({ action: 'keep' });
+    });
+
+    test('should parse simple actions', () => {
+        expect(parseDuplicatePolicy('skip')).toEqual({ action: 'skip' });
+        expect(parseDuplicatePolicy('delete')).toEqual({ action: 'delete' });
+        expect(parseDuplicatePolicy('hardlink')).toEqual({ action: 'hardlink' });
+    });
+
+    test('should parse move-to with folder', () => {
+        expect(parseDuplicatePolicy('move-to:Duplicates')).toEqual({ action: 'move-to', folder: 'Duplicates' });
+    });
+
+    test('should reject invalid policies', () => {
+        expect(() => parseDuplicatePolicy('purge')).toThrow('Invalid duplicates policy');
+        expect(() => parseDuplicatePolicy('move-to')).toThrow('needs a relative folder');
+        expect(() => parseDuplicatePolicy('move-to:../outside')).toThrow('needs a relative folder');
+    });
+});
+
+describe('hashFile', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should return SHA-256 of content', async () => {
+        const filePath = path.join(testDir, 'a.txt');
+        await fs.writeFile(filePath, 'hello');
+
+        expect(await hashFile(filePath)).toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    });
+
+    test('should reject for missing files', async () => {
+        await expect(hashFile(path.join(testDir, 'missing'))).rejects.toThrow();
+    });
+});
+
+describe('Duplicate Handling', () => {
+    beforeEach(async () => {
+        await createTestDir();
+        inquirer.prompt.mockReset();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    async function setupDuplicate() {
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(path.join(testDir, 'Documents', 'report.pdf'), 'same content');
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'same content');
+        await fs.writeFile(path.join(testDir, 'copy of report.pdf'), 'same content');
+        await fs.writeFile(path.join(testDir, 'other.pdf'), 'different content');
+    }
+
+    test('should keep duplicates with numbered names by default', async () => {
+        await setupDuplicate();
+
+        await organizeDirectory(testDir, {});
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report(1).pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'copy of report.pdf'))).toBe(true);
+    });
+
+    test('should skip duplicates', async () => {
+        await setupDuplicate();
+
+        await organizeDirectory(testDir, { duplicates: 'skip', verbose: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'copy of report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'other.pdf'))).toBe(true);
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toHaveLength(2);
+    });
+
+    test('should delete duplicates and restore them on undo', async () => {
+        await setupDuplicate();
+
+        await organizeDirectory(testDir, { duplicates: 'delete' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'copy of report.pdf'))).toBe(false);
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents')).sort()).toEqual(['other.pdf', 'report.pdf']);
+
+        await undoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'report.pdf'), 'utf-8')).toBe('same content');
+        expect(await fs.readFile(path.join(testDir, 'copy of report.pdf'), 'utf-8')).toBe('same content');
+        expect(fsSync.existsSync(path.join(testDir, 'other.pdf'))).toBe(true);
+    });
+
+    test('should pass over files removed from a destination while it is read', async () => {
+        await setupDuplicate();
+        const gone = path.join(testDir, 'Documents', 'gone.pdf');
+        await fs.writeFile(gone, 'removed');
+        const lstat = fs.lstat;
+        jest.spyOn(fs, 'lstat').mockImplementation(async (filePath, ...args) => {
+            if (filePath === gone) {
+                throw Object.assign(new Error(`ENOENT: no such file or directory, lstat '${gone}'`), { code: 'ENOENT' });
+            }
+            return lstat(filePath, ...args);
+        });
+
+        try {
+            const plan = await planOrganize(testDir, { duplicates: 'delete' });
+
+            const deleted = plan.entries.filter(entry => entry.action === 'delete').map(entry => entry.source);
+            expect(deleted.sort()).toEqual(['copy of report.pdf', 'report.pdf']);
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('should detect duplicates among files moved in the same run', async () => {
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'twin');
+        await fs.writeFile(path.join(testDir, 'b.txt'), 'twin');
+
+        await organizeDirectory(testDir, { duplicates: 'delete' });
+
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toEqual(['a.txt']);
+
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'a.txt'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(true);
+    });
+
+    test('should replace duplicates with hardlinks', async () => {
+        await setupDuplicate();
+
+        await organizeDirectory(testDir, { duplicates: 'hardlink' });
+
+        const original = fsSync.statSync(path.join(testDir, 'Documents', 'report.pdf'));
+        const linked = fsSync.statSync(path.join(testDir, 'Documents', 'report(1).pdf'));
+        expect(linked.ino).toBe(original.ino);
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(false);
+
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report.pdf'))).toBe(true);
+    });
+
+    test('should move duplicates to a folder', async () => {
+        await setupDuplicate();
+
+        await organizeDirectory(testDir, { duplicates: 'move-to:Duplicates' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Duplicates', 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Duplicates', 'copy of report.pdf'))).toBe(true);
+
+        // The duplicates folder is not re-organized on the next run
+        await organizeDirectory(testDir, { duplicates: 'move-to:Duplicates' });
+        expect(fsSync.existsSync(path.join(testDir, 'Duplicates', 'report.pdf'))).toBe(true);
+    });
+
+    test('should report duplicates in dry-run without touching files', async () => {
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'twin');
+        await fs.writeFile(path.join(testDir, 'b.txt'), 'twin');
+
+        await organizeDirectory(testDir, { duplicates: 'delete', dryRun: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'a.txt'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(true);
+    });
+
+    test('should ask before handling duplicates in interactive mode', async () => {
+        await setupDuplicate();
+        inquirer.prompt.mockResolvedValue({ confirm: false });
+
+        await organizeDirectory(testDir, { duplicates: 'delete', interactive: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+        expect(inquirer.prompt.mock.calls[0][0][0].message).toContain('duplicate');
+    });
+
+    test('should reject an invalid policy', async () => {
+        await expect(organizeDirectory(testDir, { duplicates: 'nope' })).rejects.toThrow('Invalid duplicates policy');
+    });
+});
+
+describe('findDuplicates', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should group identical files with wasted bytes', async () => {
+        await fs.mkdir(path.join(testDir, 'sub'));
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'duplicate!');
+        await fs.writeFile(path.join(testDir, 'b.txt'), 'duplicate!');
+        await fs.writeFile(path.join(testDir, 'sub', 'c.txt'), 'duplicate!');
+        await fs.writeFile(path.join(testDir, 'd.txt'), 'same size!');
+        await fs.writeFile(path.join(testDir, 'e.bin'), 'xy');
+        await fs.writeFile(path.join(testDir, 'f.bin'), 'xy');
+        await fs.writeFile(path.join(testDir, 'empty1'), '');
+        await fs.writeFile(path.join(testDir, 'empty2'), '');
+
+        const flat = await findDuplicates(testDir);
+        expect(flat).toHaveLength(2);
+        expect(flat[0].files).toHaveLength(2);
+
+        const groups = await findDuplicates(testDir, { recursive: true });
+        expect(groups).toHaveLength(2);
+        expect(groups[0].files).toEqual([
+            path.join(testDir, 'a.txt'),
+            path.join(testDir, 'b.txt'),
+            path.join(testDir, 'sub', 'c.txt')
+        ]);
+        expect(groups[0].wasted).toBe(20);
+        expect(groups[1].wasted).toBe(2);
+    });
+
+    test('should respect ignore patterns', async () => {
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'dup');
+        await fs.writeFile(path.join(testDir, 'b.log'), 'dup');
+
+        expect(await findDuplicates(testDir, { ignore: '*.log' })).toEqual([]);
+    });
+
+    test('should throw on invalid directory', async () => {
+        await expect(findDuplicates('')).rejects.toThrow('Target directory must be a non-empty string');
+        await expect(findDuplicates('/non/existent/path')).rejects.toThrow('Directory does not exist');
+
+        const filePath = path.join(testDir, 'file.txt');
+        await fs.writeFile(filePath, 'content');
+        await expect(findDuplicates(filePath)).rejects.toThrow('Path is not a directory');
+    });
+
+    test('should print a report', async () => {
+        expect(await showDuplicates(testDir)).toEqual([]);
+
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'dup');
+        await fs.writeFile(path.join(testDir, 'b.txt'), 'dup');
+
+        const groups = await showDuplicates(testDir);
+        expect(groups).toHaveLength(1);
+    });
+});
+
+// ==================== Cross-filesystem Move Tests ====================
+describe('moveFile', () => {
+    const realRename = fs.rename;
+
+    // Simulate a destination on another filesystem: renames fail with EXDEV
+    // except for segre's own temp file, which lives next to the destination
+    function simulateCrossDevice() {
+        return jest.spyOn(fs, 'rename').mockImplementation((source, dest) => {
+            if (source.endsWith('.segre-tmp')) return realRename(source, dest);
+            const error = new Error('cross-device link not permitted');
+            error.code = 'EXDEV';
+            return Promise.reject(error);
+        });
+    }
+
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    test('should rename on the same filesystem', async () => {
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'content');
+
+        const result = await moveFile(path.join(testDir, 'a.txt'), path.join(testDir, 'b.txt'));
+
+        expect(result).toEqual({ copied: false });
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(true);
+    });
+
+    test('should copy, preserve metadata and delete source on EXDEV', async () => {
+        const source = path.join(testDir, 'script.sh');
+        await fs.writeFile(source, 'echo hi');
+        await fs.chmod(source, 0o754);
+        const mtime = new Date(2021, 2, 3, 4, 5, 6);
+        await fs.utimes(source, mtime, mtime);
+        simulateCrossDevice();
+
+        const dest = path.join(testDir, 'moved.sh');
+        const result = await moveFile(source, dest, { verify: true });
+
+        expect(result).toEqual({ copied: true });
+        expect(fsSync.existsSync(source)).toBe(false);
+        expect(await fs.readFile(dest, 'utf-8')).toBe('echo hi');
+
+        const stats = fsSync.statSync(dest);
+        expect(stats.mode & 0o777).toBe(0o754);
+        expect(stats.mtime.getTime()).toBe(mtime.getTime());
+        expect(fsSync.readdirSync(testDir)).toEqual(['moved.sh']);
+    });
+
+    test('should keep the source when the copy fails', async () => {
+        const source = path.join(testDir, 'a.txt');
+        await fs.writeFile(source, 'content');
+        simulateCrossDevice();
+
+        await expect(moveFile(source, path.join(testDir, 'missing-dir', 'a.txt'))).rejects.toThrow();
+        expect(fsSync.existsSync(source)).toBe(true);
+    });
+
+    test('should keep the source when verification fails', async () => {
+        const source = path.join(testDir, 'a.txt');
+        await fs.writeFile(source, 'content');
+        simulateCrossDevice();
+        const realStat = fs.stat;
+        jest.spyOn(fs, 'stat').mockImplementation(async (filePath) => {
+            const stats = await realStat(filePath);
+            if (filePath.endsWith('b.txt')) stats.size = 0;
+            return stats;
+        });
+
+        await expect(moveFile(source, path.join(testDir, 'b.txt'))).rejects.toThrow('size mismatch');
+        expect(fsSync.existsSync(source)).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(false);
+    });
+
+    test('should rethrow other rename errors', async () => {
+        await expect(moveFile(path.join(testDir, 'missing'), path.join(testDir, 'x')))
+            .rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should record copies in the log and undo them', async () => {
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        simulateCrossDevice();
+
+        await organizeDirectory(testDir, { verify: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report.pdf'))).toBe(true);
+        const log = await readLog(testDir);
+        expect(log[0].operations[0].copied).toBe(true);
+
+        await undoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'report.pdf'), 'utf-8')).toBe('report');
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+    });
+});
+
+// ==================== Placement Mode Tests ====================
+describe('Placement Modes', () => {
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    test('should copy files and keep the originals', async () => {
+        await organizeDirectory(testDir, { mode: 'copy' });
+
+        expect(await fs.readFile(path.join(testDir, 'report.pdf'), 'utf-8')).toBe('report');
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('report');
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'photo.jpg'))).toBe(true);
+
+        const log = await readLog(testDir);
+        expect(log[0].operations[0].type).toBe('copy');
+    });
+
+    test('should create relative symlinks', async () => {
+        await organizeDirectory(testDir, { mode: 'symlink' });
+
+        const linkPath = path.join(testDir, 'Documents', 'report.pdf');
+        expect(fsSync.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+        expect(fsSync.readlinkSync(linkPath)).toBe(path.join('..', 'report.pdf'));
+        expect(await fs.readFile(linkPath, 'utf-8')).toBe('report');
+    });
+
+    test('should create hard links', async () => {
+        await organizeDirectory(testDir, { mode: 'hardlink' });
+
+        const original = fsSync.statSync(path.join(testDir, 'report.pdf'));
+        const link = fsSync.statSync(path.join(testDir, 'Documents', 'report.pdf'));
+        expect(link.ino).toBe(original.ino);
+        expect(original.nlink).toBe(2);
+    });
+
+    test('should not place a file twice on a second run', async () => {
+        await organizeDirectory(testDir, { mode: 'hardlink', recursive: true });
+        await organizeDirectory(testDir, { mode: 'hardlink', recursive: true });
+
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toEqual(['report.pdf']);
+        expect(await readLog(testDir)).toHaveLength(1);
+    });
+
+    test('should undo by removing copies and links only', async () => {
+        await organizeDirectory(testDir, { mode: 'symlink' });
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'Images'))).toBe(false);
+        expect(await fs.readFile(path.join(testDir, 'report.pdf'), 'utf-8')).toBe('report');
+        expect(await fs.readFile(path.join(testDir, 'photo.jpg'), 'utf-8')).toBe('image');
+    });
+
+    test('should keep copies that were edited after organizing', async () => {
+        await organizeDirectory(testDir, { mode: 'copy' });
+        await fs.writeFile(path.join(testDir, 'Documents', 'report.pdf'), 'edited report');
+
+        await undoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('edited report');
+        expect(fsSync.existsSync(path.join(testDir, 'Images'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+    });
+
+    test('should redo copies after undo', async () => {
+        await organizeDirectory(testDir, { mode: 'copy' });
+        await undoOrganize(testDir);
+        await redoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('report');
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+
+        const log = await readLog(testDir);
+        expect(log[0].operations.every(op => op.type === 'copy')).toBe(true);
+    });
+
+    test('should describe copies in dry run', async () => {
+        await organizeDirectory(testDir, { mode: 'copy', dryRun: true });
+
+        const output = console.log.mock.calls.map(call => call[0]).join('\n');
+        expect(output).toContain('Would copy: report.pdf');
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+    });
+
+    test('should reject unknown modes', async () => {
+        await expect(organizeDirectory(testDir, { mode: 'teleport' })).rejects.toThrow('Invalid mode');
+    });
+
+    test('should reject duplicate policies that touch the originals', async () => {
+        await expect(organizeDirectory(testDir, { mode: 'copy', duplicates: 'delete' }))
+            .rejects.toThrow('only works with --mode move');
+    });
+
+    test('placeFile should default to moving', async () => {
+        const result = await placeFile(path.join(testDir, 'report.pdf'), path.join(testDir, 'moved.pdf'));
+
+        expect(result).toEqual({ copied: false });
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(false);
+    });
+});
+
+// ==================== Output Directory Tests ====================
+describe('Output Directory', () => {
+    let inbox;
+    let archive;
+
+    beforeEach(async () => {
+        await createTestDir();
+        inbox = path.join(testDir, 'inbox');
+        archive = path.join(testDir, 'archive');
+        await fs.mkdir(inbox);
+        await fs.writeFile(path.join(inbox, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(inbox, 'photo.jpg'), 'image');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    test('should create category folders in the output directory', async () => {
+        await organizeDirectory(inbox, { output: archive });
+
+        expect(fsSync.existsSync(path.join(archive, 'Documents', 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(archive, 'Images', 'photo.jpg'))).toBe(true);
+        expect(fsSync.readdirSync(inbox)).toEqual([LOG_FILE_NAME]);
+    });
+
+    test('should record both roots in both logs', async () => {
+        await organizeDirectory(inbox, { output: archive });
+
+        const inboxLog = await readLog(inbox);
+        const archiveLog = await readLog(archive);
+        expect(inboxLog[0]).toMatchObject({ source: inbox, output: archive });
+        expect(archiveLog[0].timestamp).toBe(inboxLog[0].timestamp);
+        expect(archiveLog[0].operations).toEqual(inboxLog[0].operations);
+    });
+
+    test('should undo from the input side', async () => {
+        await organizeDirectory(inbox, { output: archive });
+        await undoOrganize(inbox);
+
+        expect(fsSync.existsSync(path.join(inbox, 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(archive, 'Documents'))).toBe(false);
+        expect((await readLog(archive))[0].undone).toBeDefined();
+    });
+
+    test('should undo from the output side and redo from the input side', async () => {
+        await organizeDirectory(inbox, { output: archive });
+        await undoOrganize(archive);
+
+        expect(fsSync.existsSync(path.join(inbox, 'photo.jpg'))).toBe(true);
+        expect((await readLog(inbox))[0].undone).toBeDefined();
+
+        await redoOrganize(inbox);
+
+        expect(fsSync.existsSync(path.join(archive, 'Images', 'photo.jpg'))).toBe(true);
+        expect((await readLog(archive))[0].undone).toBeUndefined();
+    });
+
+    test('should organize category-named folders of the input', async () => {
+        await fs.mkdir(path.join(inbox, 'Documents'));
+        await fs.writeFile(path.join(inbox, 'Documents', 'notes.txt'), 'notes');
+
+        await organizeDirectory(inbox, { output: archive, recursive: true });
+
+        expect(fsSync.existsSync(path.join(archive, 'Documents', 'notes.txt'))).toBe(true);
+        expect(fsSync.existsSync(path.join(inbox, 'Documents'))).toBe(false);
+    });
+
+    test('should skip an output directory nested in the input', async () => {
+        const nested = path.join(inbox, 'sorted');
+
+        await organizeDirectory(inbox, { output: nested, recursive: true });
+        await fs.writeFile(path.join(inbox, 'late.pdf'), 'late');
+        await organizeDirectory(inbox, { output: nested, recursive: true });
+
+        expect(fsSync.readdirSync(path.join(nested, 'Documents')).sort()).toEqual(['late.pdf', 'report.pdf']);
+        expect(fsSync.existsSync(path.join(nested, 'Documents', 'report(1).pdf'))).toBe(false);
+    });
+
+    test('should reject an output path that is a file', async () => {
+        await fs.writeFile(archive, 'not a directory');
+
+        await expect(organizeDirectory(inbox, { output: archive })).rejects.toThrow('Output path is not a directory');
+    });
+});
+
+// ==================== Organize by Date Tests ====================
+describe('Organize by Date', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should organize by year and month', async () => {
+        const filePath = path.join(testDir, 'test.pdf');
+        await fs.writeFile(filePath, 'content');
+
+        await organizeDirectory(testDir, { byDate: true });
+
+        const now = new Date();
+        const year = now.getFullYear().toString();
+        const month = getMonthName(now);
+
+        expect(fsSync.existsSync(path.join(testDir, year, month, 'test.pdf'))).toBe(true);
+    });
+});
+
+// ==================== Verbose Mode Tests ====================
+describe('Verbose Mode', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should log moves in verbose mode', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+
+        await organizeDirectory(testDir, { verbose: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+    });
+
+    test('should log ignored files in verbose mode', async () => {
+        await fs.writeFile(path.join(testDir, 'test.log'), 'log');
+        await fs.writeFile(path.join(testDir, 'doc.pdf'), 'doc');
+
+        await organizeDirectory(testDir, { verbose: true, ignore: '*.log' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'test.log'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'doc.pdf'))).toBe(true);
+    });
+
+    test('should log skipped category folders in verbose mode', async () => {
+        await fs.mkdir(path.join(testDir, 'Documents'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+
+        await organizeDirectory(testDir, { verbose: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
     });
 });
 
@@ -724,204 +2447,2255 @@ describe('Ignore Patterns', () => {
         await createTestDir();
     });
 
-    afterEach(async () => {
-        await cleanupTestDir();
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should ignore files matching pattern', async () => {
+        await fs.writeFile(path.join(testDir, 'debug.log'), 'log');
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'doc');
+
+        await organizeDirectory(testDir, { ignore: '*.log' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'debug.log'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+    });
+
+    test('should handle multiple ignore patterns', async () => {
+        await fs.writeFile(path.join(testDir, 'debug.log'), 'log');
+        await fs.writeFile(path.join(testDir, 'temp.tmp'), 'temp');
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'doc');
+
+        await organizeDirectory(testDir, { ignore: '*.log,*.tmp' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'debug.log'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'temp.tmp'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+    });
+
+    test('should read patterns from .segreignore and leave the file in place', async () => {
+        await fs.writeFile(path.join(testDir, IGNORE_FILE_NAME), '# backups\n*.bak\n!keep.bak\n');
+        await fs.writeFile(path.join(testDir, 'old.bak'), 'backup');
+        await fs.writeFile(path.join(testDir, 'keep.bak'), 'backup');
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'doc');
+
+        const result = await organizeDirectory(testDir, {});
+
+        expect(fsSync.existsSync(path.join(testDir, IGNORE_FILE_NAME))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'old.bak'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'keep.bak'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(result.moved.map(item => item.source)).not.toContain(IGNORE_FILE_NAME);
+    });
+
+    test('should apply a nested .segreignore to its own subtree only', async () => {
+        await fs.mkdir(path.join(testDir, 'a'));
+        await fs.mkdir(path.join(testDir, 'b'));
+        await fs.writeFile(path.join(testDir, 'a', IGNORE_FILE_NAME), '*.pdf\n');
+        await fs.writeFile(path.join(testDir, 'a', 'one.pdf'), 'doc');
+        await fs.writeFile(path.join(testDir, 'b', 'two.pdf'), 'doc');
+
+        await organizeDirectory(testDir, { recursive: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'a', 'one.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'two.pdf'))).toBe(true);
+    });
+
+    test('should let --ignore override .segreignore', async () => {
+        await fs.writeFile(path.join(testDir, IGNORE_FILE_NAME), '*.pdf\n');
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'doc');
+        await fs.writeFile(path.join(testDir, 'other.pdf'), 'doc');
+
+        await organizeDirectory(testDir, { ignore: '!report.pdf' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'other.pdf'))).toBe(true);
+    });
+
+    test('should ignore directories with a trailing-slash pattern', async () => {
+        await fs.mkdir(path.join(testDir, 'build'));
+        await fs.writeFile(path.join(testDir, 'build', 'out.zip'), 'zip');
+        await fs.writeFile(path.join(testDir, 'build-notes.txt'), 'notes');
+
+        await organizeDirectory(testDir, { recursive: true, ignore: 'build/' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'build', 'out.zip'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'build-notes.txt'))).toBe(true);
+    });
+
+    test('should honour .segreignore when finding duplicates', async () => {
+        await fs.writeFile(path.join(testDir, IGNORE_FILE_NAME), 'copy.txt\n');
+        await fs.writeFile(path.join(testDir, 'original.txt'), 'same content');
+        await fs.writeFile(path.join(testDir, 'copy.txt'), 'same content');
+
+        expect(await findDuplicates(testDir)).toEqual([]);
+    });
+});
+
+// ==================== Protected Files Tests ====================
+describe('Protected Files', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should leave system files and partial downloads in place', async () => {
+        const names = ['.DS_Store', 'Thumbs.db', 'desktop.ini', '.env', 'movie.mp4.crdownload', 'iso.part', 'save.tmp', '~$report.docx'];
+        for (const name of names) {
+            await fs.writeFile(path.join(testDir, name), 'data');
+        }
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'doc');
+
+        const result = await organizeDirectory(testDir, {});
+
+        for (const name of names) {
+            expect(fsSync.existsSync(path.join(testDir, name))).toBe(true);
+        }
+        expect(result.moved).toHaveLength(1);
+    });
+
+    test('should only protect .download folders, not files saved with that suffix', async () => {
+        await fs.mkdir(path.join(testDir, 'movie.mp4.download'));
+        await fs.writeFile(path.join(testDir, 'movie.mp4.download', 'movie.mp4'), 'partial');
+        await fs.writeFile(path.join(testDir, 'invoice.pdf.download'), '%PDF-1.7 invoice');
+
+        await organizeDirectory(testDir, { recursive: true, detectContent: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'invoice.pdf.download'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'movie.mp4.download', 'movie.mp4'))).toBe(true);
+    });
+
+    test('should skip hidden files and folders unless includeHidden is set', async () => {
+        await fs.writeFile(path.join(testDir, '.notes.txt'), 'notes');
+        await fs.mkdir(path.join(testDir, '.cache'));
+        await fs.writeFile(path.join(testDir, '.cache', 'song.mp3'), 'audio');
+        await fs.writeFile(path.join(testDir, '.DS_Store'), 'data');
+
+        const ignored = [];
+        const events = new EventEmitter();
+        events.on('file:ignored', item => ignored.push(item));
+        const plan = await planOrganize(testDir, { recursive: true, events });
+
+        expect(plan.entries).toEqual([]);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: '.notes.txt', reason: 'hidden' },
+            { path: '.cache', reason: 'hidden' },
+            { path: '.DS_Store', reason: 'protected' }
+        ]));
+
+        await organizeDirectory(testDir, { recursive: true, includeHidden: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', '.notes.txt'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Audio', 'song.mp3'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, '.DS_Store'))).toBe(true);
+    });
+
+    test('should add and re-include protected patterns from the config', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({ protected: ['*.bak', '!*.tmp'] }));
+        await fs.writeFile(path.join(testDir, 'old.bak'), 'backup');
+        await fs.writeFile(path.join(testDir, 'scratch.tmp'), 'temp');
+
+        await organizeDirectory(testDir, { config: configPath });
+
+        expect(fsSync.existsSync(path.join(testDir, 'old.bak'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'scratch.tmp'))).toBe(false);
+    });
+
+    test('should reject a malformed protected list', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({ protected: '*.bak' }));
+
+        await expect(loadSettings(configPath)).rejects.toThrow('"protected" must be an array of patterns');
+    });
+
+    test('should skip files that change while the directory is scanned', async () => {
+        const growing = path.join(testDir, 'video.mp4');
+        await fs.writeFile(growing, 'first chunk');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+
+        // Another chunk arrives right after the scan sees the file
+        const realLstat = fs.lstat;
+        let written = false;
+        const statSpy = jest.spyOn(fs, 'lstat').mockImplementation(async (...args) => {
+            const stats = await realLstat(...args);
+            if (args[0] === growing && !written) {
+                written = true;
+                fsSync.appendFileSync(growing, ', second chunk');
+            }
+            return stats;
+        });
+
+        const ignored = [];
+        const events = new EventEmitter();
+        events.on('file:ignored', item => ignored.push(item));
+        try {
+            const plan = await planOrganize(testDir, { events });
+            expect(plan.entries.map(entry => entry.source)).toEqual(['photo.jpg']);
+        } finally {
+            statSpy.mockRestore();
+        }
+        expect(ignored).toEqual([{ path: 'video.mp4', reason: 'in progress' }]);
+    });
+
+    test('should skip downloads renamed while the directory is scanned', async () => {
+        const partial = path.join(testDir, 'song.mp3.crdownload');
+        await fs.writeFile(partial, 'audio');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+
+        // The browser gives the download its final name between readdir and lstat
+        const realLstat = fs.lstat;
+        const statSpy = jest.spyOn(fs, 'lstat').mockImplementation(async (...args) => {
+            if (args[0] === partial && fsSync.existsSync(partial)) {
+                fsSync.renameSync(partial, path.join(testDir, 'song.mp3'));
+            }
+            return realLstat(...args);
+        });
+
+        const ignored = [];
+        const events = new EventEmitter();
+        events.on('file:ignored', item => ignored.push(item));
+        try {
+            const plan = await planOrganize(testDir, { events });
+            expect(plan.entries.map(entry => entry.source)).toEqual(['photo.jpg']);
+        } finally {
+            statSpy.mockRestore();
+        }
+        expect(ignored).toEqual([{ path: 'song.mp3.crdownload', reason: 'in progress' }]);
+    });
+});
+
+// ==================== Symlink Tests ====================
+describe('Symlinks', () => {
+    let treeDir;
+    let outsideDir;
+
+    beforeEach(async () => {
+        await createTestDir();
+        treeDir = path.join(testDir, 'tree');
+        outsideDir = path.join(testDir, 'outside');
+        await fs.mkdir(path.join(treeDir, 'docs'), { recursive: true });
+        await fs.mkdir(outsideDir);
+        await fs.writeFile(path.join(treeDir, 'docs', 'report.pdf'), 'report');
+        await fs.writeFile(path.join(outsideDir, 'song.mp3'), 'audio');
+        await fs.symlink(path.join('docs', 'report.pdf'), path.join(treeDir, 'shortcut.pdf'));
+        await fs.symlink(outsideDir, path.join(treeDir, 'music'));
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should leave symlinks alone by default', async () => {
+        const { sources, ignored } = await planRecursive(treeDir);
+
+        expect(sources).toEqual([path.join('docs', 'report.pdf')]);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: 'shortcut.pdf', reason: 'symlink' },
+            { path: 'music', reason: 'symlink' }
+        ]));
+    });
+
+    test('should move links to files as links that still resolve', async () => {
+        const { sources, ignored } = await planRecursive(treeDir, { symlinks: 'move-link' });
+        expect(sources).toEqual([path.join('docs', 'report.pdf'), 'shortcut.pdf']);
+        expect(ignored).toContainEqual({ path: 'music', reason: 'symlink' });
+
+        await organizeDirectory(treeDir, { ignore: 'docs', symlinks: 'move-link' });
+
+        const moved = path.join(treeDir, 'Documents', 'shortcut.pdf');
+        expect((await fs.lstat(moved)).isSymbolicLink()).toBe(true);
+        expect(await fs.readlink(moved)).toBe(path.join('..', 'docs', 'report.pdf'));
+        expect(await fs.readFile(moved, 'utf-8')).toBe('report');
+
+        await undoOrganize(treeDir);
+
+        const restored = path.join(treeDir, 'shortcut.pdf');
+        expect(await fs.readlink(restored)).toBe(path.join('docs', 'report.pdf'));
+        expect(await fs.readFile(restored, 'utf-8')).toBe('report');
+    });
+
+    test('should follow linked directories without looping', async () => {
+        await fs.symlink(treeDir, path.join(treeDir, 'docs', 'back-to-root'));
+        await fs.symlink(outsideDir, path.join(outsideDir, 'self'));
+
+        const { sources, ignored } = await planRecursive(treeDir, { symlinks: 'follow' });
+
+        expect(sources).toEqual([path.join('docs', 'report.pdf'), path.join('music', 'song.mp3'), 'shortcut.pdf']);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: path.join('docs', 'back-to-root'), reason: 'symlink loop' },
+            { path: path.join('music', 'self'), reason: 'symlink loop' }
+        ]));
+
+        await organizeDirectory(treeDir, { recursive: true, symlinks: 'follow' });
+
+        expect(fsSync.existsSync(path.join(treeDir, 'Audio', 'song.mp3'))).toBe(true);
+        // Emptied linked directories are not removed through the link
+        expect((await fs.lstat(path.join(treeDir, 'music'))).isSymbolicLink()).toBe(true);
+        expect(fsSync.existsSync(outsideDir)).toBe(true);
+    });
+
+    test('should report broken links and leave them in place', async () => {
+        await fs.symlink(path.join(testDir, 'missing.pdf'), path.join(treeDir, 'broken.pdf'));
+
+        const { sources, ignored } = await planRecursive(treeDir, { symlinks: 'move-link' });
+
+        expect(sources).not.toContain('broken.pdf');
+        expect(ignored).toContainEqual({ path: 'broken.pdf', reason: 'broken link' });
+    });
+
+    test('should count broken links and loops in the dry run and the summary', async () => {
+        await fs.symlink(path.join(testDir, 'missing.pdf'), path.join(treeDir, 'broken.pdf'));
+        await fs.symlink(treeDir, path.join(treeDir, 'docs', 'back-to-root'));
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const dryRun = await organizeDirectory(treeDir, { dryRun: true, recursive: true, symlinks: 'follow' });
+        const result = await organizeDirectory(treeDir, { recursive: true, symlinks: 'follow' });
+
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        logSpy.mockRestore();
+        const expected = [
+            { source: 'broken.pdf', reason: 'broken link' },
+            { source: path.join('docs', 'back-to-root'), reason: 'symlink loop' }
+        ];
+        expect(dryRun.skippedLinks).toEqual(expect.arrayContaining(expected));
+        expect(result.skippedLinks).toEqual(expect.arrayContaining(expected));
+        expect(result.skippedLinks).toHaveLength(2);
+        expect(output).toContain('Skipped links: 2 (1 broken, 1 looping)');
+    });
+
+    test('should never treat a link as a duplicate of its target', async () => {
+        await fs.mkdir(path.join(treeDir, 'Documents'));
+        await fs.symlink(path.join(treeDir, 'docs', 'report.pdf'), path.join(treeDir, 'Documents', 'report-link.pdf'));
+
+        await organizeDirectory(treeDir, { recursive: true, duplicates: 'delete' });
+
+        expect(await fs.readFile(path.join(treeDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('report');
+        expect(await findDuplicates(treeDir, { recursive: true })).toEqual([]);
+    });
+
+    test('should reject an unknown policy', async () => {
+        await expect(planOrganize(treeDir, { symlinks: 'copy' }))
+            .rejects.toThrow('Invalid symlinks policy: copy (expected skip|move-link|follow)');
+    });
+});
+
+// ==================== Custom Config Tests ====================
+describe('Custom Config', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should use custom categories', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            "CustomDocs": [".custom", ".myext"]
+        }));
+        await fs.writeFile(path.join(testDir, 'test.custom'), 'content');
+
+        await organizeDirectory(testDir, { config: configPath });
+
+        expect(fsSync.existsSync(path.join(testDir, 'CustomDocs', 'test.custom'))).toBe(true);
+    });
+});
+
+// ==================== File Rename Tests ====================
+describe('File Rename on Conflict', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should rename file if destination exists', async () => {
+        await fs.mkdir(path.join(testDir, 'Documents'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'Documents', 'test.pdf'), 'existing');
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'new');
+
+        await organizeDirectory(testDir, {});
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test(1).pdf'))).toBe(true);
+    });
+});
+
+// ==================== Conflict Strategy Tests ====================
+describe('Conflict Strategies', () => {
+    const existing = () => path.join(testDir, 'Documents', 'test.pdf');
+
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(existing(), 'existing');
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'new');
+        inquirer.prompt.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    const setMtime = async (file, date) => fs.utimes(file, date, date);
+    const trashFiles = async (dir = path.join(testDir, TRASH_DIR_NAME)) => {
+        if (!fsSync.existsSync(dir)) return [];
+        const files = [];
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            files.push(...entry.isDirectory() ? await trashFiles(entryPath) : [entryPath]);
+        }
+        return files;
+    };
+
+    test('should rename with a configurable format', async () => {
+        const plan = name => planOrganize(testDir, { renameFormat: name }).then(result => result.entries[0].destination);
+
+        expect(await plan('{name} ({n}){ext}')).toBe(path.join('Documents', 'test (1).pdf'));
+        expect(await plan('{name}_{n}{ext}')).toBe(path.join('Documents', 'test_1.pdf'));
+
+        await setMtime(path.join(testDir, 'test.pdf'), new Date(2024, 0, 31, 18, 5, 2));
+        expect(await plan('{name}-{timestamp}{ext}')).toBe(path.join('Documents', 'test-20240131-180502.pdf'));
+
+        const hash = (await hashFile(path.join(testDir, 'test.pdf'))).slice(0, 8);
+        expect(await plan('{name}-{hash}{ext}')).toBe(path.join('Documents', `test-${hash}.pdf`));
+
+        // Still taken: numbered as well
+        await fs.writeFile(path.join(testDir, 'Documents', `test-${hash}.pdf`), 'other');
+        expect(await plan('{name}-{hash}{ext}')).toBe(path.join('Documents', `test-${hash}(1).pdf`));
+    });
+
+    test('should skip files whose destination exists', async () => {
+        const result = await organizeDirectory(testDir, { onConflict: 'skip' });
+
+        expect(result.skipped).toEqual([{ source: 'test.pdf', reason: 'destination exists' }]);
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('existing');
+        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+    });
+
+    test('should overwrite, keeping the replaced file in the trash for undo and redo', async () => {
+        const result = await organizeDirectory(testDir, { onConflict: 'overwrite' });
+
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('new');
+        const [trashed] = await trashFiles();
+        expect(await fs.readFile(trashed, 'utf-8')).toBe('existing');
+        expect(result.moved).toEqual([{ source: 'test.pdf', destination: path.join('Documents', 'test.pdf'), replaced: path.relative(testDir, trashed) }]);
+        const [batch] = await readLog(testDir);
+        expect(batch.operations[0]).toMatchObject({ movedTo: existing(), replaced: trashed });
+
+        await undoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'test.pdf'), 'utf-8')).toBe('new');
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('existing');
+        expect(fsSync.existsSync(path.join(testDir, TRASH_DIR_NAME))).toBe(false);
+
+        await redoOrganize(testDir);
+
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('new');
+        expect(await fs.readFile(trashed, 'utf-8')).toBe('existing');
+
+        await undoOrganize(testDir);
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('existing');
+    });
+
+    test('should only overwrite older files with overwrite-if-newer', async () => {
+        await setMtime(existing(), new Date(2024, 0, 1));
+        await setMtime(path.join(testDir, 'test.pdf'), new Date(2023, 0, 1));
+
+        const older = await planOrganize(testDir, { onConflict: 'overwrite-if-newer' });
+        expect(older.entries[0]).toMatchObject({ action: 'skip', reason: 'destination is not older' });
+
+        await setMtime(path.join(testDir, 'test.pdf'), new Date(2025, 0, 1));
+        await organizeDirectory(testDir, { onConflict: 'overwrite-if-newer' });
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('new');
+        expect(await trashFiles()).toHaveLength(1);
+    });
+
+    test('should ask what to do', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'a');
+        await fs.writeFile(path.join(testDir, 'Documents', 'a.pdf'), 'old a');
+        await fs.writeFile(path.join(testDir, 'b.pdf'), 'b');
+        await fs.writeFile(path.join(testDir, 'Documents', 'b.pdf'), 'old b');
+        inquirer.prompt
+            .mockResolvedValueOnce({ choice: 'overwrite' })
+            .mockResolvedValueOnce({ choice: 'skip' })
+            .mockResolvedValueOnce({ choice: 'rename' });
+
+        const dryRun = await organizeDirectory(testDir, { onConflict: 'ask', dryRun: true });
+        expect(dryRun.planned.every(item => item.conflict === 'ask')).toBe(true);
+        expect(inquirer.prompt).not.toHaveBeenCalled();
+
+        const result = await organizeDirectory(testDir, { onConflict: 'ask' });
+
+        expect(inquirer.prompt).toHaveBeenCalledTimes(3);
+        expect(inquirer.prompt.mock.calls[0][0][0].message).toContain('already exists');
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a.pdf'), 'utf-8')).toBe('a');
+        expect(result.skipped).toEqual([{ source: 'b.pdf', reason: 'destination exists' }]);
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'test(1).pdf'), 'utf-8')).toBe('new');
+    });
+
+    test('should rename ask entries when no one can be asked', async () => {
+        const plan = await planOrganize(testDir, { onConflict: 'ask' });
+        expect(plan.entries[0]).toMatchObject({ destination: path.join('Documents', 'test.pdf'), conflict: 'ask' });
+
+        const result = await executePlan(plan);
+
+        expect(result.moved[0].destination).toBe(path.join('Documents', 'test(1).pdf'));
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('existing');
+    });
+
+    test('should put the overwritten file back when placing the new one fails', async () => {
+        const error = Object.assign(new Error('EXDEV: cross-device link not permitted'), { code: 'EXDEV' });
+        jest.spyOn(fs, 'link').mockRejectedValueOnce(error);
+
+        const result = await organizeDirectory(testDir, { onConflict: 'overwrite', mode: 'hardlink' });
+
+        expect(result.errors).toEqual([expect.objectContaining({ source: 'test.pdf', code: 'EXDEV' })]);
+        expect((await readLog(testDir))[0].operations).toEqual([]);
+        expect(await fs.readFile(existing(), 'utf-8')).toBe('existing');
+        expect(await fs.readFile(path.join(testDir, 'test.pdf'), 'utf-8')).toBe('new');
+        expect(fsSync.existsSync(path.join(testDir, TRASH_DIR_NAME))).toBe(false);
+    });
+
+    test('should rename files that collide within the same run', async () => {
+        await fs.mkdir(path.join(testDir, 'sub'));
+        await fs.writeFile(path.join(testDir, 'sub', 'test.pdf'), 'sub');
+
+        const plan = await planOrganize(testDir, { recursive: true, onConflict: 'overwrite' });
+
+        // Whichever comes first overwrites, the other is renamed
+        const conflicts = Object.fromEntries(plan.entries.map(entry => [entry.destination, entry.conflict || null]));
+        expect(conflicts).toEqual({
+            [path.join('Documents', 'test.pdf')]: 'overwrite',
+            [path.join('Documents', 'test(1).pdf')]: null
+        });
+    });
+
+    test('should reject invalid strategies and formats', async () => {
+        expect(parseConflictStrategy()).toBe('rename');
+        expect(() => parseConflictStrategy('replace'))
+            .toThrow('Invalid conflict strategy: replace (expected rename|skip|overwrite-if-newer|overwrite|ask)');
+        expect(() => parseRenameFormat('{name}{ext}')).toThrow('Invalid rename format: {name}{ext}');
+        expect(() => parseRenameFormat('{n}/{name}{ext}')).toThrow('Invalid rename format');
+        expect(() => parseRenameFormat('{name}-{date}{ext}')).toThrow('Unknown rename format token: {date}');
+        await expect(organizeDirectory(testDir, { json: true, onConflict: 'ask' }))
+            .rejects.toThrow('--json cannot be combined with --on-conflict ask');
+        expect(await createRenamer(parseRenameFormat(), { path: 'x', mtime: new Date() })('/a/b.txt', 2))
+            .toBe(path.join('/a', 'b(2).txt'));
+    });
+});
+
+// ==================== undoOrganize Tests ====================
+describe('undoOrganize', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should restore files to original locations', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+        await organizeDirectory(testDir, {});
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+    });
+
+    test('should handle no log file gracefully', async () => {
+        await undoOrganize(testDir);
+    });
+
+    test('should throw on null directory', async () => {
+        await expect(undoOrganize(null))
+            .rejects.toThrow('Target directory must be a non-empty string');
+    });
+
+    test('should throw on empty directory', async () => {
+        await expect(undoOrganize(''))
+            .rejects.toThrow('Target directory must be a non-empty string');
+    });
+
+    test('should throw on whitespace-only directory', async () => {
+        await expect(undoOrganize('   '))
+            .rejects.toThrow('Target directory must be a non-empty string');
+    });
+
+    test('should clean up empty directories after undo', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+        await organizeDirectory(testDir, {});
+
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+    });
+
+    test('should handle blocked original location', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'original');
+        await organizeDirectory(testDir, {});
+
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'blocking');
+
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'test(1).pdf'))).toBe(true);
+    });
+
+    test('should handle empty operations log', async () => {
+        const logPath = path.join(testDir, LOG_FILE_NAME);
+        await fs.writeFile(logPath, JSON.stringify([{
+            timestamp: new Date().toISOString(),
+            operations: []
+        }]));
+
+        await undoOrganize(testDir);
+    });
+
+    test('should handle empty log array', async () => {
+        const logPath = path.join(testDir, LOG_FILE_NAME);
+        await fs.writeFile(logPath, JSON.stringify([]));
+
+        await undoOrganize(testDir);
+    });
+});
+
+// ==================== History Tests ====================
+describe('Undo History', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    async function organizeFile(name, options = {}) {
+        await fs.writeFile(path.join(testDir, name), name);
+        await organizeDirectory(testDir, options);
+    }
+
+    test('should list batches with file count and options', async () => {
+        await organizeFile('a.pdf');
+        await organizeFile('b.jpg', { byDate: true, ignore: '*.log' });
+
+        const history = await getHistory(testDir);
+        expect(history).toHaveLength(2);
+        expect(history[0]).toMatchObject({ id: 1, command: 'organize', fileCount: 1 });
+        expect(history[1].options).toMatchObject({ byDate: true, ignore: '*.log' });
+
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        await showHistory(testDir);
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        logSpy.mockRestore();
+
+        expect(output).toContain('#1');
+        expect(output).toContain('#2');
+        expect(output).toContain('--by-date --ignore *.log');
+    });
+
+    test('should report empty history', async () => {
+        expect(await getHistory(testDir)).toEqual([]);
+        expect(await showHistory(testDir)).toEqual([]);
+        await expect(showHistory('')).rejects.toThrow('Target directory must be a non-empty string');
+    });
+
+    test('should fall back to positions for legacy batches', async () => {
+        await fs.writeFile(path.join(testDir, LOG_FILE_NAME), JSON.stringify([
+            { timestamp: '2024-01-01', operations: [] }
+        ]));
+
+        const history = await getHistory(testDir);
+        expect(history[0]).toEqual({
+            id: 1, timestamp: '2024-01-01', command: 'organize', fileCount: 0, options: {}, undone: null
+        });
+    });
+
+    test('should undo a specific older batch', async () => {
+        await organizeFile('a.pdf');
+        await organizeFile('b.jpg');
+
+        await undoOrganize(testDir, { batch: '1' });
+
+        expect(fsSync.existsSync(path.join(testDir, 'a.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'b.jpg'))).toBe(true);
+
+        const history = await getHistory(testDir);
+        expect(history.filter(batch => !batch.undone).map(batch => batch.id)).toEqual([2]);
+    });
+
+    test('should report unknown batch ids', async () => {
+        await organizeFile('a.pdf');
+
+        await undoOrganize(testDir, { batch: 42 });
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+    });
+
+    test('should undo all batches newest first', async () => {
+        await organizeFile('a.pdf');
+        await organizeFile('b.jpg');
+        await organizeFile('c.mp3', { byDate: true });
+
+        await undoOrganize(testDir, { all: true });
+
+        const remaining = fsSync.readdirSync(testDir).filter(name => name !== LOG_FILE_NAME);
+        expect(remaining.sort()).toEqual(['a.pdf', 'b.jpg', 'c.mp3']);
+    });
+
+    test('should detect conflicts with later batches', async () => {
+        await organizeFile('a.pdf', { byDate: true });
+
+        // A later recursive run moves the file out of the date folder again
+        await fs.writeFile(path.join(testDir, 'b.pdf'), 'b');
+        await organizeDirectory(testDir, { recursive: true });
+
+        const log = await readLog(testDir);
+        const conflicts = findBatchConflicts(log, 0);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].batchId).toBe(2);
+        expect(conflicts[0].movedTo).toBe(path.join(testDir, 'Documents', 'a.pdf'));
+
+        // Refused without --force
+        await undoOrganize(testDir, { batch: 1 });
+        expect((await readLog(testDir)).filter(batch => !batch.undone)).toHaveLength(2);
+
+        // With --force the conflicting file is left alone
+        await undoOrganize(testDir, { batch: 1, force: true });
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+        expect((await readLog(testDir)).filter(batch => !batch.undone)).toHaveLength(1);
+    });
+});
+
+// ==================== Redo Tests ====================
+describe('redoOrganize', () => {
+    beforeEach(async () => {
+        await createTestDir();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should reapply an undone batch to the same destinations', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'a');
+        await fs.writeFile(path.join(testDir, 'b.jpg'), 'b');
+        await organizeDirectory(testDir, {});
+
+        await undoOrganize(testDir);
+        expect(fsSync.existsSync(path.join(testDir, 'a.pdf'))).toBe(true);
+
+        const undoneLog = await readLog(testDir);
+        expect(undoneLog).toHaveLength(1);
+        expect(undoneLog[0].undone).toBeDefined();
+
+        await redoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'b.jpg'))).toBe(true);
+
+        const log = await readLog(testDir);
+        expect(log[0].undone).toBeUndefined();
+        expect(log[0].operations.every(op => op.restoredTo === undefined)).toBe(true);
+
+        // The redone batch can be undone again
+        await undoOrganize(testDir);
+        expect(fsSync.existsSync(path.join(testDir, 'a.pdf'))).toBe(true);
+    });
+
+    test('should rename on collision when redoing', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'original');
+        await organizeDirectory(testDir, {});
+        await undoOrganize(testDir);
+
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(path.join(testDir, 'Documents', 'a.pdf'), 'newcomer');
+
+        await redoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a(1).pdf'), 'utf-8')).toBe('original');
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a.pdf'), 'utf-8')).toBe('newcomer');
+    });
+
+    test('should redo from where undo restored a blocked file', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'original');
+        await organizeDirectory(testDir, {});
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'blocking');
+        await undoOrganize(testDir);
+
+        await redoOrganize(testDir);
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'a.pdf'), 'utf-8')).toBe('original');
+        expect(await fs.readFile(path.join(testDir, 'a.pdf'), 'utf-8')).toBe('blocking');
+    });
+
+    test('should redo batches in reverse undo order', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'a');
+        await organizeDirectory(testDir, {});
+        await fs.writeFile(path.join(testDir, 'b.jpg'), 'b');
+        await organizeDirectory(testDir, {});
+
+        await undoOrganize(testDir, { all: true });
+        await redoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'b.jpg'))).toBe(true);
+
+        const history = await getHistory(testDir);
+        expect(history.filter(batch => batch.undone).map(batch => batch.id)).toEqual([2]);
+
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        await showHistory(testDir);
+        await undoOrganize(testDir);
+        await showHistory(testDir);
+        const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+        logSpy.mockRestore();
+        expect(output).toContain('Undone');
+        expect(output).toContain('(nothing to undo)');
+    });
+
+    test('should redo deleted duplicates and recursive cleanup', async () => {
+        await fs.mkdir(path.join(testDir, 'sub'));
+        await fs.writeFile(path.join(testDir, 'sub', 'a.txt'), 'twin');
+        await fs.writeFile(path.join(testDir, 'b.txt'), 'twin');
+        await organizeDirectory(testDir, { duplicates: 'delete', recursive: true });
+        await undoOrganize(testDir);
+
+        expect(fsSync.existsSync(path.join(testDir, 'sub', 'a.txt'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(true);
+
+        await redoOrganize(testDir);
+
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toHaveLength(1);
+        expect(fsSync.existsSync(path.join(testDir, 'b.txt'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'sub'))).toBe(false);
+    });
+
+    test('should skip files that were not restored and count errors', async () => {
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'a');
+        await fs.writeFile(path.join(testDir, 'b.pdf'), 'b');
+        await organizeDirectory(testDir, {});
+        await fs.unlink(path.join(testDir, 'Documents', 'a.pdf'));
+        await undoOrganize(testDir);
+
+        // Restored file disappears before redo
+        await fs.unlink(path.join(testDir, 'b.pdf'));
+        await redoOrganize(testDir);
+
+        expect(await getHistory(testDir)).toEqual([]);
+    });
+
+    test('should report when there is nothing to redo', async () => {
+        await redoOrganize(testDir);
+
+        await fs.writeFile(path.join(testDir, 'a.pdf'), 'a');
+        await organizeDirectory(testDir, {});
+        await redoOrganize(testDir);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'a.pdf'))).toBe(true);
+    });
+
+    test('should throw on invalid directory', async () => {
+        await expect(redoOrganize('')).rejects.toThrow('Target directory must be a non-empty string');
+    });
+});
+
+// ==================== Interactive Mode Tests ====================
+describe('Interactive Mode', () => {
+    beforeEach(async () => {
+        await createTestDir();
+        inquirer.prompt.mockReset();
+    });
+
+    afterEach(async () => {
+        await cleanupTestDir();
+    });
+
+    test('should prompt for each file', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+
+        inquirer.prompt.mockResolvedValueOnce({ confirm: true });
+
+        await organizeDirectory(testDir, { interactive: true });
+
+        expect(inquirer.prompt).toHaveBeenCalled();
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+    });
+
+    test('should skip file when user declines', async () => {
+        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+
+        inquirer.prompt.mockResolvedValueOnce({ confirm: false });
+
+        await organizeDirectory(testDir, { interactive: true });
+
+        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+    });
+
+    test('should handle multiple files with mixed responses', async () => {
+        await fs.writeFile(path.join(testDir, 'test1.pdf'), 'content1');
+        await fs.writeFile(path.join(testDir, 'test2.pdf'), 'content2');
+
+        inquirer.prompt
+            .mockResolvedValueOnce({ confirm: true })
+            .mockResolvedValueOnce({ confirm: false });
+
+        await organizeDirectory(testDir, { interactive: true });
+
+        const docsDir = path.join(testDir, 'Documents');
+        const movedCount = fsSync.existsSync(docsDir) ?
+            fsSync.readdirSync(docsDir).length : 0;
+
+        expect(movedCount).toBe(1);
+    });
+});
+
+// ==================== Watch Mode Tests ====================
+describe('watchDirectory', () => {
+    let watcher;
+
+    beforeEach(async () => {
+        await createTestDir();
+        watcher = null;
+    });
+
+    afterEach(async () => {
+        if (watcher) await watcher.close();
+        await cleanupTestDir();
+    });
+
+    test('should organize new files as they arrive', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50 });
+
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Images', 'photo.jpg')));
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(false);
+    });
+
+    test('should append batches to the log so undo works', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50 });
+
+        await fs.writeFile(path.join(testDir, 'doc.pdf'), 'document');
+        await waitFor(() => fsSync.existsSync(path.join(testDir, LOG_FILE_NAME)));
+        await watcher.close();
+        watcher = null;
+
+        const log = await readLog(testDir);
+        expect(log).toHaveLength(1);
+        expect(log[0].operations[0].movedTo).toBe(path.join(testDir, 'Documents', 'doc.pdf'));
+
+        await undoOrganize(testDir);
+        expect(fsSync.existsSync(path.join(testDir, 'doc.pdf'))).toBe(true);
+    });
+
+    test('should wait until file size is stable', async () => {
+        watcher = await watchDirectory(testDir, { delay: 150 });
+        const filePath = path.join(testDir, 'growing.txt');
+
+        await fs.writeFile(filePath, 'a');
+        for (let i = 0; i < 5; i++) {
+            await new Promise(resolve => setTimeout(resolve, 60));
+            await fs.appendFile(filePath, 'more');
+            expect(fsSync.existsSync(filePath)).toBe(true);
+        }
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Documents', 'growing.txt')));
+        const content = await fs.readFile(path.join(testDir, 'Documents', 'growing.txt'), 'utf-8');
+        expect(content).toBe('a' + 'more'.repeat(5));
+    });
+
+    test('should respect ignore patterns', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50, ignore: '*.part', verbose: true });
+
+        await fs.writeFile(path.join(testDir, 'movie.mp4.part'), 'partial');
+        await fs.writeFile(path.join(testDir, 'song.mp3'), 'audio');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Audio', 'song.mp3')));
+        expect(fsSync.existsSync(path.join(testDir, 'movie.mp4.part'))).toBe(true);
+    });
+
+    test('should wait for partial downloads to get their final name', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50 });
+
+        await fs.writeFile(path.join(testDir, 'song.mp3.crdownload'), 'audio');
+        await fs.writeFile(path.join(testDir, '.hidden.txt'), 'hidden');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(fsSync.existsSync(path.join(testDir, 'song.mp3.crdownload'))).toBe(true);
+
+        await fs.rename(path.join(testDir, 'song.mp3.crdownload'), path.join(testDir, 'song.mp3'));
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Audio', 'song.mp3')));
+        expect(fsSync.existsSync(path.join(testDir, '.hidden.txt'))).toBe(true);
+    });
+
+    test('should organize by date', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50, byDate: true });
+        const filePath = path.join(testDir, 'old.txt');
+        const date = new Date(2020, 4, 15);
+
+        await fs.writeFile(filePath, 'content');
+        await fs.utimes(filePath, date, date);
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, '2020', 'May', 'old.txt')));
+    });
+
+    test('should use custom config', async () => {
+        const configPath = path.join(os.tmpdir(), `segre-watch-config-${Date.now()}.json`);
+        await fs.writeFile(configPath, JSON.stringify({ 'Scans': ['.tif'] }));
+
+        watcher = await watchDirectory(testDir, { delay: 50, config: configPath });
+        await fs.writeFile(path.join(testDir, 'page.tif'), 'scan');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Scans', 'page.tif')));
+        await fs.unlink(configPath);
+    });
+
+    test('should ignore files removed before they settle', async () => {
+        watcher = await watchDirectory(testDir, { delay: 100 });
+
+        await fs.writeFile(path.join(testDir, 'temp.txt'), 'temp');
+        await fs.unlink(path.join(testDir, 'temp.txt'));
+        await fs.mkdir(path.join(testDir, 'newdir'));
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, LOG_FILE_NAME))).toBe(false);
+    });
+
+    test('should keep watching when a file cannot be moved', async () => {
+        // A plain file named like the category folder blocks mkdir
+        await fs.writeFile(path.join(testDir, 'Documents'), 'blocker');
+        watcher = await watchDirectory(testDir, { delay: 50, verbose: true });
+
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'text');
+        await fs.writeFile(path.join(testDir, 'photo.png'), 'image');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Images', 'photo.png')));
+        expect(fsSync.existsSync(path.join(testDir, 'notes.txt'))).toBe(true);
+    });
+
+    test('should keep watching when the directory cannot be locked', async () => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const writeFile = fs.writeFile;
+        let denied = false;
+        jest.spyOn(fs, 'writeFile').mockImplementation(async (file, ...args) => {
+            if (file === path.join(testDir, LOCK_FILE_NAME) && !denied) {
+                denied = true;
+                throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+            }
+            return writeFile(file, ...args);
+        });
+        watcher = await watchDirectory(testDir, { delay: 50 });
+
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'text');
+        await waitFor(() => denied);
+        await fs.writeFile(path.join(testDir, 'photo.png'), 'image');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Images', 'photo.png')));
+        const logged = logSpy.mock.calls.map(call => call.join(' '));
+        jest.restoreAllMocks();
+        expect(logged).toContainEqual(expect.stringContaining('EACCES: permission denied'));
+        expect(fsSync.existsSync(path.join(testDir, 'notes.txt'))).toBe(true);
+    });
+
+    test('should overwrite with --on-conflict and let undo put the old file back', async () => {
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(path.join(testDir, 'Documents', 'report.pdf'), 'old report');
+        watcher = await watchDirectory(testDir, { delay: 50, onConflict: 'overwrite' });
+
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'new report');
+        await waitFor(() => fsSync.existsSync(path.join(testDir, LOG_FILE_NAME)));
+        await watcher.close();
+        watcher = null;
+
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('new report');
+        expect((await readLog(testDir))[0]).toMatchObject({ command: 'watch' });
+
+        await undoOrganize(testDir);
+        expect(await fs.readFile(path.join(testDir, 'Documents', 'report.pdf'), 'utf-8')).toBe('old report');
+        expect(await fs.readFile(path.join(testDir, 'report.pdf'), 'utf-8')).toBe('new report');
+    });
+
+    test('should apply the duplicates policy', async () => {
+        await fs.mkdir(path.join(testDir, 'Images'));
+        await fs.writeFile(path.join(testDir, 'Images', 'photo.jpg'), 'same image');
+        watcher = await watchDirectory(testDir, { delay: 50, duplicates: 'delete' });
+
+        await fs.writeFile(path.join(testDir, 'copy.jpg'), 'same image');
+        await waitFor(() => fsSync.existsSync(path.join(testDir, LOG_FILE_NAME)));
+
+        expect(fsSync.existsSync(path.join(testDir, 'copy.jpg'))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'copy.jpg'))).toBe(false);
+        expect((await readLog(testDir))[0].operations[0]).toMatchObject({ type: 'delete' });
+    });
+
+    test('should leave files outside the size filters alone', async () => {
+        watcher = await watchDirectory(testDir, { delay: 50, minSize: '1KB' });
+
+        await fs.writeFile(path.join(testDir, 'small.txt'), 'small');
+        await fs.writeFile(path.join(testDir, 'large.txt'), 'x'.repeat(2048));
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Documents', 'large.txt')));
+        expect(fsSync.existsSync(path.join(testDir, 'small.txt'))).toBe(true);
+    });
+
+    test('should refuse --on-conflict ask', async () => {
+        await expect(watchDirectory(testDir, { onConflict: 'ask' })).rejects.toThrow('watch cannot be combined with --on-conflict ask');
+        await expect(watchDirectory(testDir, { onConflict: 'newest' })).rejects.toThrow('Invalid conflict strategy: newest');
+    });
+
+    test('should use the default delay when none is given', async () => {
+        watcher = await watchDirectory(testDir);
+
+        await fs.writeFile(path.join(testDir, 'clip.mp4'), 'video');
+
+        await waitFor(() => fsSync.existsSync(path.join(testDir, 'Videos', 'clip.mp4')));
+    });
+
+    test('should throw on invalid directory', async () => {
+        await expect(watchDirectory('')).rejects.toThrow('Target directory must be a non-empty string');
+        await expect(watchDirectory('/non/existent/path')).rejects.toThrow('Directory does not exist');
+
+        const filePath = path.join(testDir, 'file.txt');
+        await fs.writeFile(filePath, 'content');
+        await expect(watchDirectory(filePath)).rejects.toThrow('Path is not a directory');
+    });
+});
+
+// ==================== Plan / Apply Tests ====================
+describe('Plan and Apply', () => {
+    let planPath;
+
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        planPath = path.join(os.tmpdir(), `segre-plan-${Date.now()}.json`);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(planPath, { force: true });
+        await cleanupTestDir();
+    });
+
+    const findEntry = (plan, source) => plan.entries.find(entry => entry.source === source);
+
+    test('should plan every file without changing anything', async () => {
+        const plan = await planOrganize(testDir);
+
+        expect(plan).toMatchObject({ version: 1, directory: testDir, output: testDir, mode: 'move' });
+        expect(findEntry(plan, 'report.pdf')).toMatchObject({
+            action: 'move',
+            destination: path.join('Documents', 'report.pdf'),
+            size: 6
+        });
+        expect(fsSync.readdirSync(testDir).sort()).toEqual(['photo.jpg', 'report.pdf']);
+    });
+
+    test('should plan only the given paths', async () => {
+        await fs.mkdir(path.join(testDir, 'inbox'));
+        await fs.writeFile(path.join(testDir, 'inbox', 'notes.txt'), 'notes');
+
+        const plan = await planOrganize(testDir, { recursive: true, paths: ['photo.jpg', path.join('inbox', 'notes.txt')] });
+
+        expect(plan.entries.map(entry => entry.source).sort()).toEqual([path.join('inbox', 'notes.txt'), 'photo.jpg']);
+    });
+
+    test('should apply a saved plan and log it for undo', async () => {
+        await savePlan(await planOrganize(testDir), planPath);
+
+        const result = await applyPlan(await loadPlan(planPath));
+
+        expect(result).toMatchObject({ command: 'apply', batchId: 1, errors: [] });
+        expect(result.moved).toHaveLength(2);
+        expect(fsSync.existsSync(path.join(testDir, 'Images', 'photo.jpg'))).toBe(true);
+        expect((await readLog(testDir))[0].command).toBe('apply');
+
+        await undoOrganize(testDir);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+    });
+
+    test('should follow edits made to the plan', async () => {
+        const plan = await planOrganize(testDir);
+        findEntry(plan, 'report.pdf').destination = path.join('Reviewed', 'q3.pdf');
+        plan.entries = plan.entries.filter(entry => entry.source !== 'photo.jpg');
+        await savePlan(plan, planPath);
+
+        await applyPlan(await loadPlan(planPath));
+
+        expect(fsSync.existsSync(path.join(testDir, 'Reviewed', 'q3.pdf'))).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+    });
+
+    test('should refuse a plan whose files changed since planning', async () => {
+        const plan = await planOrganize(testDir);
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'edited report');
+
+        const result = await applyPlan(plan);
+
+        expect(result.error).toBe('1 files changed since the plan was made');
+        expect(result.skipped).toEqual([{ source: 'report.pdf', reason: 'changed since planning: size changed' }]);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+        expect(await readLog(testDir)).toBeNull();
+    });
+
+    test('should apply the other entries with skipChanged', async () => {
+        const plan = await planOrganize(testDir);
+        const touched = new Date(Date.now() - 60000);
+        await fs.utimes(path.join(testDir, 'photo.jpg'), touched, touched);
+        await fs.rm(path.join(testDir, 'report.pdf'));
+
+        const result = await applyPlan(plan, { skipChanged: true });
+
+        expect(result.moved).toEqual([]);
+        expect(result.skipped.map(entry => entry.source).sort()).toEqual(['photo.jpg', 'report.pdf']);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+    });
+
+    test('should number a destination taken since planning', async () => {
+        const plan = await planOrganize(testDir);
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(path.join(testDir, 'Documents', 'report.pdf'), 'other');
+
+        const result = await applyPlan(plan);
+
+        expect(result.moved).toContainEqual({ source: 'report.pdf', destination: path.join('Documents', 'report(1).pdf') });
+    });
+
+    test('should give files with the same name different destinations', async () => {
+        await fs.mkdir(path.join(testDir, 'a'));
+        await fs.mkdir(path.join(testDir, 'b'));
+        await fs.writeFile(path.join(testDir, 'a', 'notes.txt'), 'a');
+        await fs.writeFile(path.join(testDir, 'b', 'notes.txt'), 'b');
+
+        const plan = await planOrganize(testDir, { recursive: true });
+
+        expect(findEntry(plan, path.join('a', 'notes.txt')).destination).toBe(path.join('Documents', 'notes.txt'));
+        expect(findEntry(plan, path.join('b', 'notes.txt')).destination).toBe(path.join('Documents', 'notes(1).txt'));
+
+        await applyPlan(plan);
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toEqual(expect.arrayContaining(['notes(1).txt', 'notes.txt']));
+        expect(fsSync.existsSync(path.join(testDir, 'a'))).toBe(false);
+    });
+
+    test('should plan and apply duplicate handling', async () => {
+        await fs.writeFile(path.join(testDir, 'copy.pdf'), 'report');
+
+        // Whichever of the two is planned first is kept
+        const plan = await planOrganize(testDir, { duplicates: 'delete' });
+        const kept = plan.entries.find(entry => entry.destination && entry.destination.endsWith('.pdf'));
+        const deleted = plan.entries.find(entry => entry.action === 'delete');
+        expect(deleted.duplicateOf).toBe(kept.destination);
+
+        const result = await applyPlan(plan);
+        expect(result.duplicates).toEqual([{ source: deleted.source, duplicateOf: kept.destination, action: 'delete' }]);
+        expect(fsSync.existsSync(path.join(testDir, deleted.source))).toBe(false);
+        expect(fsSync.existsSync(path.join(testDir, kept.destination))).toBe(true);
+    });
+
+    test('should reject malformed plans', async () => {
+        const plan = await planOrganize(testDir);
+        const cases = [
+            [[], 'Plan must be a JSON object'],
+            [{ ...plan, version: 2 }, 'Unsupported plan version: 2'],
+            [{ ...plan, directory: 'relative' }, 'Plan "directory" must be an absolute path'],
+            [{ ...plan, mode: 'teleport' }, 'Plan "mode" must be one of'],
+            [{ ...plan, entries: {} }, 'Plan "entries" must be an array'],
+            [{ ...plan, entries: [null] }, 'Plan entry #1 must be an object'],
+            [{ ...plan, entries: [{ ...plan.entries[0], source: '../outside' }] }, 'Plan entry #1: "source"'],
+            [{ ...plan, entries: [{ ...plan.entries[0], action: 'shred' }] }, 'Plan entry #1: "action"'],
+            [{ ...plan, entries: [{ ...plan.entries[0], destination: '/etc/passwd' }] }, 'Plan entry #1: "destination"'],
+            [{ ...plan, entries: [{ ...plan.entries[0], action: 'delete' }] }, 'Plan entry #1: "duplicateOf"'],
+            [{ ...plan, entries: [{ ...plan.entries[0], action: 'hardlink', duplicateOf: '../x' }] }, 'Plan entry #1: "duplicateOf"'],
+            [{ ...plan, entries: [{ ...plan.entries[0], mtime: 'yesterday' }] }, 'Plan entry #1 must record the "size" and "mtime"']
+        ];
+
+        for (const [value, message] of cases) {
+            await fs.writeFile(planPath, JSON.stringify(value));
+            await expect(loadPlan(planPath)).rejects.toThrow(message);
+        }
+
+        await fs.writeFile(planPath, '{ not json');
+        await expect(loadPlan(planPath)).rejects.toThrow('Cannot read plan');
+        await expect(loadPlan('')).rejects.toThrow('Plan path must be a non-empty string');
+        await expect(planOrganize('')).rejects.toThrow('Target directory must be a non-empty string');
+        await expect(applyPlan({ ...plan, version: 0 })).rejects.toThrow('Unsupported plan version: 0');
+    });
+});
+
+// ==================== Library API Tests ====================
+describe('executePlan', () => {
+    let events;
+    let log;
+
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        events = new EventEmitter();
+        log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    test('should carry out a plan without printing', async () => {
+        const plan = await planOrganize(testDir);
+        const result = await executePlan(plan);
+
+        expect(result).toMatchObject({ command: 'apply', directory: testDir, dryRun: false, files: 2 });
+        expect(result.moved).toHaveLength(2);
+        expect(result.batchId).toBe(1);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'report.pdf'))).toBe(true);
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    test('should emit file:moved and progress events', async () => {
+        const moved = [];
+        const progress = [];
+        events.on('file:moved', item => moved.push(item));
+        events.on('progress', update => progress.push(update));
+
+        const plan = await planOrganize(testDir);
+        const result = await executePlan(plan, { events });
+
+        expect(moved).toEqual(result.moved);
+        expect(progress).toEqual([{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+    });
+
+    test('should emit file:ignored while planning', async () => {
+        const ignored = [];
+        events.on('file:ignored', item => ignored.push(item));
+        await fs.mkdir(path.join(testDir, 'Documents'));
+
+        const plan = await planOrganize(testDir, { ignore: '*.jpg', events });
+
+        expect(plan.entries.map(entry => entry.source)).toEqual(['report.pdf']);
+        expect(ignored).toEqual(expect.arrayContaining([
+            { path: 'photo.jpg', reason: 'ignored' },
+            { path: 'Documents', reason: 'category folder' }
+        ]));
+    });
+
+    test('should emit file:skipped for entries the confirm callback declines', async () => {
+        const skipped = [];
+        events.on('file:skipped', item => skipped.push(item));
+
+        const plan = await planOrganize(testDir);
+        const confirm = jest.fn(async entry => entry.source === 'photo.jpg');
+        const result = await executePlan(plan, { events, confirm });
+
+        expect(confirm).toHaveBeenCalledTimes(2);
+        expect(skipped).toEqual([{ source: 'report.pdf', reason: 'declined' }]);
+        expect(result.moved).toEqual([{ source: 'photo.jpg', destination: path.join('Images', 'photo.jpg') }]);
+    });
+
+    test('should emit error events for files that fail', async () => {
+        const errors = [];
+        events.on('error', item => errors.push(item));
+
+        const plan = await planOrganize(testDir);
+        // A file where the category folder should go
+        await fs.writeFile(path.join(testDir, 'Documents'), 'not a folder');
+        const result = await executePlan(plan, { events });
+
+        expect(errors).toHaveLength(1);
+        expect(errors).toEqual(result.errors);
+        expect(errors[0].source).toBe('report.pdf');
+    });
+
+    test('should not throw when nobody listens for errors', async () => {
+        const plan = await planOrganize(testDir);
+        await fs.writeFile(path.join(testDir, 'Documents'), 'not a folder');
+
+        const result = await executePlan(plan, { events });
+
+        expect(result.errors).toHaveLength(1);
+        expect(result.moved).toHaveLength(1);
+    });
+
+    test('should refuse a plan whose files changed, emitting file:skipped', async () => {
+        const skipped = [];
+        events.on('file:skipped', item => skipped.push(item));
+
+        const plan = await planOrganize(testDir);
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'a longer report');
+        const result = await executePlan(plan, { events });
+
+        expect(result.error).toBe('1 files changed since the plan was made');
+        expect(skipped).toEqual([{ source: 'report.pdf', reason: 'changed since planning: size changed' }]);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+    });
+
+    test('should reject a malformed plan', async () => {
+        await expect(executePlan({ version: 2 })).rejects.toThrow('Unsupported plan version');
+    });
+});
+
+// ==================== JSON Output Tests ====================
+describe('JSON Output', () => {
+    const ora = require('ora');
+    let logSpy;
+
+    beforeEach(async () => {
+        await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        ora.mockClear();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cleanupTestDir();
+    });
+
+    test('should return a plan for a dry run without printing or moving', async () => {
+        const result = await organizeDirectory(testDir, { dryRun: true, json: true });
+
+        expect(result).toMatchObject({ command: 'organize', directory: testDir, mode: 'move', dryRun: true, files: 2 });
+        expect(result.planned).toEqual(expect.arrayContaining([
+            { source: 'report.pdf', destination: path.join('Documents', 'report.pdf') },
+            { source: 'photo.jpg', destination: path.join('Images', 'photo.jpg') }
+        ]));
+        expect(result.moved).toEqual([]);
+        expect(logSpy).not.toHaveBeenCalled();
+        expect(ora).not.toHaveBeenCalled();
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+    });
+
+    test('should report moved files, the batch id and timing', async () => {
+        const result = await organizeDirectory(testDir, { json: true });
+
+        expect(result.moved).toHaveLength(2);
+        expect(result.planned).toEqual([]);
+        expect(result.batchId).toBe(1);
+        expect(typeof result.durationMs).toBe('number');
+        expect(new Date(result.startedAt).toISOString()).toBe(result.startedAt);
+        expect(logSpy).not.toHaveBeenCalled();
+    });
+
+    test('should report the date source with --capture-date', async () => {
+        const result = await organizeDirectory(testDir, { dryRun: true, json: true, captureDate: true, byDate: true });
+
+        expect(result.planned.every(entry => entry.dateSource === 'mtime')).toBe(true);
+    });
+
+    test('should report errors with their reason', async () => {
+        jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('permission denied'));
+
+        const result = await organizeDirectory(testDir, { json: true });
+
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0].error).toBe('permission denied');
+        expect(result.moved).toHaveLength(1);
+    });
+
+    test('should report skipped files with their reason', async () => {
+        const output = path.join(testDir, 'tree');
+        await organizeDirectory(testDir, { mode: 'copy', output, json: true });
+
+        const result = await organizeDirectory(testDir, { mode: 'copy', output, json: true });
+
+        expect(result.skipped).toEqual(expect.arrayContaining([
+            { source: 'report.pdf', reason: 'already in place' }
+        ]));
+        expect(result.moved).toEqual([]);
+    });
+
+    test('should report duplicates', async () => {
+        await fs.writeFile(path.join(testDir, 'copy.pdf'), 'report');
+
+        const result = await organizeDirectory(testDir, { duplicates: 'skip', dryRun: true, json: true });
+
+        expect(result.duplicates).toHaveLength(1);
+        expect(result.duplicates[0].action).toBe('skip');
+        expect(result.planned).toHaveLength(2);
+    });
+
+    test('should return an empty result when there is nothing to organize', async () => {
+        await fs.rm(path.join(testDir, 'report.pdf'));
+        await fs.rm(path.join(testDir, 'photo.jpg'));
+
+        const result = await organizeDirectory(testDir, { json: true });
+
+        expect(result).toMatchObject({ files: 0, moved: [], batchId: null });
+    });
+
+    test('should reject --json with --interactive', async () => {
+        await expect(organizeDirectory(testDir, { json: true, interactive: true }))
+            .rejects.toThrow('--json cannot be combined with --interactive');
+    });
+
+    test('should return restored files from undo and redo', async () => {
+        await organizeDirectory(testDir, { json: true });
+
+        const undone = await undoOrganize(testDir, { json: true });
+        expect(undone).toMatchObject({ command: 'undo', batches: [1], errors: [] });
+        expect(undone.restored).toContainEqual({
+            from: path.join(testDir, 'Documents', 'report.pdf'),
+            to: path.join(testDir, 'report.pdf')
+        });
+
+        const redone = await redoOrganize(testDir, { json: true });
+        expect(redone).toMatchObject({ command: 'redo', batchId: 1, errors: [] });
+        expect(redone.moved).toHaveLength(2);
+        expect(logSpy).not.toHaveBeenCalled();
+    });
+
+    test('should return an error message when there is nothing to undo or redo', async () => {
+        expect((await undoOrganize(testDir, { json: true })).error).toBe('No operation log found. Nothing to undo.');
+        expect((await redoOrganize(testDir, { json: true })).error).toBe('No undone operations. Nothing to redo.');
+    });
+
+    test('should report undo conflicts as skipped files', async () => {
+        await organizeDirectory(testDir, { byDate: true, json: true });
+        // A later recursive run moves the files out of the date folder again
+        await organizeDirectory(testDir, { recursive: true, json: true });
+
+        const result = await undoOrganize(testDir, { batch: 1, json: true });
+
+        expect(result.error).toBe('Batch #1 conflicts with later batches');
+        expect(result.skipped[0].reason).toContain('moved again by batch');
     });
 
-    test('should ignore files matching pattern', async () => {
-        await fs.writeFile(path.join(testDir, 'debug.log'), 'log');
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'doc');
+    test('should return the categories configuration', async () => {
+        const configPath = path.join(testDir, 'config.json');
+        await fs.writeFile(configPath, JSON.stringify({
+            template: '{category}/{year}',
+            rules: [{ name: 'Reports', conditions: [{ name: 'report*' }], destination: 'Reports' }]
+        }));
 
-        await organizeDirectory(testDir, { ignore: '*.log' });
+        const result = await showCategories(configPath, { json: true });
 
-        expect(fsSync.existsSync(path.join(testDir, 'debug.log'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(result.template).toBe('{category}/{year}');
+        expect(result.rules).toEqual([{ name: 'Reports', destination: 'Reports', when: expect.any(String) }]);
+        expect(result.categories.Images).toContain('.jpg');
+        expect(logSpy).not.toHaveBeenCalled();
     });
 
-    test('should handle multiple ignore patterns', async () => {
-        await fs.writeFile(path.join(testDir, 'debug.log'), 'log');
-        await fs.writeFile(path.join(testDir, 'temp.tmp'), 'temp');
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'doc');
+    test('should print watch events as lines of JSON', async () => {
+        await fs.rm(path.join(testDir, 'report.pdf'));
+        await fs.rm(path.join(testDir, 'photo.jpg'));
+        const lines = [];
+        jest.spyOn(process.stdout, 'write').mockImplementation(text => lines.push(text));
 
-        await organizeDirectory(testDir, { ignore: '*.log,*.tmp' });
+        const watcher = await watchDirectory(testDir, { delay: 50, json: true });
+        await fs.writeFile(path.join(testDir, 'doc.pdf'), 'document');
+        await waitFor(() => lines.length >= 2);
+        await watcher.close();
 
-        expect(fsSync.existsSync(path.join(testDir, 'debug.log'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'temp.tmp'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        const events = lines.map(line => JSON.parse(line));
+        expect(events[0]).toMatchObject({ type: 'moved', source: 'doc.pdf', destination: path.join('Documents', 'doc.pdf') });
+        expect(events[1]).toMatchObject({ type: 'batch', batchId: 1, files: 1 });
+        expect(logSpy).not.toHaveBeenCalled();
     });
 });
 
-// ==================== Custom Config Tests ====================
-describe('Custom Config', () => {
+// ==================== Journal and Recover Tests ====================
+describe('Journal and Recover', () => {
     beforeEach(async () => {
         await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'notes');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
     });
 
     afterEach(async () => {
+        jest.restoreAllMocks();
         await cleanupTestDir();
     });
 
-    test('should use custom categories', async () => {
-        const configPath = path.join(testDir, 'config.json');
-        await fs.writeFile(configPath, JSON.stringify({
-            "CustomDocs": [".custom", ".myext"]
-        }));
-        await fs.writeFile(path.join(testDir, 'test.custom'), 'content');
+    const journalPath = () => path.join(testDir, JOURNAL_FILE_NAME);
 
-        await organizeDirectory(testDir, { config: configPath });
+    // A journal as left behind by a run that was killed
+    const writeJournal = async records => {
+        const start = { type: 'start', timestamp: '2026-01-01T00:00:00.000Z', command: 'organize', options: {}, source: testDir, output: testDir };
+        await fs.writeFile(journalPath(), [start, ...records].map(record => JSON.stringify(record)).join('\n') + '\n');
+    };
 
-        expect(fsSync.existsSync(path.join(testDir, 'CustomDocs', 'test.custom'))).toBe(true);
+    const moveOperation = (name, folder) => ({
+        original: path.join(testDir, name),
+        movedTo: path.join(testDir, folder, name)
+    });
+
+    test('should remove the journal once the run is logged', async () => {
+        const result = await organizeDirectory(testDir);
+
+        expect(result.moved).toHaveLength(3);
+        expect(fsSync.existsSync(journalPath())).toBe(false);
+        expect(await readLog(testDir)).toHaveLength(1);
+    });
+
+    test('should refuse to start while an interrupted run is not recovered', async () => {
+        await writeJournal([]);
+
+        await expect(organizeDirectory(testDir)).rejects.toThrow('Run "segre recover');
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+    });
+
+    test('should leave the journal out of plans', async () => {
+        await writeJournal([]);
+
+        const plan = await planOrganize(testDir);
+
+        expect(plan.entries.map(entry => entry.source)).not.toContain(JOURNAL_FILE_NAME);
+    });
+
+    test('should read a journal whose last record was cut off', async () => {
+        const operation = moveOperation('report.pdf', 'Documents');
+        await writeJournal([{ type: 'begin', id: 1, operation }, { type: 'done', id: 1, operation }]);
+        await fs.appendFile(journalPath(), '{"type":"begin","id":2,"oper');
+
+        const journal = await readJournal(testDir);
+
+        expect(journal.start.command).toBe('organize');
+        expect(journal.operations).toEqual([{ operation, done: true }]);
+    });
+
+    test('should stop after the files in progress when signalled', async () => {
+        const signal = { aborted: false };
+        const events = new EventEmitter();
+        events.on('file:moved', () => { signal.aborted = true; });
+
+        const plan = await planOrganize(testDir);
+        const result = await executePlan(plan, { events, signal });
+        const log = await readLog(testDir);
+
+        expect(result.interrupted).toBe(true);
+        expect(result.moved).toHaveLength(1);
+        expect(log[0]).toMatchObject({ interrupted: true });
+        expect(log[0].operations).toHaveLength(1);
+        expect(fsSync.existsSync(journalPath())).toBe(false);
+    });
+
+    test('should stop on Ctrl+C and stop listening for it afterwards', async () => {
+        const listeners = process.listenerCount('SIGINT');
+        const rename = fs.rename;
+        jest.spyOn(fs, 'rename').mockImplementationOnce(async (...args) => {
+            expect(process.listenerCount('SIGINT')).toBe(listeners + 1);
+            process.emit('SIGINT');
+            return rename(...args);
+        });
+
+        const result = await organizeDirectory(testDir);
+
+        expect(result.interrupted).toBe(true);
+        expect(result.moved).toHaveLength(1);
+        expect(process.listenerCount('SIGINT')).toBe(listeners);
+    });
+
+    test('should log the files an interrupted run moved', async () => {
+        // report.pdf finished, photo.jpg was moved but not marked done,
+        // notes.txt had not been moved yet
+        const report = moveOperation('report.pdf', 'Documents');
+        const photo = moveOperation('photo.jpg', 'Images');
+        const notes = moveOperation('notes.txt', 'Documents');
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.mkdir(path.join(testDir, 'Images'));
+        await fs.rename(report.original, report.movedTo);
+        await fs.rename(photo.original, photo.movedTo);
+        await writeJournal([
+            { type: 'begin', id: 1, operation: report },
+            { type: 'done', id: 1, operation: report },
+            { type: 'begin', id: 2, operation: photo },
+            { type: 'begin', id: 3, operation: notes }
+        ]);
+
+        const result = await recoverRun(testDir);
+        const log = await readLog(testDir);
+
+        expect(result.completed).toEqual([
+            { from: report.original, to: report.movedTo },
+            { from: photo.original, to: photo.movedTo }
+        ]);
+        expect(result.incomplete).toEqual([{ file: notes.original }]);
+        expect(log[0]).toMatchObject({ id: result.batchId, command: 'organize', interrupted: true, operations: [report, photo] });
+        expect(fsSync.existsSync(journalPath())).toBe(false);
+
+        await undoOrganize(testDir);
+        expect(fsSync.readdirSync(testDir).sort()).toEqual(expect.arrayContaining(['notes.txt', 'photo.jpg', 'report.pdf']));
+    });
+
+    test('should remove what an operation cut off halfway left behind', async () => {
+        // A copy across filesystems that stopped before the source was deleted
+        const report = moveOperation('report.pdf', 'Documents');
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(report.movedTo, 'rep');
+        await writeJournal([{ type: 'begin', id: 1, operation: report }]);
+
+        const result = await recoverRun(testDir);
+
+        expect(result.incomplete).toEqual([{ file: report.original }]);
+        expect(result.batchId).toBeNull();
+        expect(fsSync.existsSync(report.movedTo)).toBe(false);
+        expect(await fs.readFile(report.original, 'utf-8')).toBe('report');
+    });
+
+    test('should put back a file an interrupted overwrite had set aside', async () => {
+        const report = { ...moveOperation('report.pdf', 'Documents'), replaced: path.join(testDir, TRASH_DIR_NAME, 'run', 'Documents', 'report.pdf') };
+        await fs.mkdir(path.dirname(report.replaced), { recursive: true });
+        await fs.writeFile(report.replaced, 'old report');
+        await writeJournal([{ type: 'begin', id: 1, operation: report }]);
+
+        const result = await recoverRun(testDir);
+
+        expect(result.incomplete).toEqual([{ file: report.original }]);
+        expect(await fs.readFile(report.movedTo, 'utf-8')).toBe('old report');
+        expect(await fs.readFile(report.original, 'utf-8')).toBe('report');
+    });
+
+    test('should leave the destination alone when an overwrite stopped before it began', async () => {
+        const report = { ...moveOperation('report.pdf', 'Documents'), replaced: path.join(testDir, TRASH_DIR_NAME, 'run', 'Documents', 'report.pdf') };
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.writeFile(report.movedTo, 'old report');
+        await writeJournal([{ type: 'begin', id: 1, operation: report }]);
+
+        await recoverRun(testDir);
+
+        expect(await fs.readFile(report.movedTo, 'utf-8')).toBe('old report');
+        expect(await fs.readFile(report.original, 'utf-8')).toBe('report');
+    });
+
+    test('should count copies and deletions that took place', async () => {
+        const copy = { type: 'copy', ...moveOperation('report.pdf', 'Documents') };
+        const deletion = { type: 'delete', original: path.join(testDir, 'photo.jpg'), duplicateOf: path.join(testDir, 'notes.txt') };
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.copyFile(copy.original, copy.movedTo);
+        const stats = await fs.stat(copy.original);
+        await fs.utimes(copy.movedTo, stats.atime, stats.mtime);
+        await fs.rm(deletion.original);
+        await writeJournal([
+            { type: 'begin', id: 1, operation: copy },
+            { type: 'begin', id: 2, operation: deletion }
+        ]);
+
+        const result = await recoverRun(testDir);
+
+        expect(result.completed).toHaveLength(2);
+        expect(result.incomplete).toEqual([]);
+    });
+
+    test('should roll back an interrupted run', async () => {
+        const report = moveOperation('report.pdf', 'Documents');
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        await fs.rename(report.original, report.movedTo);
+        await writeJournal([{ type: 'begin', id: 1, operation: report }]);
+
+        const result = await recoverRun(testDir, { rollback: true });
+
+        expect(result.rolledBack).toBe(true);
+        expect(result.restored).toEqual([{ from: report.movedTo, to: report.original }]);
+        expect(fsSync.existsSync(report.original)).toBe(true);
+        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+    });
+
+    test('should report when there is nothing to recover', async () => {
+        const result = await recoverRun(testDir, { json: true });
+
+        expect(result.error).toBe('No interrupted run found. Nothing to recover.');
+        expect(result.batchId).toBeNull();
+    });
+
+    test('should reject an empty directory path', async () => {
+        await expect(recoverRun('')).rejects.toThrow('Target directory must be a non-empty string');
     });
 });
 
-// ==================== File Rename Tests ====================
-describe('File Rename on Conflict', () => {
+// ==================== Lock Tests ====================
+describe('Locking', () => {
+    const { spawnSync } = require('child_process');
+
     beforeEach(async () => {
         await createTestDir();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
     });
 
     afterEach(async () => {
+        jest.restoreAllMocks();
         await cleanupTestDir();
     });
 
-    test('should rename file if destination exists', async () => {
-        await fs.mkdir(path.join(testDir, 'Documents'), { recursive: true });
-        await fs.writeFile(path.join(testDir, 'Documents', 'test.pdf'), 'existing');
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'new');
+    const lockPath = () => path.join(testDir, LOCK_FILE_NAME);
 
-        await organizeDirectory(testDir, {});
+    // A lock held by another run: the parent process is alive for the whole test
+    const writeLock = (holder = {}) => fs.writeFile(lockPath(), JSON.stringify({
+        pid: process.ppid,
+        host: os.hostname(),
+        command: 'organize',
+        timestamp: new Date().toISOString(),
+        ...holder
+    }));
 
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test(1).pdf'))).toBe(true);
+    test('should record the pid, host and time in the lock and remove it on release', async () => {
+        const release = await acquireLock(testDir, { command: 'undo' });
+        const holder = JSON.parse(await fs.readFile(lockPath(), 'utf-8'));
+
+        expect(holder).toMatchObject({ pid: process.pid, host: os.hostname(), command: 'undo' });
+        expect(new Date(holder.timestamp).toISOString()).toBe(holder.timestamp);
+
+        await release();
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should only let a caller take a lock again when it passes the lock it holds', async () => {
+        const outer = await acquireLocks([testDir]);
+
+        await expect(acquireLock(testDir)).rejects.toThrow(`is in use by segre organize (pid ${process.pid}`);
+
+        const inner = await acquireLock(testDir, { held: outer });
+        await inner();
+        expect(fsSync.existsSync(lockPath())).toBe(true);
+        await outer();
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should not run two plans on the same directory at once in one process', async () => {
+        const plan = await planOrganize(testDir);
+        let second = null;
+
+        const result = await executePlan(plan, {
+            confirm: async () => {
+                second = await executePlan(plan).catch(error => error);
+                return true;
+            }
+        });
+
+        expect(second.message).toMatch(`is in use by segre apply (pid ${process.pid}`);
+        expect(result.moved).toHaveLength(1);
+    });
+
+    test('should not remove a lock another run has just taken over', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        await writeLock({ pid });
+
+        // The other run takes the lock over while this one still sees the stale holder
+        const readFile = fs.readFile;
+        let other = null;
+        jest.spyOn(fs, 'readFile').mockImplementationOnce(async (...args) => {
+            const content = await readFile(...args);
+            other = await acquireLock(testDir);
+            return content;
+        });
+
+        await expect(acquireLock(testDir)).rejects.toThrow(`is in use by segre organize (pid ${process.pid}`);
+        expect(fsSync.existsSync(lockPath())).toBe(true);
+        await other();
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should refuse to organize a directory another run is using', async () => {
+        await writeLock();
+
+        await expect(organizeDirectory(testDir)).rejects.toThrow(`is in use by segre organize (pid ${process.ppid}`);
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+        expect(fsSync.existsSync(lockPath())).toBe(true);
+    });
+
+    test('should refuse to undo while another run is using the directory', async () => {
+        await organizeDirectory(testDir);
+        await writeLock({ command: 'watch' });
+
+        await expect(undoOrganize(testDir)).rejects.toThrow('is in use by segre watch');
+    });
+
+    test('should not need the lock for a dry run', async () => {
+        await writeLock();
+
+        const result = await organizeDirectory(testDir, { dryRun: true });
+
+        expect(result.planned).toHaveLength(1);
+    });
+
+    test('should take over a lock whose process is gone', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        await writeLock({ pid });
+
+        const result = await organizeDirectory(testDir);
+
+        expect(result.moved).toHaveLength(1);
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should take over an old lock from another host, but not a recent one', async () => {
+        await writeLock({ host: 'elsewhere', timestamp: new Date().toISOString() });
+        await expect(acquireLock(testDir)).rejects.toThrow('on elsewhere');
+
+        await writeLock({ host: 'elsewhere', timestamp: '2000-01-01T00:00:00.000Z' });
+        const release = await acquireLock(testDir);
+        await release();
+    });
+
+    test('should take over an unreadable lock', async () => {
+        await fs.writeFile(lockPath(), '');
+
+        const release = await acquireLock(testDir);
+
+        expect(JSON.parse(await fs.readFile(lockPath(), 'utf-8')).pid).toBe(process.pid);
+        await release();
+    });
+
+    test('should wait for the lock with --wait', async () => {
+        await writeLock();
+        const onWait = jest.fn();
+        setTimeout(() => fs.rm(lockPath()), 300);
+
+        const release = await acquireLock(testDir, { wait: true, onWait });
+
+        expect(onWait).toHaveBeenCalledTimes(1);
+        expect(onWait.mock.calls[0][0].pid).toBe(process.ppid);
+        await release();
+    });
+
+    test('should give up waiting after the given number of seconds', async () => {
+        await writeLock();
+
+        await expect(organizeDirectory(testDir, { wait: '0.3' })).rejects.toThrow('Timed out after 0.3s');
+        expect(fsSync.existsSync(path.join(testDir, 'report.pdf'))).toBe(true);
+    });
+
+    test('should reject an invalid wait', async () => {
+        await expect(acquireLock(testDir, { wait: 'soon' })).rejects.toThrow('Invalid wait: soon');
+    });
+
+    test('should lock the output directory too, when it exists', async () => {
+        const output = path.join(testDir, 'archive');
+        await fs.mkdir(output);
+        await fs.writeFile(path.join(output, LOCK_FILE_NAME), JSON.stringify({
+            pid: process.ppid, host: os.hostname(), timestamp: new Date().toISOString()
+        }));
+
+        await expect(organizeDirectory(testDir, { output })).rejects.toThrow(`${output} is in use`);
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should lock the source directory of a batch when undoing from its output', async () => {
+        const output = path.join(testDir, 'archive');
+        await organizeDirectory(testDir, { output });
+        const sourceLog = await fs.readFile(path.join(testDir, '.segre-log.json'), 'utf-8');
+        await writeLock({ command: 'watch' });
+
+        await expect(undoOrganize(output)).rejects.toThrow(`${testDir} is in use by segre watch`);
+        expect(fsSync.existsSync(path.join(output, 'Documents', 'report.pdf'))).toBe(true);
+        expect(await fs.readFile(path.join(testDir, '.segre-log.json'), 'utf-8')).toBe(sourceLog);
+        expect(fsSync.existsSync(path.join(output, LOCK_FILE_NAME))).toBe(false);
+    });
+
+    test('should skip directories that do not exist', async () => {
+        const release = await acquireLocks([testDir, path.join(testDir, 'missing')]);
+
+        expect(fsSync.existsSync(lockPath())).toBe(true);
+        await release();
+        expect(fsSync.existsSync(lockPath())).toBe(false);
+    });
+
+    test('should leave the lock file out of plans', async () => {
+        await writeLock();
+
+        const plan = await planOrganize(testDir);
+
+        expect(plan.entries.map(entry => entry.source)).toEqual(['report.pdf']);
     });
 });
 
-// ==================== undoOrganize Tests ====================
-describe('undoOrganize', () => {
+// ==================== Concurrency Tests ====================
+describe('Concurrency', () => {
     beforeEach(async () => {
         await createTestDir();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
     });
 
     afterEach(async () => {
+        jest.restoreAllMocks();
         await cleanupTestDir();
     });
 
-    test('should restore files to original locations', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
-        await organizeDirectory(testDir, {});
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    const createFiles = async (count, dir = testDir) => {
+        await fs.mkdir(dir, { recursive: true });
+        for (let i = 0; i < count; i++) {
+            await fs.writeFile(path.join(dir, `file${i}.txt`), `content ${i}`);
+        }
+    };
+
+    test('should parse the concurrency limit', () => {
+        expect(parseConcurrency(undefined)).toBe(1);
+        expect(parseConcurrency('8')).toBe(8);
+        expect(() => parseConcurrency('0')).toThrow('Invalid concurrency: 0');
+        expect(() => parseConcurrency('two')).toThrow('Invalid concurrency: two');
+        expect(() => parseConcurrency('1.5')).toThrow('Invalid concurrency');
+    });
 
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+    test('should run at most the limit at once and keep results in order', async () => {
+        let running = 0;
+        let peak = 0;
 
-        await undoOrganize(testDir);
+        const results = await runConcurrently([30, 10, 20, 5, 15], 2, async (ms, i) => {
+            peak = Math.max(peak, ++running);
+            await delay(ms);
+            running--;
+            return i;
+        });
 
-        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+        expect(results).toEqual([0, 1, 2, 3, 4]);
+        expect(peak).toBe(2);
     });
 
-    test('should handle no log file gracefully', async () => {
-        await undoOrganize(testDir);
-    });
+    test('should give concurrent claims for the same path different names', async () => {
+        const allocator = createPathAllocator();
+        const target = path.join(testDir, 'report.pdf');
+        await fs.writeFile(target, 'taken');
 
-    test('should throw on null directory', async () => {
-        await expect(undoOrganize(null))
-            .rejects.toThrow('Target directory must be a non-empty string');
+        const claimed = await Promise.all([1, 2, 3].map(() => allocator.claim(target)));
+
+        expect(claimed.sort()).toEqual([
+            path.join(testDir, 'report(1).pdf'),
+            path.join(testDir, 'report(2).pdf'),
+            path.join(testDir, 'report(3).pdf')
+        ]);
     });
 
-    test('should throw on empty directory', async () => {
-        await expect(undoOrganize(''))
-            .rejects.toThrow('Target directory must be a non-empty string');
+    test('should move every file and report progress up to the total', async () => {
+        await createFiles(20);
+        const events = new EventEmitter();
+        const progress = [];
+        events.on('progress', ({ done, total }) => progress.push(`${done}/${total}`));
+
+        const plan = await planOrganize(testDir);
+        const result = await executePlan(plan, { events, concurrency: 4 });
+
+        expect(result.moved).toHaveLength(20);
+        expect(result.errors).toEqual([]);
+        expect(progress).toEqual(Array.from({ length: 20 }, (value, i) => `${i + 1}/20`));
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toHaveLength(20);
     });
 
-    test('should throw on whitespace-only directory', async () => {
-        await expect(undoOrganize('   '))
-            .rejects.toThrow('Target directory must be a non-empty string');
+    test('should keep destination names unique when files appear during the run', async () => {
+        await createFiles(6, path.join(testDir, 'a'));
+        await createFiles(6, path.join(testDir, 'b'));
+        const plan = await planOrganize(testDir, { recursive: true });
+
+        // Take every planned name, so all files need new ones at once
+        await fs.mkdir(path.join(testDir, 'Documents'));
+        for (const entry of plan.entries) {
+            await fs.writeFile(path.join(testDir, entry.destination), 'taken');
+        }
+        const result = await executePlan(plan, { concurrency: 8 });
+
+        const destinations = result.moved.map(item => item.destination);
+        expect(destinations).toHaveLength(12);
+        expect(new Set(destinations).size).toBe(12);
+        expect(fsSync.readdirSync(path.join(testDir, 'Documents'))).toHaveLength(24);
     });
 
-    test('should clean up empty directories after undo', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
-        await organizeDirectory(testDir, {});
+    test('should link duplicates to files placed in the same run', async () => {
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'same');
+        await fs.writeFile(path.join(testDir, 'copy.pdf'), 'same');
+        await createFiles(5);
 
-        await undoOrganize(testDir);
+        const result = await organizeDirectory(testDir, { duplicates: 'hardlink', concurrency: 4 });
 
-        expect(fsSync.existsSync(path.join(testDir, 'Documents'))).toBe(false);
+        expect(result.errors).toEqual([]);
+        expect(result.duplicates).toHaveLength(1);
+        const [duplicate] = result.duplicates;
+        const kept = fsSync.statSync(path.join(testDir, duplicate.duplicateOf));
+        expect(fsSync.statSync(path.join(testDir, duplicate.destination)).ino).toBe(kept.ino);
     });
 
-    test('should handle blocked original location', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'original');
-        await organizeDirectory(testDir, {});
-
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'blocking');
+    test('should undo a concurrent run', async () => {
+        await createFiles(10);
 
+        await organizeDirectory(testDir, { concurrency: 5 });
         await undoOrganize(testDir);
 
-        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
-        expect(fsSync.existsSync(path.join(testDir, 'test(1).pdf'))).toBe(true);
+        expect(fsSync.readdirSync(testDir).filter(name => name.endsWith('.txt'))).toHaveLength(10);
     });
 
-    test('should handle empty operations log', async () => {
-        const logPath = path.join(testDir, LOG_FILE_NAME);
-        await fs.writeFile(logPath, JSON.stringify([{
-            timestamp: new Date().toISOString(),
-            operations: []
-        }]));
+    test('should reject an invalid limit before moving anything', async () => {
+        await createFiles(2);
 
-        await undoOrganize(testDir);
+        await expect(organizeDirectory(testDir, { concurrency: '0' })).rejects.toThrow('Invalid concurrency');
+        expect(fsSync.existsSync(path.join(testDir, 'file0.txt'))).toBe(true);
     });
 
-    test('should handle empty log array', async () => {
-        const logPath = path.join(testDir, LOG_FILE_NAME);
-        await fs.writeFile(logPath, JSON.stringify([]));
-
-        await undoOrganize(testDir);
+    test('should move up to the limit of files at once', async () => {
+        // Slow renames (like a network mount) keep moves in flight long enough to overlap
+        let inFlight = 0;
+        let peak = 0;
+        const rename = fs.rename;
+        jest.spyOn(fs, 'rename').mockImplementation(async (...args) => {
+            peak = Math.max(peak, ++inFlight);
+            try {
+                await delay(10);
+                return await rename(...args);
+            } finally {
+                inFlight--;
+            }
+        });
+        await createFiles(20);
+
+        const result = await executePlan(await planOrganize(testDir), { concurrency: 4 });
+
+        const destinations = result.moved.map(item => item.destination);
+        expect(destinations).toHaveLength(20);
+        expect(new Set(destinations).size).toBe(20);
+        expect(peak).toBeGreaterThan(1);
+        expect(peak).toBeLessThanOrEqual(4);
     });
 });
 
-// ==================== Interactive Mode Tests ====================
-describe('Interactive Mode', () => {
+// ==================== Error Reporting Tests ====================
+describe('Error Reporting', () => {
+    let logSpy;
+
     beforeEach(async () => {
         await createTestDir();
-        inquirer.prompt.mockReset();
+        await fs.writeFile(path.join(testDir, 'report.pdf'), 'report');
+        await fs.writeFile(path.join(testDir, 'photo.jpg'), 'image');
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
     });
 
     afterEach(async () => {
+        jest.restoreAllMocks();
         await cleanupTestDir();
     });
 
-    test('should prompt for each file', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+    const permissionDenied = () => Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    const logged = () => logSpy.mock.calls.map(call => call.join(' '));
+
+    test('should describe system and other errors', () => {
+        expect(describeError(permissionDenied(), 'move')).toEqual({
+            operation: 'move',
+            code: 'EACCES',
+            error: 'EACCES: permission denied'
+        });
+        expect(describeError(new Error('no longer matches'), 'remove')).toEqual({
+            operation: 'remove',
+            code: null,
+            error: 'no longer matches'
+        });
+    });
 
-        inquirer.prompt.mockResolvedValueOnce({ confirm: true });
+    test('should list each failed file with its operation and errno code', async () => {
+        jest.spyOn(fs, 'rename').mockRejectedValueOnce(permissionDenied());
 
-        await organizeDirectory(testDir, { interactive: true });
+        const result = await organizeDirectory(testDir);
 
-        expect(inquirer.prompt).toHaveBeenCalled();
-        expect(fsSync.existsSync(path.join(testDir, 'Documents', 'test.pdf'))).toBe(true);
+        expect(result.errors).toEqual([{
+            source: expect.any(String),
+            operation: 'move',
+            code: 'EACCES',
+            error: 'EACCES: permission denied'
+        }]);
+        expect(result.moved).toHaveLength(1);
+        expect(logged()).toContain('  Errors: 1 files');
+        expect(logged()).toContain(`    ${result.errors[0].source}: move failed (EACCES: permission denied)`);
     });
 
-    test('should skip file when user declines', async () => {
-        await fs.writeFile(path.join(testDir, 'test.pdf'), 'content');
+    test('should write the failed files to the log with the batch', async () => {
+        jest.spyOn(fs, 'rename').mockRejectedValueOnce(permissionDenied());
 
-        inquirer.prompt.mockResolvedValueOnce({ confirm: false });
+        const result = await organizeDirectory(testDir);
+        const log = await readLog(testDir);
 
-        await organizeDirectory(testDir, { interactive: true });
+        expect(log).toHaveLength(1);
+        expect(log[0].errors).toEqual(result.errors);
+    });
 
-        expect(fsSync.existsSync(path.join(testDir, 'test.pdf'))).toBe(true);
+    test('should log the errors of a run where every file failed', async () => {
+        jest.spyOn(fs, 'rename').mockRejectedValue(permissionDenied());
+
+        const result = await organizeDirectory(testDir);
+        const log = await readLog(testDir);
+
+        expect(result.errors).toHaveLength(2);
+        expect(log).toHaveLength(1);
+        expect(log[0].id).toBe(result.batchId);
+        expect(log[0].operations).toEqual([]);
+        expect(log[0].errors).toEqual(result.errors);
     });
 
-    test('should handle multiple files with mixed responses', async () => {
-        await fs.writeFile(path.join(testDir, 'test1.pdf'), 'content1');
-        await fs.writeFile(path.join(testDir, 'test2.pdf'), 'content2');
+    test('should pass over batches without operations in undo and redo', async () => {
+        await organizeDirectory(testDir);
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'notes');
+        jest.spyOn(fs, 'rename').mockRejectedValueOnce(permissionDenied());
+        const failed = await organizeDirectory(testDir);
+        fs.rename.mockRestore();
 
-        inquirer.prompt
-            .mockResolvedValueOnce({ confirm: true })
-            .mockResolvedValueOnce({ confirm: false });
+        expect(await undoOrganize(testDir, { batch: failed.batchId }))
+            .toHaveProperty('error', `Batch #${failed.batchId} moved no files. Nothing to undo.`);
 
-        await organizeDirectory(testDir, { interactive: true });
+        const undo = await undoOrganize(testDir);
+        expect(undo.batches).toEqual([1]);
+        expect(fsSync.existsSync(path.join(testDir, 'photo.jpg'))).toBe(true);
+        expect((await undoOrganize(testDir)).error).toBe('No operations to undo.');
 
-        const docsDir = path.join(testDir, 'Documents');
-        const movedCount = fsSync.existsSync(docsDir) ?
-            fsSync.readdirSync(docsDir).length : 0;
+        const redo = await redoOrganize(testDir);
+        expect(redo.batchId).toBe(1);
+        expect((await redoOrganize(testDir)).error).toBe('No undone operations. Nothing to redo.');
+    });
 
-        expect(movedCount).toBe(1);
+    test('should not record errors in the log when every file was placed', async () => {
+        await organizeDirectory(testDir);
+        const log = await readLog(testDir);
+
+        expect(log[0]).not.toHaveProperty('errors');
+    });
+
+    test('should list files undo could not restore and keep them in the log', async () => {
+        await organizeDirectory(testDir);
+        await fs.rm(path.join(testDir, 'Images', 'photo.jpg'));
+        logSpy.mockClear();
+
+        const result = await undoOrganize(testDir);
+        const log = await readLog(testDir);
+
+        expect(result.restored).toHaveLength(1);
+        expect(result.errors).toEqual([{
+            file: path.join(testDir, 'Images', 'photo.jpg'),
+            operation: 'restore',
+            code: 'ENOENT',
+            error: expect.stringContaining('ENOENT')
+        }]);
+        expect(log[0].undoErrors).toEqual(result.errors);
+        expect(logged()).toContain(`    ${path.join('Images', 'photo.jpg')}: restore failed (${result.errors[0].error})`);
+    });
+
+    test('should drop undo errors from a batch that is redone', async () => {
+        await organizeDirectory(testDir);
+        await fs.rm(path.join(testDir, 'Images', 'photo.jpg'));
+        await undoOrganize(testDir);
+
+        await redoOrganize(testDir);
+        const log = await readLog(testDir);
+
+        expect(log[0]).not.toHaveProperty('undoErrors');
+    });
+
+    test('should use a distinct exit code when some files failed', () => {
+        expect(EXIT_PARTIAL_FAILURE).toBe(2);
+        expect(getExitCode({ errors: [{ source: 'a.pdf', operation: 'move', code: 'EBUSY', error: 'busy' }] })).toBe(2);
+        expect(getExitCode({ errors: [] })).toBe(0);
     });
 });
 
@@ -975,6 +4749,17 @@ describe('generateSampleConfig', () => {
         expect(content).toEqual(result);
     });
 
+    test('should print nothing with json', async () => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await generateSampleConfig(path.join(testDir, 'sample.json'), { json: true });
+
+        const calls = logSpy.mock.calls.length;
+        logSpy.mockRestore();
+        expect(calls).toBe(0);
+        expect(fsSync.existsSync(path.join(testDir, 'sample.json'))).toBe(true);
+    });
+
     test('should throw on null path', async () => {
         await expect(generateSampleConfig(null))
             .rejects.toThrow('Output path must be a non-empty string');
@@ -1004,6 +4789,21 @@ describe('CLI', () => {
         expect(commands).toContain('undo');
         expect(commands).toContain('categories');
         expect(commands).toContain('init-config');
+        expect(commands).toContain('watch');
+        expect(commands).toContain('dupes');
+        expect(commands).toContain('history');
+        expect(commands).toContain('redo');
+        expect(commands).toContain('plan');
+        expect(commands).toContain('apply');
+    });
+
+    test('should parse subcommand options that share names with organize options', () => {
+        const program = createProgram();
+        const watch = program.commands.find(cmd => cmd.name() === 'watch');
+        watch.action(() => {});
+        program.parse(['node', 'segre', 'watch', '/tmp', '--config', 'custom.json', '--delay', '250']);
+        expect(watch.opts().config).toBe('custom.json');
+        expect(watch.opts().delay).toBe('250');
     });
 
     test('should have all required options', () => {
@@ -1016,6 +4816,37 @@ describe('CLI', () => {
         expect(optionFlags).toContain('--recursive');
         expect(optionFlags).toContain('--ignore');
         expect(optionFlags).toContain('--verbose');
+        expect(optionFlags).toContain('--detect-content');
+        expect(optionFlags).toContain('--duplicates');
+        expect(optionFlags).toContain('--verify');
+        expect(optionFlags).toContain('--mode');
+        expect(optionFlags).toContain('--output');
+        expect(optionFlags).toContain('--template');
+        expect(optionFlags).toContain('--capture-date');
+        expect(optionFlags).toContain('--json');
+        expect(optionFlags).toContain('--concurrency');
+    });
+
+    test('should share the organize options with plan and watch', () => {
+        const program = createProgram();
+        const flags = name => program.commands.find(cmd => cmd.name() === name).options.map(opt => opt.long);
+        const organizeFlags = program.options.map(opt => opt.long);
+
+        const shared = organizeFlags.filter(flag => !['--version', '--output', '--dry-run', '--interactive', '--verify', '--concurrency', '--wait', '--verbose', '--json'].includes(flag));
+        expect(shared).toContain('--rename-format');
+        expect(flags('plan')).toEqual(expect.arrayContaining(shared));
+
+        const notForWatch = ['--recursive', '--max-depth', '--min-depth', '--only-dirs', '--exclude-dirs', '--structure', '--mode'];
+        expect(flags('watch')).toEqual(expect.arrayContaining(shared.filter(flag => !notForWatch.includes(flag))));
+        expect(flags('watch')).not.toContain('--mode');
+    });
+
+    test('should accept --json on every command that prints results', () => {
+        const program = createProgram();
+        for (const name of ['plan', 'apply', 'undo', 'redo', 'recover', 'history', 'watch', 'dupes', 'categories', 'init-config']) {
+            const command = program.commands.find(cmd => cmd.name() === name);
+            expect(command.options.map(opt => opt.long)).toContain('--json');
+        }
     });
 });
 
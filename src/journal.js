@@ -0,0 +1,132 @@
+/**
+ * Write-ahead journal of a run in progress, so an interrupted run can be
+ * recovered. Each file operation is recorded (and synced to disk) before it
+ * starts and again when it is done. The journal is removed once the run's
+ * batch is in the log.
+ * @module journal
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const JOURNAL_FILE_NAME = '.segre-journal.jsonl';
+
+/**
+ * Start the journal of a run
+ * @param {string} targetDir - Directory being organized
+ * @param {Object} details - Run details (command, options, source, output)
+ * @returns {Promise<Object>} Journal with begin(), done() and close()
+ * @throws {Error} If the journal of an interrupted run is still there
+ */
+async function openJournal(targetDir, details) {
+    const journalPath = path.join(targetDir, JOURNAL_FILE_NAME);
+
+    let handle;
+    try {
+        handle = await fs.open(journalPath, 'wx');
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            throw new Error(`An interrupted run was found in ${targetDir}. Run "segre recover ${targetDir}" first.`);
+        }
+        throw error;
+    }
+
+    // Records are written one at a time, even when files are moved concurrently
+    let queue = Promise.resolve();
+    let nextId = 1;
+
+    const append = record => {
+        const write = queue.then(async () => {
+            await handle.appendFile(JSON.stringify(record) + '\n');
+            await handle.sync();
+        });
+        queue = write.catch(() => {});
+        return write;
+    };
+
+    await append({ type: 'start', timestamp: new Date().toISOString(), ...details });
+
+    return {
+        /**
+         * Record an operation that is about to start
+         * @param {Object} operation - Log operation with its planned paths
+         * @returns {Promise<number>} Id to pass to done()
+         */
+        async begin(operation) {
+            const id = nextId++;
+            await append({ type: 'begin', id, operation });
+            return id;
+        },
+
+        /**
+         * Record a finished operation
+         * @param {number} id - Id from begin()
+         * @param {Object} operation - Log operation as carried out
+         */
+        async done(id, operation) {
+            await append({ type: 'done', id, operation });
+        },
+
+        /**
+         * Close and remove the journal, once the run is in the log
+         */
+        async close() {
+            await queue;
+            await handle.close();
+            await fs.unlink(journalPath);
+        }
+    };
+}
+
+/**
+ * Read the journal of an interrupted run
+ * @param {string} targetDir - Directory that was being organized
+ * @returns {Promise<Object|null>} { start, operations } with each operation as
+ *     { operation, done }, in the order they began; null if there is no journal
+ */
+async function readJournal(targetDir) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(targetDir, JOURNAL_FILE_NAME), 'utf-8');
+    } catch {
+        return null;
+    }
+
+    let start = null;
+    const operations = new Map();
+
+    for (const line of content.split('\n')) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            // Empty line, or the last record was cut off by the crash
+            continue;
+        }
+
+        if (record.type === 'start') {
+            start = record;
+        } else if (record.type === 'begin') {
+            operations.set(record.id, { operation: record.operation, done: false });
+        } else if (record.type === 'done' && operations.has(record.id)) {
+            operations.set(record.id, { operation: record.operation, done: true });
+        }
+    }
+
+    return { start: start || {}, operations: [...operations.values()] };
+}
+
+/**
+ * Remove the journal of an interrupted run once it is recovered
+ * @param {string} targetDir - Directory that was being organized
+ */
+async function removeJournal(targetDir) {
+    await fs.rm(path.join(targetDir, JOURNAL_FILE_NAME), { force: true });
+}
+
+module.exports = {
+    JOURNAL_FILE_NAME,
+    openJournal,
+    readJournal,
+    removeJournal
+};
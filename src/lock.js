@@ -0,0 +1,275 @@
+/**
+ * Lock files that keep two segre runs from changing the same directory (and
+ * its log) at once
+ * @module lock
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const LOCK_FILE_NAME = '.segre.lock';
+
+// Held for a moment by a run that takes over a stale lock
+const TAKEOVER_FILE_NAME = '.segre.lock.takeover';
+
+// Locks from another host are only taken over after this long, as there is
+// no way to check whether the process that holds them is still running
+const STALE_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// How often a waiting run checks the lock again
+const WAIT_INTERVAL_MS = 250;
+
+// A takeover that has not finished after this long was cut off (the run crashed)
+const STALE_TAKEOVER_MS = 10 * 1000;
+
+// Release functions handed out by this process -> lock files they release
+const heldLocks = new WeakMap();
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a process is running on this host
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it is running (or cannot be signalled)
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Check whether a lock was left behind by a run that is gone
+ * @param {Object} holder - Contents of the lock file
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isStale(holder) {
+    if (holder.host === os.hostname()) {
+        return !isRunning(holder.pid);
+    }
+    return !(Date.now() - new Date(holder.timestamp).getTime() < STALE_LOCK_MS);
+}
+
+/**
+ * Describe the run that holds a lock, for messages
+ * @param {Object} holder - Contents of the lock file
+ * @returns {string} E.g. "segre undo (pid 4242 on nas, since 2026-01-01T10:00:00.000Z)"
+ */
+function describeHolder(holder) {
+    return `segre ${holder.command || 'run'} (pid ${holder.pid} on ${holder.host}, since ${holder.timestamp})`;
+}
+
+/**
+ * Read the holder of a lock
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<Object|null>} Contents of the lock file, or null if it is gone or unreadable
+ */
+async function readHolder(lockPath) {
+    try {
+        return JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remove a lock that was found stale. Runs that found the same stale lock
+ * take turns through a takeover file, and each one reads the lock again
+ * once it is its turn, so none of them removes the lock another has just
+ * created in its place.
+ * @param {string} lockPath - Lock file path
+ */
+async function removeStaleLock(lockPath) {
+    const takeoverPath = path.join(path.dirname(lockPath), TAKEOVER_FILE_NAME);
+
+    try {
+        await fs.writeFile(takeoverPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Another run is taking the lock over: look again shortly
+        const stats = await fs.stat(takeoverPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > STALE_TAKEOVER_MS) {
+            await fs.rm(takeoverPath, { force: true });
+        }
+        await delay(50);
+        return;
+    }
+
+    try {
+        let current = await readHolder(lockPath);
+        if (!current) {
+            // Just created and not written yet, or just removed
+            await delay(50);
+            current = await readHolder(lockPath);
+        }
+        if (!current || isStale(current)) {
+            await fs.rm(lockPath, { force: true });
+        }
+    } finally {
+        await fs.rm(takeoverPath, { force: true });
+    }
+}
+
+/**
+ * Try to create the lock file, taking over stale locks
+ * @param {string} lockPath - Lock file path
+ * @param {Object} holder - Contents to write
+ * @returns {Promise<Object|null>} null if the lock was taken, else the current holder
+ */
+async function tryLock(lockPath, holder) {
+    try {
+        await fs.writeFile(lockPath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+        return null;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    let current = await readHolder(lockPath);
+    if (!current) {
+        // Just created and not written yet, or just removed: look again shortly
+        await delay(50);
+        current = await readHolder(lockPath);
+    }
+
+    // Removed, unreadable, or left behind by a run that is gone
+    if (!current || isStale(current)) {
+        await removeStaleLock(lockPath);
+        return tryLock(lockPath, holder);
+    }
+    return current;
+}
+
+/**
+ * Validate the --wait option
+ * @param {boolean|string|number} [value] - true to wait forever, or a number of seconds
+ * @returns {boolean|number} false (do not wait), true, or seconds
+ * @throws {Error} If the value is not a positive number of seconds
+ */
+function parseWait(value) {
+    if (value === undefined || value === null || value === false) return false;
+    if (value === true) return true;
+
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new Error(`Invalid wait: ${value} (expected a number of seconds)`);
+    }
+    return seconds;
+}
+
+/**
+ * Lock a directory for this process. A lock is not taken again by the same
+ * process unless the caller passes the locks it already holds (e.g., undo
+ * run by recover), so two runs in one process exclude each other too.
+ * @param {string} targetDir - Directory to lock
+ * @param {Object} options - Lock options
+ * @param {string} [options.command] - Command recorded in the lock
+ * @param {boolean|string|number} [options.wait] - Wait for the lock, forever (true) or for
+ *     this many seconds (see parseWait)
+ * @param {Function} [options.onWait] - Called with the holder when waiting starts
+ * @param {Function} [options.held] - Release function of locks the caller holds; a
+ *     directory among them is not locked again
+ * @returns {Promise<Function>} Async function that releases the lock
+ * @throws {Error} If another run holds the lock (after waiting, with wait)
+ */
+async function acquireLock(targetDir, options = {}) {
+    const lockPath = path.join(path.resolve(targetDir), LOCK_FILE_NAME);
+    const wait = parseWait(options.wait);
+
+    if (options.held && (heldLocks.get(options.held) || []).includes(lockPath)) {
+        const release = async () => {};
+        heldLocks.set(release, [lockPath]);
+        return release;
+    }
+
+    const holder = {
+        pid: process.pid,
+        host: os.hostname(),
+        command: options.command || 'organize',
+        timestamp: new Date().toISOString()
+    };
+    const deadline = typeof wait === 'number' ? Date.now() + wait * 1000 : Infinity;
+    let waiting = false;
+
+    for (;;) {
+        const current = await tryLock(lockPath, holder);
+        if (!current) break;
+
+        if (!wait) {
+            throw new Error(`${targetDir} is in use by ${describeHolder(current)}. Use --wait to wait for it.`);
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out after ${wait}s waiting for ${describeHolder(current)} to finish with ${targetDir}`);
+        }
+        if (!waiting && options.onWait) {
+            options.onWait(current);
+        }
+        waiting = true;
+        await delay(WAIT_INTERVAL_MS);
+    }
+
+    let released = false;
+    const release = async () => {
+        if (released) return;
+        released = true;
+        await fs.rm(lockPath, { force: true });
+    };
+    heldLocks.set(release, [lockPath]);
+    return release;
+}
+
+/**
+ * Lock several directories. Directories that do not exist (yet) are left
+ * out, as there is nothing in them to protect.
+ * @param {string[]} dirs - Directories to lock (duplicates are locked once)
+ * @param {Object} options - Lock options (see acquireLock)
+ * @returns {Promise<Function>} Async function that releases every lock
+ * @throws {Error} If another run holds one of the locks
+ */
+async function acquireLocks(dirs, options = {}) {
+    const releases = [];
+    const releaseAll = async () => {
+        for (const release of releases.reverse()) {
+            await release();
+        }
+    };
+
+    // Always locked in the same order, so two waiting runs cannot deadlock
+    const unique = [...new Set(dirs.map(dir => path.resolve(dir)))].sort();
+
+    try {
+        for (const dir of unique) {
+            const stats = await fs.stat(dir).catch(() => null);
+            if (stats && stats.isDirectory()) {
+                releases.push(await acquireLock(dir, options));
+            }
+        }
+    } catch (error) {
+        await releaseAll();
+        throw error;
+    }
+
+    heldLocks.set(releaseAll, releases.flatMap(release => heldLocks.get(release)));
+    return releaseAll;
+}
+
+module.exports = {
+    LOCK_FILE_NAME,
+    TAKEOVER_FILE_NAME,
+    STALE_LOCK_MS,
+    parseWait,
+    acquireLock,
+    acquireLocks,
+    describeHolder
+};
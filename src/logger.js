@@ -8,12 +8,69 @@ const path = require('path');
 
 const LOG_FILE_NAME = '.segre-log.json';
 
+// Files a run overwrote are kept here, under the output root, so undo can put them back
+const TRASH_DIR_NAME = '.segre-trash';
+
+/**
+ * Get the id of a batch (older logs without ids use their position)
+ * @param {Object} batch - Log batch
+ * @param {number} index - Position of the batch in the log
+ * @returns {number} Batch id
+ */
+function getBatchId(batch, index) {
+    return batch.id || index + 1;
+}
+
+/**
+ * Get the roots of a batch. Batches organized into a separate --output
+ * directory record both; in-place batches use the directory of the log.
+ * @param {Object} batch - Log batch
+ * @param {string} logDir - Directory holding the log
+ * @returns {Object} { source, output }
+ */
+function getBatchRoots(batch, logDir) {
+    return {
+        source: batch.source || logDir,
+        output: batch.output || logDir
+    };
+}
+
+/**
+ * Give every batch an explicit id so ids stay stable when batches move
+ * @param {Array} log - Log array
+ * @returns {Array} Log with ids on every batch
+ */
+function normalizeLog(log) {
+    return log.map((batch, i) => ({ id: getBatchId(batch, i), ...batch }));
+}
+
+// Options that only change how a run is shown or carried out, not where files go
+const RUN_OPTIONS = ['json', 'concurrency', 'wait'];
+
+/**
+ * Keep the options worth recording with a batch (plain values only)
+ * @param {Object} options - CLI options
+ * @returns {Object} Recorded options
+ */
+function summarizeOptions(options = {}) {
+    const summary = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (RUN_OPTIONS.includes(key)) continue;
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            summary[key] = value;
+        }
+    }
+    return summary;
+}
+
 /**
  * Save operation log for undo functionality
  * @param {string} targetDir - Target directory
  * @param {Array} operations - List of move operations
+ * @param {Object} details - Extra batch fields (e.g., command, options)
+ * @returns {Promise<Object>} The saved batch
  */
-async function saveLog(targetDir, operations) {
+async function saveLog(targetDir, operations, details = {}) {
     const logPath = path.join(targetDir, LOG_FILE_NAME);
     let existingLog = [];
 
@@ -24,13 +81,18 @@ async function saveLog(targetDir, operations) {
         // No existing log file
     }
 
+    const lastId = existingLog.reduce((max, batch, i) => Math.max(max, getBatchId(batch, i)), 0);
+
     const newLog = {
+        id: lastId + 1,
         timestamp: new Date().toISOString(),
+        ...details,
         operations: operations
     };
 
     existingLog.push(newLog);
     await fs.writeFile(logPath, JSON.stringify(existingLog, null, 2));
+    return newLog;
 }
 
 /**
@@ -64,9 +126,56 @@ async function updateLog(targetDir, log) {
     }
 }
 
+/**
+ * Apply changes made to batches in one log to their copies in the log of
+ * the other root (see getBatchRoots). Changed batches move to the end of
+ * the other log, like they do in the log that was changed.
+ * @param {string} logDir - Directory of the log that was changed
+ * @param {Array} changes - Changes as { batch, updated }, updated null to remove
+ */
+async function updateMirrorLogs(logDir, changes) {
+    const byDir = new Map();
+
+    for (const change of changes) {
+        const { source, output } = getBatchRoots(change.batch, logDir);
+        if (source === output) continue;
+
+        const otherDir = source === logDir ? output : source;
+        if (!byDir.has(otherDir)) byDir.set(otherDir, []);
+        byDir.get(otherDir).push(change);
+    }
+
+    for (const [otherDir, dirChanges] of byDir) {
+        const otherLog = await readLog(otherDir);
+        if (!otherLog) continue;
+
+        const log = normalizeLog(otherLog);
+        const appended = [];
+
+        for (const { batch, updated } of dirChanges) {
+            const index = log.findIndex(entry => entry.timestamp === batch.timestamp &&
+                entry.source === batch.source && entry.output === batch.output);
+            if (index === -1) continue;
+
+            const [mirror] = log.splice(index, 1);
+            if (updated) {
+                appended.push({ ...updated, id: mirror.id });
+            }
+        }
+
+        await updateLog(otherDir, [...log, ...appended]);
+    }
+}
+
 module.exports = {
     LOG_FILE_NAME,
+    TRASH_DIR_NAME,
+    getBatchId,
+    getBatchRoots,
+    normalizeLog,
+    summarizeOptions,
     saveLog,
     readLog,
-    updateLog
+    updateLog,
+    updateMirrorLogs
 };
@@ -0,0 +1,308 @@
+/**
+ * Capture dates from photo and video metadata (EXIF, QuickTime/MP4)
+ * @module metadata
+ */
+
+const fs = require('fs/promises');
+
+// EXIF tags holding dates, in order of preference
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+
+// How much of a file is searched for EXIF data
+const MAX_JPEG_SCAN = 256 * 1024;
+const MAX_TIFF_SCAN = 1024 * 1024;
+
+// Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+/**
+ * Read bytes at a position
+ * @param {fs.FileHandle} handle - Open file
+ * @param {number} position - Byte offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} The bytes read (shorter at end of file)
+ */
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Parse an EXIF date ("2024:03:07 14:30:00", local time)
+ * @param {string} text - EXIF date string
+ * @returns {Date|null} Date, or null if unset or malformed
+ */
+function parseExifDate(text) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text);
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    if (year === 0 || month === 0 || day === 0) return null;
+
+    return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * Find the capture date in TIFF-structured EXIF data
+ * @param {Buffer} tiff - Data starting at the TIFF header
+ * @returns {Object|null} { date, source } or null if no date is present
+ */
+function parseTiffDate(tiff) {
+    try {
+        const byteOrder = tiff.toString('latin1', 0, 2);
+        if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+        const little = byteOrder === 'II';
+        const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+        const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+        if (u16(2) !== 42) return null;
+
+        // tag -> { type, count, valueOffset }
+        const readIfd = offset => {
+            const entries = new Map();
+            const count = u16(offset);
+            for (let i = 0; i < count; i++) {
+                const entry = offset + 2 + i * 12;
+                entries.set(u16(entry), { type: u16(entry + 2), count: u32(entry + 4), valueOffset: entry + 8 });
+            }
+            return entries;
+        };
+
+        const readDate = (entries, tag) => {
+            const field = entries.get(tag);
+            // ASCII values longer than 4 bytes are stored at an offset
+            if (!field || field.type !== 2) return null;
+            const start = field.count > 4 ? u32(field.valueOffset) : field.valueOffset;
+            return parseExifDate(tiff.toString('latin1', start, start + field.count));
+        };
+
+        const ifd0 = readIfd(u32(4));
+        const exifIfd = ifd0.has(TAG_EXIF_IFD) ? readIfd(u32(ifd0.get(TAG_EXIF_IFD).valueOffset)) : new Map();
+
+        const candidates = [
+            [exifIfd, TAG_DATE_TIME_ORIGINAL, 'EXIF DateTimeOriginal'],
+            [exifIfd, TAG_DATE_TIME_DIGITIZED, 'EXIF DateTimeDigitized'],
+            [ifd0, TAG_DATE_TIME, 'EXIF DateTime']
+        ];
+
+        for (const [entries, tag, source] of candidates) {
+            const date = readDate(entries, tag);
+            if (date) return { date, source };
+        }
+    } catch {
+        // Offsets pointing outside the data read
+    }
+
+    return null;
+}
+
+/**
+ * Read the capture date from the APP1 segment of a JPEG
+ * @param {fs.FileHandle} handle - Open file
+ * @returns {Promise<Object|null>} { date, source } or null
+ */
+async function readJpegDate(handle) {
+    const data = await readAt(handle, 0, MAX_JPEG_SCAN);
+    let offset = 2;
+
+    while (offset + 4 <= data.length && data[offset] === 0xFF) {
+        const marker = data[offset + 1];
+        // Image data starts, no metadata after this
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = data.readUInt16BE(offset + 2);
+        if (marker === 0xE1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            return parseTiffDate(data.subarray(offset + 10, offset + 2 + length));
+        }
+        offset += 2 + length;
+    }
+
+    return null;
+}
+
+/**
+ * List the boxes between two offsets of an ISO media file (MP4, MOV, HEIC)
+ * @param {fs.FileHandle} handle - Open file
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last
+ * @returns {Promise<Array>} Boxes as { type, start, end } (start is after the header)
+ */
+async function readBoxes(handle, start, end) {
+    const boxes = [];
+    let position = start;
+
+    while (position + 8 <= end) {
+        const header = await readAt(handle, position, 16);
+        if (header.length < 8) break;
+
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Box extends to the end
+            size = end - position;
+        }
+        if (size < headerSize) break;
+
+        boxes.push({
+            type: header.toString('latin1', 4, 8),
+            start: position + headerSize,
+            end: Math.min(position + size, end)
+        });
+        position += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Read the creation time from the movie header (moov/mvhd) of an MP4 or MOV
+ * @param {fs.FileHandle} handle - Open file
+ * @param {Object} moov - The moov box
+ * @returns {Promise<Object|null>} { date, source } or null
+ */
+async function readMovieDate(handle, moov) {
+    const mvhd = (await readBoxes(handle, moov.start, moov.end)).find(box => box.type === 'mvhd');
+    if (!mvhd) return null;
+
+    const data = await readAt(handle, mvhd.start, 12);
+    const seconds = data[0] === 1 ? Number(data.readBigUInt64BE(4)) : data.readUInt32BE(4);
+
+    // Zero means the recorder did not set it
+    if (seconds <= QUICKTIME_EPOCH_OFFSET) return null;
+
+    return { date: new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000), source: 'QuickTime creation time' };
+}
+
+/**
+ * Read the capture date from the Exif item of a HEIF/HEIC image (meta/iinf + iloc)
+ * @param {fs.FileHandle} handle - Open file
+ * @param {Object} meta - The meta box
+ * @returns {Promise<Object|null>} { date, source } or null
+ */
+async function readHeifDate(handle, meta) {
+    // meta is a full box: skip version and flags
+    const children = await readBoxes(handle, meta.start + 4, meta.end);
+    const iinf = children.find(box => box.type === 'iinf');
+    const iloc = children.find(box => box.type === 'iloc');
+    if (!iinf || !iloc) return null;
+
+    // Find the id of the Exif item
+    const info = await readAt(handle, iinf.start, iinf.end - iinf.start);
+    let offset = info[0] === 0 ? 6 : 8;
+    let exifId = null;
+
+    while (offset + 8 <= info.length && exifId === null) {
+        const size = info.readUInt32BE(offset);
+        if (size < 8) break;
+        if (info.toString('latin1', offset + 4, offset + 8) === 'infe') {
+            const version = info[offset + 8];
+            if (version >= 2) {
+                const idSize = version === 2 ? 2 : 4;
+                const id = idSize === 2 ? info.readUInt16BE(offset + 12) : info.readUInt32BE(offset + 12);
+                const typeOffset = offset + 12 + idSize + 2;
+                if (info.toString('latin1', typeOffset, typeOffset + 4) === 'Exif') {
+                    exifId = id;
+                }
+            }
+        }
+        offset += size;
+    }
+    if (exifId === null) return null;
+
+    // Find where the Exif item is stored
+    const loc = await readAt(handle, iloc.start, iloc.end - iloc.start);
+    const version = loc[0];
+    const offsetSize = loc[4] >> 4;
+    const lengthSize = loc[4] & 15;
+    const baseOffsetSize = loc[5] >> 4;
+    const indexSize = version === 1 || version === 2 ? loc[5] & 15 : 0;
+    let p = 6;
+
+    // Big-endian unsigned number of 0, 2, 4 or 8 bytes
+    const readNumber = size => {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + loc[p + i];
+        }
+        p += size;
+        return value;
+    };
+
+    const itemCount = readNumber(version < 2 ? 2 : 4);
+    for (let i = 0; i < itemCount; i++) {
+        const id = readNumber(version < 2 ? 2 : 4);
+        const constructionMethod = version === 1 || version === 2 ? readNumber(2) & 15 : 0;
+        readNumber(2);
+        const baseOffset = readNumber(baseOffsetSize);
+        const extentCount = readNumber(2);
+        const extents = [];
+        for (let j = 0; j < extentCount; j++) {
+            readNumber(indexSize);
+            extents.push({ offset: readNumber(offsetSize), length: readNumber(lengthSize) });
+        }
+
+        if (id === exifId) {
+            // Only items stored in the file itself, in one piece
+            if (constructionMethod !== 0 || extents.length !== 1) return null;
+            const exif = await readAt(handle, baseOffset + extents[0].offset, extents[0].length);
+            // The item starts with the offset of the TIFF header
+            return parseTiffDate(exif.subarray(4 + exif.readUInt32BE(0)));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read when a photo or video was taken from its metadata. Supports EXIF in
+ * JPEG, TIFF (and TIFF-based raw) and HEIF/HEIC images, and the movie header
+ * of MP4/MOV files. Nothing is run outside the process.
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>} { date, source } or null if no date was found
+ */
+async function readCaptureDate(filePath) {
+    let handle;
+
+    try {
+        handle = await fs.open(filePath, 'r');
+        const header = await readAt(handle, 0, 12);
+
+        if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+            return await readJpegDate(handle);
+        }
+
+        const start = header.toString('latin1', 0, 4);
+        if (start === 'II*\0' || start === 'MM\0*') {
+            return parseTiffDate(await readAt(handle, 0, MAX_TIFF_SCAN));
+        }
+
+        if (header.toString('latin1', 4, 8) === 'ftyp') {
+            const { size } = await handle.stat();
+            const boxes = await readBoxes(handle, 0, size);
+            const moov = boxes.find(box => box.type === 'moov');
+            const meta = boxes.find(box => box.type === 'meta');
+            if (moov) return await readMovieDate(handle, moov);
+            if (meta) return await readHeifDate(handle, meta);
+        }
+
+        return null;
+    } catch {
+        // Unreadable or truncated file
+        return null;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+module.exports = {
+    parseExifDate,
+    parseTiffDate,
+    readCaptureDate
+};
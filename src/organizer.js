@@ -5,410 +5,2023 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const { EventEmitter } = require('events');
 const chalk = require('chalk');
-const cliProgress = require('cli-progress');
-const ora = require('ora');
 const inquirer = require('inquirer');
 
-const { defaultCategories, getCategory } = require('./categories');
-const { getUniqueFilePath, getMonthName, shouldIgnore } = require('./utils');
-const { loadConfig } = require('./config');
-const { LOG_FILE_NAME, saveLog, readLog, updateLog } = require('./logger');
+const { getCategory } = require('./categories');
+const {
+    getUniqueFilePath,
+    createPathAllocator,
+    runConcurrently,
+    describeError
+} = require('./utils');
+const {
+    IGNORE_FILE_NAME,
+    parseIgnoreOption,
+    createIgnoreMatcher,
+    createDirMatcher,
+    createProtectedMatcher
+} = require('./ignore');
+const { loadSettings, getDefaultSettings } = require('./config');
+const { detectCategory } = require('./detector');
+const { readCaptureDate } = require('./metadata');
+const { parseDuplicatePolicy, createDuplicateIndex } = require('./duplicates');
+const { findMatchingRule, describeCondition } = require('./rules');
+const { parseFilters, findFailedFilter } = require('./filters');
+const {
+    parseConflictStrategy,
+    parseRenameFormat,
+    createRenamer,
+    getTrashDir,
+    setAside
+} = require('./conflicts');
+const {
+    DEFAULT_TEMPLATE,
+    BY_DATE_TEMPLATE,
+    parseTemplate,
+    getTemplateValues,
+    renderTemplate,
+    getTemplateRoot
+} = require('./templates');
+const { PLACE_MODES, SYMLINK_POLICIES, moveFile, placeFile, isPlaced } = require('./fileops');
+const {
+    LOG_FILE_NAME,
+    TRASH_DIR_NAME,
+    saveLog,
+    readLog,
+    updateLog,
+    getBatchId,
+    normalizeLog,
+    summarizeOptions,
+    getBatchRoots,
+    updateMirrorLogs
+} = require('./logger');
+const { findBatchIndex, findBatchConflicts } = require('./history');
+const { createOutput } = require('./output');
+const { PLAN_VERSION, validatePlan, findChangedEntries } = require('./plan');
+const { JOURNAL_FILE_NAME, openJournal, readJournal, removeJournal } = require('./journal');
+const { LOCK_FILE_NAME, TAKEOVER_FILE_NAME, acquireLocks, describeHolder } = require('./lock');
 
 /**
  * Recursively collect all files from a directory
  * @param {string} dir - Directory to scan
- * @param {string} baseDir - Base directory for organization
- * @param {string[]} categoryFolders - Category folder names to skip
- * @param {string[]} ignorePatterns - Patterns to ignore
- * @param {Object} options - CLI options
+ * @param {Object} scan - What the scan leaves out, shared by every level
+ * @param {string} scan.baseDir - Base directory for organization
+ * @param {string[]} scan.skippedDirs - Directories to leave alone (see getSkippedDirs)
+ * @param {Object} scan.ignore - Matcher from createIgnoreMatcher
+ * @param {Object} scan.protect - Check from createProtectedMatcher
+ * @param {string} scan.symlinks - Symlink policy (see parseSymlinkPolicy)
+ * @param {Object} scan.bounds - Bounds from parseScanBounds
+ * @param {Array<Object>} scan.filters - Size and date filters from parseFilters
+ * @param {Set<string>} scan.visited - Directories scanned so far, by device and inode
+ * @param {Set<string>|null} scan.only - Files to look at (absolute), or null for all
+ * @param {Object} options - CLI options (events receives "file:ignored")
  * @returns {Promise<Array>} Array of file objects
  */
-async function collectFilesRecursively(dir, baseDir, categoryFolders, ignorePatterns, options) {
+async function collectFilesRecursively(dir, scan, options) {
     const files = [];
     const entries = await fs.readdir(dir);
+    const skip = (entryPath, reason) => {
+        emit(options.events, 'file:ignored', { path: path.relative(scan.baseDir, entryPath), reason });
+    };
+    // Below --min-depth or outside --only-dirs, only subdirectories are scanned
+    const includesFiles = scan.bounds.includes(path.relative(scan.baseDir, dir));
 
     for (const entry of entries) {
         const entryPath = path.join(dir, entry);
 
-        // Skip log file
-        if (entry === LOG_FILE_NAME) continue;
+        // Skip log, journal, lock and ignore files
+        if ([LOG_FILE_NAME, JOURNAL_FILE_NAME, LOCK_FILE_NAME, TAKEOVER_FILE_NAME, IGNORE_FILE_NAME, TRASH_DIR_NAME].includes(entry)) continue;
 
-        // Skip ignored patterns
-        if (shouldIgnore(entryPath, ignorePatterns)) {
-            if (options.verbose) {
-                console.log(chalk.gray(`  Ignoring: ${path.relative(baseDir, entryPath)}`));
-            }
+        // With paths, only those files (and the folders they are in) are looked at
+        if (scan.only && !scan.only.has(entryPath) &&
+            ![...scan.only].some(only => only.startsWith(entryPath + path.sep))) continue;
+
+        // Skip category folders of the output root
+        if (scan.skippedDirs.includes(entryPath)) {
+            skip(entryPath, 'category folder');
             continue;
         }
 
-        // Skip category folders at base level
-        if (dir === baseDir && categoryFolders.includes(entry)) {
-            if (options.verbose) {
-                console.log(chalk.gray(`  Skipping category folder: ${entry}`));
+        // Links are judged by what they point to, once it is known they point somewhere
+        let linkStats;
+        try {
+            linkStats = await fs.lstat(entryPath);
+        } catch (error) {
+            // Renamed or removed since the directory was read, e.g. a download
+            // that just got its final name (picked up under that name)
+            if (error.code === 'ENOENT') {
+                skip(entryPath, 'in progress');
+                continue;
             }
+            throw error;
+        }
+        const isLink = linkStats.isSymbolicLink();
+        let stats = linkStats;
+        if (isLink) {
+            try {
+                stats = await fs.stat(entryPath);
+            } catch {
+                skip(entryPath, 'broken link');
+                continue;
+            }
+        }
+
+        // Skip system files, partial downloads and (by default) hidden files
+        const reason = scan.protect.reason(entryPath, stats.isDirectory());
+        if (reason) {
+            skip(entryPath, reason);
             continue;
         }
 
-        const stats = await fs.stat(entryPath);
+        // Skip ignored patterns (some only match directories)
+        if (scan.ignore.ignores(entryPath, stats.isDirectory())) {
+            skip(entryPath, 'ignored');
+            continue;
+        }
+
+        // Only "follow" descends into linked directories
+        if (isLink && (scan.symlinks === 'skip' || (stats.isDirectory() && scan.symlinks !== 'follow'))) {
+            skip(entryPath, 'symlink');
+            continue;
+        }
 
         if (stats.isFile()) {
+            if (!includesFiles) {
+                skip(entryPath, 'out of range');
+                continue;
+            }
+            const failed = findFailedFilter(scan.filters, stats);
+            if (failed) {
+                emit(options.events, 'file:ignored', {
+                    path: path.relative(scan.baseDir, entryPath),
+                    reason: 'filtered',
+                    filter: `${failed.flag} ${failed.value}`,
+                    detail: failed.reason
+                });
+                continue;
+            }
             files.push({
                 name: entry,
                 path: entryPath,
-                stats: stats
+                stats: stats,
+                ...(isLink && { isLink })
             });
         } else if (stats.isDirectory() && options.recursive) {
-            // Skip category folders during recursive scan
-            if (categoryFolders.includes(entry)) {
-                if (options.verbose) {
-                    console.log(chalk.gray(`  Skipping category folder: ${path.relative(baseDir, entryPath)}`));
-                }
+            const boundReason = scan.bounds.skipReason(path.relative(scan.baseDir, entryPath));
+            if (boundReason) {
+                skip(entryPath, boundReason);
+                continue;
+            }
+
+            // A link back to a directory already scanned would loop, or find its files twice
+            const id = `${stats.dev}:${stats.ino}`;
+            if (scan.visited.has(id)) {
+                skip(entryPath, 'symlink loop');
                 continue;
             }
-            // Recursively collect files from subdirectories
-            const subFiles = await collectFilesRecursively(entryPath, baseDir, categoryFolders, ignorePatterns, options);
+            scan.visited.add(id);
+
+            // Recursively collect files from subdirectories, with their own .segreignore
+            await scan.ignore.load(entryPath);
+            const subFiles = await collectFilesRecursively(entryPath, scan, options);
             files.push(...subFiles);
         }
     }
 
-    return files;
+    return files;
+}
+
+/**
+ * Check whether something (a file, folder or link, even a broken one) is at a path
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function exists(filePath) {
+    try {
+        await fs.lstat(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check whether a file changed since it was collected, i.e., something is
+ * still writing it
+ * @param {Object} file - File object from collectFilesRecursively
+ * @returns {Promise<boolean>} True if its size or modification time changed, or it is gone
+ */
+async function isBeingWritten(file) {
+    try {
+        const stats = await fs.stat(file.path);
+        return stats.size !== file.stats.size || stats.mtimeMs !== file.stats.mtimeMs;
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Recursively clean up empty directories, within the part of the tree the
+ * scan covered
+ * @param {string} dir - Directory to clean
+ * @param {string[]} skippedDirs - Directories to leave alone (see getSkippedDirs)
+ * @param {Object} bounds - Bounds from parseScanBounds
+ * @param {string} [baseDir] - Directory that was organized
+ * @returns {Promise<string[]>} Removed directories, deepest first, so undo can recreate them
+ */
+async function cleanupEmptyDirectories(dir, skippedDirs, bounds, baseDir = dir) {
+    const removed = [];
+    const entries = await fs.readdir(dir);
+
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry);
+        const relativeDir = path.relative(baseDir, entryPath);
+
+        // Skip category folders, and folders the scan did not go into
+        if (skippedDirs.includes(entryPath) || bounds.skipReason(relativeDir)) continue;
+
+        try {
+            // Never through symlinks: they can loop, or lead out of the tree
+            const stats = await fs.lstat(entryPath);
+            if (stats.isDirectory()) {
+                // Recursively clean subdirectories first
+                removed.push(...await cleanupEmptyDirectories(entryPath, skippedDirs, bounds, baseDir));
+
+                // Check if directory is now empty (and had its files organized)
+                const contents = await fs.readdir(entryPath);
+                if (contents.length === 0 && bounds.includes(relativeDir)) {
+                    await fs.rmdir(entryPath);
+                    removed.push(entryPath);
+                }
+            }
+        } catch {
+            // Directory may have been deleted already
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Load settings from the config file, or fall back to the defaults. The
+ * destination template comes from --template, then --by-date, then the
+ * config file, then the default "{category}".
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} Settings with categories, signatures, rules and template
+ */
+async function resolveSettings(options = {}) {
+    const settings = options.config ? await loadSettings(options.config) : getDefaultSettings();
+
+    let template = settings.template;
+    if (options.template) {
+        template = parseTemplate(options.template);
+    } else if (options.byDate) {
+        template = parseTemplate(BY_DATE_TEMPLATE);
+    }
+
+    return { ...settings, template: template || parseTemplate(DEFAULT_TEMPLATE) };
+}
+
+/**
+ * Get the top-level folders segre creates, which must not be re-organized
+ * @param {Object} settings - Settings with categories, rules and template
+ * @returns {string[]} Folder names
+ */
+function getCategoryFolders(settings) {
+    const folders = Object.keys(settings.categories);
+    const templates = [...settings.rules.map(rule => rule.template), settings.template].filter(Boolean);
+
+    // Only fixed folders are known up front ("Archive/{year}", not "{year}")
+    for (const template of templates) {
+        const topFolder = getTemplateRoot(template);
+        if (topFolder && !folders.includes(topFolder)) {
+            folders.push(topFolder);
+        }
+    }
+
+    return folders;
+}
+
+/**
+ * Get the root directory organized files are placed under
+ * @param {string} targetDir - Directory being organized (absolute)
+ * @param {Object} options - CLI options
+ * @returns {string} The --output directory, or targetDir when organizing in place
+ */
+function resolveOutputDir(targetDir, options = {}) {
+    return options.output ? path.resolve(options.output) : targetDir;
+}
+
+/**
+ * Get the directories a scan of targetDir must leave alone: the category
+ * folders and trash of the output root, and the output root itself when it
+ * is separate
+ * @param {string} targetDir - Directory being organized
+ * @param {string} outputDir - Output root
+ * @param {string[]} categoryFolders - Category folder names
+ * @returns {string[]} Absolute directory paths
+ */
+function getSkippedDirs(targetDir, outputDir, categoryFolders) {
+    const dirs = [...categoryFolders, TRASH_DIR_NAME].map(folder => path.join(outputDir, folder));
+    if (outputDir !== targetDir) {
+        dirs.push(outputDir);
+    }
+    return dirs;
+}
+
+/**
+ * Get the category for a file, from its content when detection is enabled
+ * @param {Object} file - File object with name and path
+ * @param {Object} settings - Settings with categories and signatures
+ * @param {Object} options - CLI options
+ * @returns {Promise<string>} Category name
+ */
+async function resolveCategory(file, settings, options = {}) {
+    if (options.detectContent) {
+        return detectCategory(file.path, settings.categories, settings.signatures);
+    }
+    return getCategory(path.extname(file.name).toLowerCase(), settings.categories);
+}
+
+/**
+ * Get the date used for a file's date tokens: the capture date from its
+ * metadata with --capture-date, or else the modification time. The result
+ * is kept on the file object as dateInfo so output can show the source.
+ * @param {Object} file - File object with path and stats
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} { date, source }
+ */
+async function resolveFileDate(file, options = {}) {
+    if (!file.dateInfo) {
+        const captured = options.captureDate ? await readCaptureDate(file.path) : null;
+        file.dateInfo = captured || { date: file.stats.mtime, source: 'mtime' };
+    }
+    return file.dateInfo;
+}
+
+/**
+ * Describe where a file's date came from, for dry-run and verbose output
+ * @param {Object} entry - Plan entry
+ * @param {Object} options - CLI options
+ * @returns {string} Note such as " (date: EXIF DateTimeOriginal)", or "" if no date was used
+ */
+function describeDateSource(entry, options = {}) {
+    return options.captureDate && entry.dateSource ? ` (date: ${entry.dateSource})` : '';
+}
+
+/**
+ * Describe what happens to the file already at an entry's destination, for output
+ * @param {Object} entry - Plan entry or result item
+ * @returns {string} Note such as " (overwrites the existing file)", or "" if there is none
+ */
+function describeConflict(entry) {
+    if (entry.replaced) return ` (overwrote the existing file, kept in ${entry.replaced})`;
+    if (entry.conflict === 'overwrite') return ' (overwrites the existing file)';
+    if (entry.conflict === 'ask') return ' (destination exists, will ask)';
+    return '';
+}
+
+/**
+ * Get the path a file should be moved to, by rendering the destination
+ * template of the first matching rule, or else the settings template
+ * @param {Object} file - File object with name, path and stats
+ * @param {string} targetDir - Directory being organized
+ * @param {Object} settings - Settings from resolveSettings
+ * @param {Object} options - CLI options (output sets the destination root)
+ * @returns {Promise<string>} Destination file path (before collision handling)
+ */
+async function getTargetPath(file, targetDir, settings, options = {}) {
+    const outputDir = resolveOutputDir(targetDir, options);
+
+    // Rules take precedence over the template
+    const matched = findMatchingRule(settings.rules, file, targetDir);
+    const template = matched ? matched.rule.template : settings.template;
+
+    // Content detection reads the file, so only categorize when needed
+    const category = template.tokens.has('category') ? await resolveCategory(file, settings, options) : null;
+    const dateInfo = template.usesDate ? await resolveFileDate(file, options) : null;
+
+    const segments = renderTemplate(template, getTemplateValues(file, {
+        category,
+        date: dateInfo ? dateInfo.date : file.stats.mtime,
+        captures: matched ? matched.captures : {}
+    }));
+    let fileName = template.hasFileName ? segments.pop() : file.name;
+
+    // Subfolders the file was found in (recursive mode), kept or folded into the name
+    const relativeDir = path.relative(targetDir, path.dirname(file.path));
+    const subDirs = relativeDir ? relativeDir.split(path.sep) : [];
+    const structure = parseStructure(options.structure);
+    if (structure === 'keep') {
+        segments.push(...subDirs);
+    } else if (structure === 'encode') {
+        fileName = [...subDirs, fileName].join('_');
+    }
+
+    return path.join(outputDir, ...segments, fileName);
+}
+
+// Wording of progress messages for each placement mode
+const MODE_VERBS = {
+    move: { verb: 'Move', past: 'Moved' },
+    copy: { verb: 'Copy', past: 'Copied' },
+    symlink: { verb: 'Link', past: 'Linked' },
+    hardlink: { verb: 'Link', past: 'Linked' }
+};
+
+/**
+ * Validate the --mode option
+ * @param {string} [mode] - Placement mode
+ * @returns {string} The mode, "move" by default
+ * @throws {Error} If the mode is not recognized
+ */
+function parseMode(mode) {
+    if (!mode) return 'move';
+    if (!PLACE_MODES.includes(mode)) {
+        throw new Error(`Invalid mode: ${mode} (expected ${PLACE_MODES.join('|')})`);
+    }
+    return mode;
+}
+
+// How recursive mode places files found in subfolders: all in the category
+// folder, under the same subfolders, or with the subfolders in the name
+const STRUCTURE_MODES = ['flatten', 'keep', 'encode'];
+
+/**
+ * Validate the --structure option
+ * @param {string} [structure] - What to do with the subfolders of files
+ * @returns {string} The structure, "flatten" by default
+ * @throws {Error} If the structure is not recognized
+ */
+function parseStructure(structure) {
+    if (!structure) return 'flatten';
+    if (!STRUCTURE_MODES.includes(structure)) {
+        throw new Error(`Invalid structure: ${structure} (expected ${STRUCTURE_MODES.join('|')})`);
+    }
+    return structure;
+}
+
+/**
+ * Validate the --symlinks option
+ * @param {string} [policy] - What to do with symbolic links
+ * @returns {string} The policy, "skip" by default
+ * @throws {Error} If the policy is not recognized
+ */
+function parseSymlinkPolicy(policy) {
+    if (!policy) return 'skip';
+    if (!SYMLINK_POLICIES.includes(policy)) {
+        throw new Error(`Invalid symlinks policy: ${policy} (expected ${SYMLINK_POLICIES.join('|')})`);
+    }
+    return policy;
+}
+
+/**
+ * Validate the --concurrency option
+ * @param {string|number} [value] - Number of files to process at once
+ * @returns {number} The limit, 1 (one file at a time) by default
+ * @throws {Error} If the value is not a positive whole number
+ */
+function parseConcurrency(value) {
+    if (value === undefined || value === null) return 1;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid concurrency: ${value} (expected a whole number of at least 1)`);
+    }
+    return limit;
+}
+
+/**
+ * Validate the --max-depth or --min-depth option
+ * @param {string|number} [value] - Depth
+ * @param {string} name - Option name for messages
+ * @returns {number|null} The depth, or null when not set
+ * @throws {Error} If the value is not a positive whole number
+ */
+function parseDepth(value, name) {
+    if (value === undefined || value === null) return null;
+    const depth = Number(value);
+    if (!Number.isInteger(depth) || depth < 1) {
+        throw new Error(`Invalid ${name}: ${value} (expected a whole number of at least 1)`);
+    }
+    return depth;
+}
+
+/**
+ * Get the part of the tree a recursive scan covers, from --max-depth,
+ * --min-depth, --only-dirs and --exclude-dirs. Depths count like find's:
+ * files directly in the directory being organized are at depth 1.
+ * @param {Object} options - CLI options
+ * @returns {Object} Bounds with skipReason(relativeDir) and includes(relativeDir)
+ * @throws {Error} If an option is invalid, or set without --recursive
+ */
+function parseScanBounds(options = {}) {
+    const maxDepth = parseDepth(options.maxDepth, 'max depth');
+    const minDepth = parseDepth(options.minDepth, 'min depth') || 1;
+    if (maxDepth && minDepth > maxDepth) {
+        throw new Error(`Min depth ${minDepth} is greater than max depth ${maxDepth}`);
+    }
+
+    const only = createDirMatcher(parseIgnoreOption(options.onlyDirs));
+    const exclude = createDirMatcher(parseIgnoreOption(options.excludeDirs));
+    if ((maxDepth || minDepth > 1 || only || exclude) && !options.recursive) {
+        throw new Error('--max-depth, --min-depth, --only-dirs and --exclude-dirs only work with --recursive');
+    }
+
+    const depthOf = relativeDir => relativeDir === '' ? 0 : relativeDir.split(path.sep).length;
+
+    return {
+        /**
+         * Tell why the scan does not go into a subdirectory
+         * @param {string} relativeDir - Directory relative to the root
+         * @returns {string|null} "excluded dir", "too deep", or null to scan it
+         */
+        skipReason(relativeDir) {
+            if (exclude && exclude(relativeDir)) return 'excluded dir';
+            if (maxDepth && depthOf(relativeDir) >= maxDepth) return 'too deep';
+            return null;
+        },
+
+        /**
+         * Check whether the files directly in a scanned directory are organized
+         * @param {string} relativeDir - Directory relative to the root ("" for the root)
+         * @returns {boolean} True if they are
+         */
+        includes(relativeDir) {
+            return depthOf(relativeDir) + 1 >= minDepth && (!only || only(relativeDir));
+        }
+    };
+}
+
+/**
+ * Plan what to do with a file identical to one already organized
+ * @param {Object} file - File object with name and path
+ * @param {string} duplicateOf - Path of the identical file
+ * @param {Object} policy - Parsed duplicates policy
+ * @param {string} outputDir - Output root
+ * @param {Set<string>} reserved - Destinations already taken by the plan
+ * @param {Function} rename - Names the file if its destination is taken
+ * @returns {Promise<Object>} Action and destination for the plan entry
+ */
+async function planDuplicate(file, duplicateOf, policy, outputDir, reserved, rename) {
+    let destination = null;
+
+    switch (policy.action) {
+        case 'delete':
+            return { action: 'delete' };
+
+        case 'hardlink':
+            // The copy is replaced by a link to the existing file
+            destination = await getUniqueFilePath(path.join(path.dirname(duplicateOf), file.name), reserved, rename);
+            break;
+
+        case 'move-to':
+            destination = await getUniqueFilePath(path.join(outputDir, policy.folder, file.name), reserved, rename);
+            break;
+
+        default:
+            return { action: 'skip', reason: 'duplicate' };
+    }
+
+    reserved.add(destination);
+    return {
+        action: policy.action === 'hardlink' ? 'hardlink' : 'move',
+        destination: path.relative(outputDir, destination)
+    };
+}
+
+/**
+ * Plan what to do with a file whose destination already holds a file, by
+ * the --on-conflict strategy. Folders are never overwritten, and files
+ * placed by the same run are always renamed.
+ * @param {string} strategy - Strategy from parseConflictStrategy
+ * @param {Object} file - File object with stats
+ * @param {string} targetPath - Destination
+ * @param {Set<string>} reserved - Destinations already taken by the plan
+ * @returns {Promise<Object|null>} { conflict } ("overwrite" or "ask"), { reason } to
+ *     skip the file, or null to rename it
+ */
+async function planConflict(strategy, file, targetPath, reserved) {
+    if (strategy === 'rename' || reserved.has(targetPath)) return null;
+
+    let existing;
+    try {
+        existing = await fs.lstat(targetPath);
+    } catch {
+        // Nothing there
+        return null;
+    }
+    if (existing.isDirectory()) return null;
+
+    switch (strategy) {
+        case 'skip':
+            return { reason: 'destination exists' };
+        case 'overwrite-if-newer':
+            return file.stats.mtimeMs > existing.mtimeMs ? { conflict: 'overwrite' } : { reason: 'destination is not older' };
+        case 'overwrite':
+            return { conflict: 'overwrite' };
+        default:
+            return { conflict: 'ask' };
+    }
+}
+
+/**
+ * Emit an event. "error" is only emitted when someone listens, since an
+ * EventEmitter throws unhandled "error" events.
+ * @param {EventEmitter} [events] - Emitter from the caller
+ * @param {string} name - Event name
+ * @param {Object} payload - Event details
+ */
+function emit(events, name, payload) {
+    if (!events || (name === 'error' && events.listenerCount('error') === 0)) return;
+    events.emit(name, payload);
+}
+
+/**
+ * Scan a directory and work out what happens to every file, without
+ * changing anything
+ * @param {string} targetDir - Directory to organize (absolute)
+ * @param {Object} options - Organize options
+ * @param {EventEmitter} [options.events] - Receives "file:ignored" for ignored files and folders
+ * @returns {Promise<Object>} Plan (see planOrganize)
+ * @throws {Error} If the directory or options are invalid
+ */
+async function buildPlan(targetDir, options) {
+    // Check if directory exists
+    try {
+        await fs.access(targetDir);
+    } catch {
+        throw new Error(`Directory does not exist: ${targetDir}`);
+    }
+
+    // Verify it's a directory
+    const dirStats = await fs.stat(targetDir);
+    if (!dirStats.isDirectory()) {
+        throw new Error(`Path is not a directory: ${targetDir}`);
+    }
+
+    // Category folders go under --output, or the target itself
+    const outputDir = resolveOutputDir(targetDir, options);
+    if (outputDir !== targetDir) {
+        let outputStats = null;
+        try {
+            outputStats = await fs.stat(outputDir);
+        } catch {
+            // Created when the first file is placed
+        }
+        if (outputStats && !outputStats.isDirectory()) {
+            throw new Error(`Output path is not a directory: ${outputDir}`);
+        }
+    }
+
+    // Load categories (custom or default)
+    const settings = await resolveSettings(options);
+
+    // Get category folder names for skipping
+    const categoryFolders = getCategoryFolders(settings);
+
+    // Move files, or leave them in place and build the tree from copies or links
+    const mode = parseMode(options.mode);
+    const symlinks = parseSymlinkPolicy(options.symlinks);
+    const bounds = parseScanBounds(options);
+    const filters = parseFilters(options);
+    const onConflict = parseConflictStrategy(options.onConflict);
+    const renameFormat = parseRenameFormat(options.renameFormat);
+    parseStructure(options.structure);
+    parseConcurrency(options.concurrency);
+
+    // Duplicate handling (default keeps both copies with a (n) suffix)
+    const duplicatePolicy = parseDuplicatePolicy(options.duplicates);
+    if (mode !== 'move' && !['keep', 'skip'].includes(duplicatePolicy.action)) {
+        throw new Error(`Duplicates policy ${duplicatePolicy.action} only works with --mode move (use keep or skip)`);
+    }
+    const duplicateIndex = duplicatePolicy.action !== 'keep' ? createDuplicateIndex() : null;
+    if (duplicatePolicy.folder) {
+        categoryFolders.push(duplicatePolicy.folder.split(/[\\/]/)[0]);
+    }
+    const skippedDirs = getSkippedDirs(targetDir, outputDir, categoryFolders);
+
+    // Collect files (recursively if enabled), leaving out ignored and protected ones
+    const filesToProcess = await collectFilesRecursively(targetDir, {
+        baseDir: targetDir,
+        skippedDirs,
+        ignore: await createIgnoreMatcher(targetDir, parseIgnoreOption(options.ignore)),
+        protect: createProtectedMatcher(settings.protected, options.includeHidden),
+        symlinks,
+        bounds,
+        filters,
+        visited: new Set([`${dirStats.dev}:${dirStats.ino}`]),
+        only: options.paths ? new Set(options.paths.map(file => path.resolve(targetDir, file))) : null
+    }, options);
+
+    const entries = [];
+    // Destinations given out so far, so two files never get the same one
+    const reserved = new Set();
+
+    for (const file of filesToProcess) {
+        const source = path.relative(targetDir, file.path);
+        // Recorded so applying a saved plan can tell if the file changed since
+        const facts = { size: file.stats.size, mtime: file.stats.mtime.toISOString() };
+        const targetPath = await getTargetPath(file, targetDir, settings, options);
+        const targetSubDir = path.dirname(targetPath);
+
+        // Still being written: it changed since the scan found it
+        if (await isBeingWritten(file)) {
+            emit(options.events, 'file:ignored', { path: source, reason: 'in progress' });
+            continue;
+        }
+
+        // A link is never a duplicate: its content is the file it points to
+        const duplicateOf = duplicateIndex && !file.isLink ?
+            await duplicateIndex.findDuplicate(file.path, file.stats.size, targetSubDir) : null;
+        const rename = createRenamer(renameFormat, { path: file.path, mtime: file.stats.mtime });
+
+        if (duplicateOf) {
+            entries.push({
+                source,
+                ...await planDuplicate(file, duplicateOf, duplicatePolicy, outputDir, reserved, rename),
+                duplicateOf: path.relative(outputDir, duplicateOf),
+                ...facts
+            });
+            continue;
+        }
+
+        // A copy or link from an earlier run is already in place
+        if (mode !== 'move' && await isPlaced(file.path, targetPath, mode)) {
+            entries.push({ source, action: 'skip', reason: 'already in place', ...facts });
+            continue;
+        }
+
+        // The destination is taken: rename, skip, overwrite or ask
+        const conflict = await planConflict(onConflict, file, targetPath, reserved);
+        if (conflict && conflict.reason) {
+            entries.push({ source, action: 'skip', reason: conflict.reason, ...facts });
+            continue;
+        }
+
+        const newFilePath = conflict ? targetPath : await getUniqueFilePath(targetPath, reserved, rename);
+        reserved.add(newFilePath);
+
+        entries.push({
+            source,
+            action: mode,
+            destination: path.relative(outputDir, newFilePath),
+            ...(conflict && { conflict: conflict.conflict }),
+            ...(file.dateInfo && { dateSource: file.dateInfo.source }),
+            ...facts
+        });
+
+        // Later identical files count as duplicates of this one
+        if (duplicateIndex && !file.isLink) {
+            await duplicateIndex.add(targetSubDir, newFilePath, file.path, file.stats.size);
+        }
+    }
+
+    return {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        directory: targetDir,
+        output: outputDir,
+        mode,
+        options: summarizeOptions(options),
+        folders: categoryFolders,
+        entries
+    };
+}
+
+/**
+ * Create the result returned by organize and apply
+ * @param {string} command - Command name
+ * @param {Object} plan - The plan being carried out
+ * @param {boolean} dryRun - Whether the plan is only shown
+ * @returns {Object} Result with empty file lists
+ */
+function createResult(command, plan, dryRun) {
+    return {
+        command,
+        directory: plan.directory,
+        output: plan.output,
+        mode: plan.mode,
+        dryRun,
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        files: plan.entries.length,
+        batchId: null,
+        interrupted: false,
+        planned: [],
+        moved: [],
+        duplicates: [],
+        skipped: [],
+        errors: []
+    };
+}
+
+/**
+ * Describe what became of a plan entry, as it is listed in results and events
+ * @param {Object} entry - Plan entry (with the final destination)
+ * @returns {Object} { list, event, item } - Result list and event name for the item
+ */
+function describeOutcome(entry) {
+    if (entry.duplicateOf) {
+        return {
+            list: 'duplicates',
+            event: 'file:duplicate',
+            item: {
+                source: entry.source,
+                duplicateOf: entry.duplicateOf,
+                action: entry.action,
+                ...(entry.destination && { destination: entry.destination })
+            }
+        };
+    }
+    if (entry.action === 'skip') {
+        return { list: 'skipped', event: 'file:skipped', item: { source: entry.source, reason: entry.reason } };
+    }
+    return {
+        list: 'moved',
+        event: 'file:moved',
+        item: {
+            source: entry.source,
+            destination: entry.destination,
+            ...(entry.conflict && { conflict: entry.conflict }),
+            ...(entry.replaced && { replaced: entry.replaced }),
+            ...(entry.dateSource && { dateSource: entry.dateSource })
+        }
+    };
+}
+
+/**
+ * Carry out one plan entry, recording it in the journal before and after.
+ * A file it overwrites is moved into the trash first; the log operation
+ * records where (replaced), so undo can put it back.
+ * @param {Object} entry - Plan entry
+ * @param {Object} plan - The plan
+ * @param {Object} options - Execute options
+ * @param {Object} run - Path allocator, journal, trash folder and rename format shared
+ *     by the entries running at once
+ * @returns {Promise<Object>} Log operation
+ */
+async function executeEntry(entry, plan, options, { allocator, journal, trashDir, renameFormat }) {
+    const source = path.join(plan.directory, entry.source);
+    const duplicateOf = entry.duplicateOf ? path.join(plan.output, entry.duplicateOf) : null;
+
+    if (entry.action === 'delete') {
+        const operation = { type: 'delete', original: source, duplicateOf };
+        const id = await journal.begin(operation);
+        await fs.unlink(source);
+        await journal.done(id, operation);
+        return operation;
+    }
+
+    // The destination may have been taken since planning
+    const plannedDest = path.join(plan.output, entry.destination);
+    const overwrite = entry.conflict === 'overwrite' && await exists(plannedDest);
+    const dest = overwrite ? plannedDest : await allocator.claim(plannedDest,
+        createRenamer(renameFormat, { path: source, mtime: new Date(entry.mtime) }));
+    const replaced = overwrite ? await getUniqueFilePath(path.join(trashDir, entry.destination)) : null;
+
+    // Replacing a duplicate with a link to the existing file is undone like a move
+    const linksDuplicate = duplicateOf && entry.action === 'hardlink';
+    const planned = {
+        ...(entry.action !== 'move' && !linksDuplicate && { type: entry.action }),
+        original: source,
+        movedTo: dest,
+        ...(replaced && { replaced })
+    };
+    const id = await journal.begin(planned);
+
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    if (replaced) {
+        await setAside(dest, replaced);
+    }
+
+    let operation = planned;
+    try {
+        if (linksDuplicate) {
+            await fs.link(duplicateOf, dest);
+            await fs.unlink(source);
+        } else {
+            // Move file (copied across filesystems if needed), or copy/link it
+            const { copied } = await placeFile(source, dest, entry.action, { verify: options.verify });
+            operation = { ...planned, ...(copied && { copied }) };
+        }
+    } catch (error) {
+        // A failed entry is not logged, so the file it was overwriting goes back
+        if (replaced) {
+            if (await exists(source)) {
+                await fs.rm(dest, { force: true });
+            }
+            await moveFile(replaced, dest);
+            await removeEmptyParents(path.dirname(replaced), plan.output);
+        }
+        throw error;
+    }
+
+    await journal.done(id, operation);
+    return operation;
+}
+
+/**
+ * Log a batch for undo. With a separate output root both roots get the
+ * batch, so undo works from either side.
+ * @param {string} directory - Source root
+ * @param {string} outputDir - Output root
+ * @param {Array} operations - Log operations
+ * @param {Object} details - Extra batch fields (command, options, ...)
+ * @returns {Promise<Object>} The batch saved in the source root
+ */
+async function saveBatch(directory, outputDir, operations, details) {
+    if (outputDir !== directory) {
+        details = { ...details, timestamp: new Date().toISOString(), source: directory, output: outputDir };
+        await saveLog(outputDir, operations, details);
+    }
+    return saveLog(directory, operations, details);
+}
+
+/**
+ * Work out what organizing a directory would do, without changing anything
+ * or printing. The plan can be saved, reviewed or edited, and carried out
+ * with executePlan.
+ * @param {string} targetDir - Directory to organize
+ * @param {Object} options - Organize options (as on the command line, camelCased)
+ * @param {EventEmitter} [options.events] - Receives "file:ignored" ({ path, reason })
+ *     for files and folders left out
+ * @param {string[]} [options.paths] - Only plan these files (relative to the directory),
+ *     e.g. the ones watch saw arrive
+ * @returns {Promise<Object>} Plan with the roots, mode, options, category folders
+ *     and one entry per file ({ source, action, destination, size, mtime, ... })
+ * @throws {Error} If the directory or options are invalid
+ */
+async function planOrganize(targetDir, options = {}) {
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    return buildPlan(path.resolve(targetDir), options);
+}
+
+/**
+ * Carry out a plan from planOrganize, without printing. Entries whose source
+ * changed since planning (size or modification time) stop the whole plan,
+ * or are skipped with skipChanged. The run is logged for undo.
+ *
+ * Events, each with the item added to the result list of the same name:
+ * "file:moved", "file:duplicate", "file:skipped", "error" (only emitted when
+ * listened to), plus "progress" ({ done, total }) after every entry.
+ *
+ * @param {Object} plan - Plan (validated here, as it may have been edited)
+ * @param {Object} options - Execute options
+ * @param {EventEmitter} [options.events] - Receives progress events
+ * @param {boolean} [options.skipChanged] - Apply the other entries when some sources changed
+ * @param {boolean} [options.verify] - Hash-check files copied across filesystems
+ * @param {number} [options.concurrency] - Entries carried out at once (default 1)
+ * @param {Function} [options.confirm] - async entry => boolean, asked before each entry
+ *     (entries then run one at a time)
+ * @param {Function} [options.resolveConflict] - async entry => "rename", "overwrite" or
+ *     "skip", asked for "ask" entries whose destination exists (entries then run one at
+ *     a time); without it they are renamed
+ * @param {AbortSignal|Object} [options.signal] - Stop after the entries in progress once
+ *     its aborted is set; the result then has interrupted set, and what was done is
+ *     logged as usual
+ * @param {string} [options.command] - Command recorded in the log (default "apply")
+ * @param {boolean|number} [options.wait] - Wait for another run on the same directories
+ *     to finish, forever (true) or for this many seconds, instead of failing
+ * @param {Function} [options.locks] - Locks the caller already holds on the roots (from
+ *     acquireLocks), e.g. organize, which holds them from the scan on
+ * @returns {Promise<Object>} Result with moved, duplicates, skipped and errors (paths
+ *     relative to the roots), and an error message when the plan was refused
+ * @throws {Error} If the plan is malformed, another run holds the directories, or an
+ *     interrupted run was not recovered yet
+ */
+async function executePlan(plan, options = {}) {
+    validatePlan(plan);
+
+    const command = options.command || 'apply';
+    const release = await acquireLocks([plan.directory, plan.output], { command, wait: options.wait, held: options.locks });
+    try {
+        return await executeLockedPlan(plan, { ...options, command });
+    } finally {
+        await release();
+    }
+}
+
+/**
+ * Carry out a plan while holding the locks of its roots (see executePlan)
+ * @param {Object} plan - Validated plan
+ * @param {Object} options - Execute options, with the command set
+ * @returns {Promise<Object>} Result
+ */
+async function executeLockedPlan(plan, options) {
+    const { events, confirm, resolveConflict, command } = options;
+    const startedAt = Date.now();
+    const result = createResult(command, plan, false);
+    const finish = () => {
+        result.durationMs = Date.now() - startedAt;
+        return result;
+    };
+    const report = (list, event, item) => {
+        result[list].push(item);
+        emit(events, event, item);
+    };
+
+    const changes = await findChangedEntries(plan);
+    if (changes.length > 0 && !options.skipChanged) {
+        for (const { entry, reason } of changes) {
+            report('skipped', 'file:skipped', { source: entry.source, reason: `changed since planning: ${reason}` });
+        }
+        result.error = `${changes.length} files changed since the plan was made`;
+        return finish();
+    }
+    const changed = new Map(changes.map(change => [change.entry, change.reason]));
+
+    // Ask what to do with a file whose destination still exists. Without
+    // resolveConflict, the file is renamed.
+    const askConflict = async entry => {
+        const taken = await exists(path.join(plan.output, entry.destination));
+        const choice = taken && resolveConflict ? await resolveConflict(entry) : 'rename';
+
+        if (choice === 'skip') return null;
+        return { ...entry, conflict: choice === 'overwrite' ? 'overwrite' : null };
+    };
+
+    // Prompts are asked one at a time
+    const concurrency = confirm || resolveConflict ? 1 : parseConcurrency(options.concurrency);
+    const bounds = parseScanBounds(plan.options || {});
+    const { signal } = options;
+    const total = plan.entries.length;
+    let done = 0;
+
+    // Every file operation is journaled until the batch is logged, so an
+    // interrupted run can be recovered with "segre recover"
+    const run = {
+        allocator: createPathAllocator(),
+        trashDir: getTrashDir(plan.output, new Date(startedAt)),
+        renameFormat: parseRenameFormat((plan.options || {}).renameFormat),
+        journal: await openJournal(plan.directory, {
+            command,
+            options: plan.options || {},
+            source: plan.directory,
+            output: plan.output
+        })
+    };
+
+    const runEntry = async entry => {
+        let operation = null;
+
+        // Stopped: entries that have not started are left alone
+        if (signal && signal.aborted) {
+            result.interrupted = true;
+            return null;
+        }
+
+        if (changed.has(entry)) {
+            report('skipped', 'file:skipped', { source: entry.source, reason: `changed since planning: ${changed.get(entry)}` });
+        } else if (entry.action === 'skip') {
+            const { list, event, item } = describeOutcome(entry);
+            report(list, event, item);
+        } else if (confirm && !await confirm(entry)) {
+            report('skipped', 'file:skipped', { source: entry.source, reason: 'declined' });
+        } else {
+            try {
+                // An "ask" entry is overwritten, renamed or skipped, as answered
+                const resolved = entry.conflict === 'ask' ? await askConflict(entry) : entry;
+
+                if (resolved) {
+                    operation = await executeEntry(resolved, plan, options, run);
+
+                    const destination = operation.movedTo ? path.relative(plan.output, operation.movedTo) : null;
+                    const replaced = operation.replaced ? path.relative(plan.output, operation.replaced) : null;
+                    const { list, event, item } = describeOutcome({ ...entry, destination, replaced, conflict: null });
+                    report(list, event, item);
+                } else {
+                    report('skipped', 'file:skipped', { source: entry.source, reason: 'destination exists' });
+                }
+            } catch (error) {
+                report('errors', 'error', { source: entry.source, ...describeError(error, entry.action) });
+            }
+        }
+
+        emit(events, 'progress', { done: ++done, total });
+        return operation;
+    };
+
+    // Entries run in plan order, one at a time by default. Running several
+    // at once, duplicates wait until the rest are placed, as they may refer
+    // to a file placed by this run. They are logged after those files either
+    // way, so undo (which works backwards) recreates them first.
+    const phases = concurrency > 1 ?
+        [plan.entries.filter(entry => !entry.duplicateOf), plan.entries.filter(entry => entry.duplicateOf)] :
+        [plan.entries];
+    const operations = [];
+    for (const entries of phases) {
+        const phaseOperations = await runConcurrently(entries, concurrency, runEntry);
+        operations.push(...phaseOperations.filter(Boolean));
+    }
+
+    // Clean up empty directories after recursive organization (copies and
+    // links leave the originals where they are). The category folders and
+    // the folders files were placed in are left alone.
+    let removedDirs = [];
+    if (plan.options && plan.options.recursive && plan.mode === 'move' && operations.length > 0) {
+        const folders = new Set(plan.folders || []);
+        for (const entry of plan.entries) {
+            if (entry.destination) folders.add(entry.destination.split(/[\\/]/)[0]);
+        }
+        removedDirs = await cleanupEmptyDirectories(plan.directory, getSkippedDirs(plan.directory, plan.output, [...folders]), bounds);
+    }
+
+    // Save log for undo, with the files that failed and the directories
+    // undo has to recreate. A run where every file failed is logged too,
+    // for its errors; undo and redo pass over batches without operations.
+    if (operations.length > 0 || result.errors.length > 0) {
+        const batch = await saveBatch(plan.directory, plan.output, operations, {
+            command,
+            options: plan.options || {},
+            ...(removedDirs.length > 0 && { removedDirs }),
+            ...(result.errors.length > 0 && { errors: result.errors }),
+            ...(result.interrupted && { interrupted: true })
+        });
+        result.batchId = batch.id;
+    }
+    await run.journal.close();
+
+    return finish();
+}
+
+/**
+ * Describe what happens to a duplicate, for output
+ * @param {Object} entry - Plan entry or result item with duplicateOf
+ * @returns {string} E.g. "delete" or "move to Duplicates"
+ */
+function describeDuplicateAction(entry) {
+    return entry.action === 'move' ? `move to ${path.dirname(entry.destination)}` : entry.action;
+}
+
+/**
+ * Ask whether to carry out a plan entry (--interactive)
+ * @param {Object} entry - Plan entry
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function confirmEntry(entry) {
+    const message = entry.duplicateOf ?
+        `${chalk.cyan(entry.source)} is a duplicate of ${chalk.yellow(entry.duplicateOf)}. ${describeDuplicateAction(entry)}?` :
+        `${MODE_VERBS[entry.action].verb} ${chalk.cyan(entry.source)} → ${chalk.yellow(path.dirname(entry.destination))}?`;
+
+    const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message,
+        default: true
+    }]);
+
+    return confirm;
+}
+
+/**
+ * Ask what to do with a file whose destination exists (--on-conflict ask)
+ * @param {Object} entry - Plan entry
+ * @returns {Promise<string>} "rename", "overwrite" or "skip"
+ */
+async function promptConflict(entry) {
+    const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: `${chalk.yellow(entry.destination)} already exists. What should happen to ${chalk.cyan(entry.source)}?`,
+        choices: [
+            { name: 'Keep both (rename)', value: 'rename' },
+            { name: `Overwrite (the existing file goes to ${TRASH_DIR_NAME})`, value: 'overwrite' },
+            { name: 'Skip', value: 'skip' }
+        ]
+    }]);
+
+    return choice;
+}
+
+/**
+ * Verbose labels for files left out of a plan, by reason
+ */
+const IGNORED_LABELS = {
+    'ignored': 'Ignoring',
+    'category folder': 'Skipping category folder',
+    'protected': 'Skipping protected file',
+    'hidden': 'Skipping hidden file',
+    'in progress': 'Skipping file still being written',
+    'symlink': 'Skipping symlink',
+    'broken link': 'Skipping broken symlink',
+    'symlink loop': 'Skipping symlink loop',
+    'excluded dir': 'Skipping excluded folder',
+    'too deep': 'Skipping folder below --max-depth',
+    'out of range': 'Skipping file outside --min-depth/--only-dirs',
+    'filtered': 'Filtered out'
+};
+
+/**
+ * Print files left out of a plan as they are found (--verbose)
+ * @param {EventEmitter} events - Emitter passed to planOrganize
+ * @param {Object} output - Output from createOutput
+ */
+function printIgnored(events, output) {
+    events.on('file:ignored', ({ path: relativePath, reason, detail }) => {
+        output.log(chalk.gray(`  ${IGNORED_LABELS[reason]}: ${relativePath}${detail ? ` (${detail})` : ''}`));
+    });
+}
+
+/**
+ * Carry out a plan with a progress bar and, with --verbose, a line per file
+ * @param {Object} plan - The plan
+ * @param {Object} options - CLI options
+ * @param {Object} output - Output from createOutput
+ * @param {string} command - Command recorded in the log
+ * @returns {Promise<Object>} Result from executePlan
+ */
+async function runPlan(plan, options, output, command) {
+    const events = new EventEmitter();
+    const total = plan.entries.length;
+    const progressBar = output.progressBar('Organizing');
+    // Prompts and a progress bar cannot share the terminal
+    const asks = !options.json && plan.entries.some(entry => entry.conflict === 'ask');
+    const showBar = !options.interactive && !asks;
+    let done = 0;
+
+    const print = line => {
+        if (showBar) progressBar.stop();
+        output.log(line);
+        if (showBar) progressBar.start(total, done);
+    };
+
+    events.on('progress', progress => {
+        done = progress.done;
+        if (showBar) progressBar.update(done);
+    });
+
+    if (options.verbose) {
+        events.on('file:moved', item => {
+            print(chalk.green(`  [OK] ${MODE_VERBS[plan.mode].past}: ${item.source} -> ${item.destination}${describeConflict(item)}${describeDateSource(item, options)}`));
+        });
+        events.on('file:duplicate', item => {
+            print(chalk.yellow(`  [DUPLICATE] ${item.source} = ${item.duplicateOf} (${describeDuplicateAction(item)})`));
+        });
+        events.on('file:skipped', item => {
+            print(chalk.gray(`  Skipped: ${item.source} (${item.reason})`));
+        });
+        /* istanbul ignore next */
+        events.on('error', item => {
+            print(chalk.red(`  [ERROR] ${formatError(item, item.source)}`));
+        });
+    }
+
+    // Ctrl+C finishes the files in progress and logs what was done; a
+    // second one exits right away, leaving the journal for "segre recover".
+    // A plain flag stands in for an AbortSignal, which Node 14 does not have.
+    const signal = { aborted: false };
+    const stop = () => {
+        print(chalk.yellow('  Stopping after the files in progress (Ctrl+C again to exit now)...'));
+        signal.aborted = true;
+    };
+    process.once('SIGINT', stop);
+
+    try {
+        if (showBar) progressBar.start(total, 0);
+        const result = await executePlan(plan, {
+            ...options,
+            events,
+            command,
+            signal,
+            confirm: options.interactive ? confirmEntry : null,
+            resolveConflict: asks ? promptConflict : null
+        });
+        if (showBar) progressBar.stop();
+
+        return result;
+    } finally {
+        process.removeListener('SIGINT', stop);
+    }
+}
+
+/**
+ * Format an entry of an error list for output
+ * @param {Object} item - Error from describeError, with the file it concerns
+ * @param {string} file - The file, as shown
+ * @returns {string} E.g. "report.pdf: move failed (EACCES: permission denied)"
+ */
+function formatError(item, file) {
+    // Node's system error messages already start with the code
+    const reason = item.code && !item.error.startsWith(item.code) ? `${item.code}: ${item.error}` : item.error;
+    return `${file}: ${item.operation} failed (${reason})`;
+}
+
+/**
+ * Print the files that failed, under a summary
+ * @param {Array} errors - Error list of a result
+ * @param {Object} output - Output from createOutput
+ * @param {Function} getFile - Gives the file shown for an error
+ */
+function printErrors(errors, output, getFile) {
+    if (errors.length === 0) return;
+
+    output.log(chalk.red(`  Errors: ${errors.length} files`));
+    for (const item of errors) {
+        output.log(chalk.red(`    ${formatError(item, getFile(item))}`));
+    }
+}
+
+/**
+ * Print the summary of an organize or apply result
+ * @param {Object} result - Result from createResult
+ * @param {Object} output - Output from createOutput
+ */
+function printSummary(result, output) {
+    const verbs = MODE_VERBS[result.mode];
+
+    output.log('');
+    output.log(chalk.bold('Summary:'));
+    if (result.output !== result.directory) {
+        output.log(chalk.gray(`  Output: ${result.output}`));
+    }
+    if (result.dryRun) {
+        output.log(chalk.blue(`  Would ${verbs.verb.toLowerCase()}: ${result.planned.length} files`));
+        const overwrites = result.planned.filter(item => item.conflict === 'overwrite').length;
+        if (overwrites > 0) {
+            output.log(chalk.blue(`  Would overwrite: ${overwrites} files`));
+        }
+        if (result.duplicates.length > 0) {
+            output.log(chalk.blue(`  Duplicates: ${result.duplicates.length} files`));
+        }
+        printFiltered(result, output);
+        printSkippedLinks(result, output);
+        return;
+    }
+
+    output.log(chalk.green(`  ${verbs.past}: ${result.moved.length} files`));
+    const overwritten = result.moved.filter(item => item.replaced).length;
+    if (overwritten > 0) {
+        output.log(chalk.yellow(`  Overwritten: ${overwritten} files (the old versions are in ${TRASH_DIR_NAME} until undone)`));
+    }
+    if (result.skipped.length > 0) {
+        output.log(chalk.yellow(`  Skipped: ${result.skipped.length} files`));
+    }
+    if (result.duplicates.length > 0) {
+        const actions = [...new Set(result.duplicates.map(duplicate => duplicate.action))];
+        output.log(chalk.yellow(`  Duplicates: ${result.duplicates.length} files (${actions.join(', ')})`));
+    }
+    printFiltered(result, output);
+    printSkippedLinks(result, output);
+    printErrors(result.errors, output, item => item.source);
+    if (result.interrupted) {
+        output.log(chalk.yellow('  Interrupted: the remaining files were left in place'));
+    }
 }
 
 /**
- * Recursively clean up empty directories
- * @param {string} dir - Directory to clean
- * @param {string[]} categoryFolders - Category folders to skip
+ * Print how many files the size and date filters left out, by filter
+ * @param {Object} result - Result with filtered files
+ * @param {Object} output - Output from createOutput
  */
-async function cleanupEmptyDirectories(dir, categoryFolders) {
-    const entries = await fs.readdir(dir);
+function printFiltered(result, output) {
+    if (!result.filtered || result.filtered.length === 0) return;
 
-    for (const entry of entries) {
-        const entryPath = path.join(dir, entry);
+    const counts = new Map();
+    for (const { filter } of result.filtered) {
+        counts.set(filter, (counts.get(filter) || 0) + 1);
+    }
+    const details = [...counts].map(([filter, count]) => `${count} by ${filter}`).join(', ');
+    output.log(chalk.gray(`  Filtered out: ${result.filtered.length} files (${details})`));
+}
 
-        // Skip category folders
-        if (categoryFolders.includes(entry)) continue;
+/**
+ * Print how many broken links and symlink loops the scan passed over
+ * @param {Object} result - Result with skipped links
+ * @param {Object} output - Output from createOutput
+ */
+function printSkippedLinks(result, output) {
+    if (!result.skippedLinks || result.skippedLinks.length === 0) return;
 
-        try {
-            const stats = await fs.stat(entryPath);
-            if (stats.isDirectory()) {
-                // Recursively clean subdirectories first
-                await cleanupEmptyDirectories(entryPath, categoryFolders);
+    const broken = result.skippedLinks.filter(link => link.reason === 'broken link').length;
+    const loops = result.skippedLinks.length - broken;
+    const details = [broken > 0 && `${broken} broken`, loops > 0 && `${loops} looping`].filter(Boolean).join(', ');
+    output.log(chalk.yellow(`  Skipped links: ${result.skippedLinks.length} (${details})`));
+}
 
-                // Check if directory is now empty
-                const contents = await fs.readdir(entryPath);
-                if (contents.length === 0) {
-                    await fs.rmdir(entryPath);
-                }
-            }
-        } catch {
-            // Directory may have been deleted already
+/**
+ * Lock the directories a command changes, showing on the spinner when it
+ * has to wait for another run
+ * @param {string[]} dirs - Directories
+ * @param {Object} options - CLI options (wait)
+ * @param {string} command - Command recorded in the locks
+ * @param {Object} spinner - Spinner from createOutput
+ * @returns {Promise<Function>} Releases the locks
+ */
+function lockRoots(dirs, options, command, spinner) {
+    return acquireLocks(dirs, {
+        command,
+        wait: options.wait,
+        held: options.locks,
+        onWait: holder => {
+            spinner.text = `Waiting for ${describeHolder(holder)}...`;
+        }
+    });
+}
+
+/**
+ * Lock a directory together with the other roots its log (or journal) names,
+ * so undo, redo and recover hold every folder they move files in. The roots
+ * are read before locking and checked again after, as a run that finished
+ * in the meantime may have logged a batch with new roots.
+ * @param {string} targetDir - Directory whose log is read
+ * @param {Function} readRoots - async () => directories named by the log
+ * @param {Object} options - CLI options (wait)
+ * @param {string} command - Command recorded in the locks
+ * @param {Object} spinner - Spinner from createOutput
+ * @returns {Promise<Function>} Releases the locks
+ */
+async function lockLoggedRoots(targetDir, readRoots, options, command, spinner) {
+    for (;;) {
+        const roots = new Set([targetDir, ...await readRoots()].map(dir => path.resolve(dir)));
+        const release = await lockRoots([...roots], options, command, spinner);
+
+        if ((await readRoots()).every(dir => roots.has(path.resolve(dir)))) {
+            return release;
         }
+        await release();
     }
 }
 
 /**
- * Main organize function
+ * Get the source and output roots of every batch in a directory's log
+ * @param {string} targetDir - Directory whose log is read
+ * @returns {Promise<string[]>} Roots, with repeats
+ */
+async function readLogRoots(targetDir) {
+    const log = await readLog(targetDir);
+    return (log || []).flatMap(batch => Object.values(getBatchRoots(batch, targetDir)));
+}
+
+/**
+ * Organize a directory from the command line: plan it, then show the plan
+ * (dry run) or carry it out with a spinner, progress bar and summary
  * @param {string} targetDir - Directory to organize
- * @param {Object} options - CLI options
+ * @param {Object} options - CLI options (json silences console output)
+ * @returns {Promise<Object>} Result listing planned, moved, duplicate, skipped, filtered
+ *     and failed files, and the links skipped as broken or looping. Sources are
+ *     relative to directory, destinations to output.
  */
 async function organizeDirectory(targetDir, options = {}) {
     // Validate targetDir before starting spinner
     if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
         throw new Error('Target directory must be a non-empty string');
     }
+    if (options.json && options.interactive) {
+        throw new Error('--json cannot be combined with --interactive');
+    }
+    if (options.json && options.onConflict === 'ask') {
+        throw new Error('--json cannot be combined with --on-conflict ask');
+    }
 
-    const spinner = ora({
-        text: 'Scanning directory...',
-        spinner: 'dots'
-    }).start();
+    const startedAt = new Date();
+    const output = createOutput(options);
+    const spinner = output.spinner('Scanning directory...');
+    let release = async () => {};
 
     try {
-        // Resolve absolute path
-        targetDir = path.resolve(targetDir);
-
-        // Check if directory exists
-        try {
-            await fs.access(targetDir);
-        } catch {
-            throw new Error(`Directory does not exist: ${targetDir}`);
+        // Held from the scan until the run is logged, so no other run
+        // changes the directory in between
+        if (!options.dryRun) {
+            const directory = path.resolve(targetDir);
+            release = await lockRoots([directory, resolveOutputDir(directory, options)], options, 'organize', spinner);
         }
 
-        // Verify it's a directory
-        const dirStats = await fs.stat(targetDir);
-        if (!dirStats.isDirectory()) {
-            throw new Error(`Path is not a directory: ${targetDir}`);
+        const events = new EventEmitter();
+        if (options.verbose) {
+            printIgnored(events, output);
         }
+        // Files left out by --min-size, --older-than, --since, ..., and links
+        // that lead nowhere or back to a folder already scanned
+        const filtered = [];
+        const skippedLinks = [];
+        events.on('file:ignored', ({ path: source, reason, filter }) => {
+            if (reason === 'filtered') filtered.push({ source, filter });
+            if (reason === 'broken link' || reason === 'symlink loop') skippedLinks.push({ source, reason });
+        });
+        const plan = await planOrganize(targetDir, { ...options, events });
+
+        const modeText = options.recursive ? ' (recursive)' : '';
+        const filteredText = filtered.length > 0 ? `, ${filtered.length} filtered out` : '';
+        const linksText = skippedLinks.length > 0 ? `, ${skippedLinks.length} links skipped` : '';
+        spinner.stopAndPersist({
+            symbol: chalk.green('[OK]'),
+            text: chalk.green(`Found ${plan.entries.length} files to organize${modeText}${filteredText}${linksText}`)
+        });
 
-        // Load categories (custom or default)
-        let categories = defaultCategories;
-        if (options.config) {
-            categories = await loadConfig(options.config);
+        let result;
+
+        if (plan.entries.length === 0) {
+            result = { ...createResult('organize', plan, Boolean(options.dryRun)), filtered, skippedLinks };
+            output.log(chalk.yellow('No files to organize.'));
+            printFiltered(result, output);
+            printSkippedLinks(result, output);
+        } else if (options.dryRun) {
+            result = { ...createResult('organize', plan, true), filtered, skippedLinks };
+            for (const entry of plan.entries) {
+                if (entry.duplicateOf) {
+                    output.log(chalk.blue(`  [DRY RUN] Duplicate of ${entry.duplicateOf}: would ${describeDuplicateAction(entry)} ${entry.source}`));
+                } else if (entry.action !== 'skip') {
+                    output.log(chalk.blue(`  [DRY RUN] Would ${MODE_VERBS[entry.action].verb.toLowerCase()}: ${entry.source} → ${entry.destination}${describeConflict(entry)}${describeDateSource(entry, options)}`));
+                } else if (options.verbose) {
+                    output.log(chalk.gray(`  Skipped: ${entry.source} (${entry.reason})`));
+                }
+                const { list, item } = describeOutcome(entry);
+                result[list === 'moved' ? 'planned' : list].push(item);
+            }
+            printSummary(result, output);
+        } else {
+            // Files that change while the run is underway are skipped
+            result = { ...await runPlan(plan, { ...options, skipChanged: true, locks: release }, output, 'organize'), filtered, skippedLinks };
+            printSummary(result, output);
         }
 
-        // Get category folder names for skipping
-        const categoryFolders = Object.keys(categories);
+        // Timing includes the scan
+        result.startedAt = startedAt.toISOString();
+        result.durationMs = Date.now() - startedAt.getTime();
+        return result;
 
-        // Parse ignore patterns
-        const ignorePatterns = options.ignore ? options.ignore.split(',').map(p => p.trim()) : [];
+    } catch (error) {
+        spinner.stopAndPersist({
+            symbol: chalk.red('[ERROR]'),
+            text: chalk.red(`Error: ${error.message}`)
+        });
+        throw error;
+    } finally {
+        await release();
+    }
+}
 
-        // Collect files (recursively if enabled)
-        let filesToProcess;
+/**
+ * Carry out a saved plan from the command line, with a progress bar and summary
+ * @param {Object} plan - Plan from planOrganize (validated, as it may have been edited)
+ * @param {Object} options - Apply options
+ * @param {boolean} [options.skipChanged] - Apply the other entries when some sources changed
+ * @param {boolean} [options.verify] - Hash-check files copied across filesystems
+ * @param {boolean} [options.verbose] - Show each file
+ * @param {boolean} [options.json] - Silence console output
+ * @returns {Promise<Object>} Result from executePlan
+ * @throws {Error} If the plan is malformed
+ */
+async function applyPlan(plan, options = {}) {
+    const output = createOutput(options);
+    const spinner = output.spinner('Checking plan...');
 
-        if (options.recursive) {
-            filesToProcess = await collectFilesRecursively(targetDir, targetDir, categoryFolders, ignorePatterns, options);
-        } else {
-            // Read directory contents (non-recursive)
-            const files = await fs.readdir(targetDir);
-            filesToProcess = [];
-
-            for (const file of files) {
-                const filePath = path.join(targetDir, file);
-
-                // Skip log file
-                if (file === LOG_FILE_NAME) continue;
-
-                // Skip ignored patterns
-                if (shouldIgnore(filePath, ignorePatterns)) {
-                    if (options.verbose) {
-                        console.log(chalk.gray(`  Ignoring: ${file}`));
-                    }
-                    continue;
-                }
+    try {
+        validatePlan(plan);
 
-                // Skip category folders (prevent re-organizing)
-                if (categoryFolders.includes(file)) {
-                    if (options.verbose) {
-                        console.log(chalk.gray(`  Skipping category folder: ${file}`));
-                    }
-                    continue;
-                }
+        spinner.stopAndPersist({
+            symbol: chalk.green('[OK]'),
+            text: chalk.green(`Applying plan for ${plan.directory} (${plan.entries.length} files)`)
+        });
 
-                const stats = await fs.stat(filePath);
+        const result = await runPlan(plan, options, output, 'apply');
 
-                if (stats.isFile()) {
-                    filesToProcess.push({
-                        name: file,
-                        path: filePath,
-                        stats: stats
-                    });
-                }
+        if (result.error) {
+            output.log(chalk.yellow(`\n${result.error}:`));
+            for (const item of result.skipped) {
+                output.log(chalk.yellow(`  ${item.source} (${item.reason})`));
             }
+            output.log(chalk.gray('\nMake a new plan, or use --skip-changed to apply the other entries.'));
+        } else {
+            printSummary(result, output);
         }
 
-        const modeText = options.recursive ? ' (recursive)' : '';
+        return result;
+
+    } catch (error) {
         spinner.stopAndPersist({
-            symbol: chalk.green('[OK]'),
-            text: chalk.green(`Found ${filesToProcess.length} files to organize${modeText}`)
+            symbol: chalk.red('[ERROR]'),
+            text: chalk.red(`Error: ${error.message}`)
         });
+        throw error;
+    }
+}
 
-        if (filesToProcess.length === 0) {
-            console.log(chalk.yellow('No files to organize.'));
+/**
+ * Remove empty directories from a path up to (not including) a stop directory
+ * @param {string} dir - Directory to start from
+ * @param {string} stopDir - Directory to stop at
+ */
+async function removeEmptyParents(dir, stopDir) {
+    while (dir.startsWith(stopDir + path.sep)) {
+        try {
+            await fs.rmdir(dir);
+        } catch {
+            // Not empty or already gone
             return;
         }
+        dir = path.dirname(dir);
+    }
+}
 
-        // Process files
-        const operations = [];
-        let processedCount = 0;
-        let skippedCount = 0;
+/**
+ * Put a file an operation overwrote back in its place, from the trash
+ * @param {Object} op - Log operation with replaced set, after its file was taken away
+ * @param {Set<string>} touchedDirs - Gets the trash folder, to clean up once empty
+ */
+async function restoreReplaced(op, touchedDirs) {
+    if (!op.replaced) return;
 
-        // Setup progress bar
-        const progressBar = new cliProgress.SingleBar({
-            format: 'Organizing |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} files',
-            barCompleteChar: '\u2588',
-            barIncompleteChar: '\u2591',
-            hideCursor: true
-        });
+    await fs.mkdir(path.dirname(op.movedTo), { recursive: true });
+    await moveFile(op.replaced, op.movedTo);
+    touchedDirs.add(path.dirname(op.replaced));
+}
+
+/**
+ * Revert the operations of one logged batch, newest operation first
+ * @param {Object} batch - Log batch
+ * @param {Set<Object>} skip - Operations to leave untouched
+ * @param {Function} onProgress - Called after each operation
+ * @returns {Promise<Object>} Restored files, errors and the directories files were restored from
+ */
+async function revertBatch(batch, skip, onProgress) {
+    const operations = batch.operations;
+    const touchedDirs = new Set();
+    const restored = [];
+    const errors = [];
+
+    // Directories the run removed once they were empty, including those that
+    // were empty before it
+    for (const dir of batch.removedDirs || []) {
+        await fs.mkdir(dir, { recursive: true }).catch(() => {});
+    }
 
-        if (!options.dryRun && !options.interactive) {
-            progressBar.start(filesToProcess.length, 0);
+    // Revert in reverse order: a deleted duplicate may refer to a file
+    // that was moved earlier in the same batch
+    for (let i = operations.length - 1; i >= 0; i--) {
+        const op = operations[i];
+
+        // Where the file ended up, so redo can move it again
+        delete op.restoredTo;
+
+        if (skip.has(op)) {
+            onProgress();
+            continue;
         }
 
-        for (const file of filesToProcess) {
-            const ext = path.extname(file.name).toLowerCase();
-            let targetSubDir;
+        // What undoing the operation does, for the error list
+        const operation = op.type === 'delete' ? 'recreate' : op.type ? 'remove' : 'restore';
 
-            if (options.byDate) {
-                // Organize by date
-                const fileDate = file.stats.mtime;
-                const year = fileDate.getFullYear().toString();
-                const month = getMonthName(fileDate);
-                targetSubDir = path.join(targetDir, year, month);
+        try {
+            if (op.type === 'delete') {
+                // Deleted duplicate: recreate it from the copy that was kept
+                await fs.access(op.duplicateOf);
+                const restorePath = await getUniqueFilePath(op.original);
+                await fs.mkdir(path.dirname(restorePath), { recursive: true });
+                await fs.copyFile(op.duplicateOf, restorePath);
+                op.restoredTo = restorePath;
+            } else if (op.type) {
+                // Copy or link: the original never moved, just remove what was
+                // created. Keep it if it was edited or is now the only copy.
+                if (!await isPlaced(op.original, op.movedTo, op.type)) {
+                    throw new Error(`${op.movedTo} no longer matches ${op.original}`);
+                }
+                await fs.unlink(op.movedTo);
+                op.restoredTo = op.original;
+                touchedDirs.add(path.dirname(op.movedTo));
+                await restoreReplaced(op, touchedDirs);
             } else {
-                // Organize by category
-                const category = getCategory(ext, categories);
-                targetSubDir = path.join(targetDir, category);
-            }
+                // Check if moved file still exists
+                await fs.access(op.movedTo);
 
-            const newFilePath = await getUniqueFilePath(path.join(targetSubDir, file.name));
+                // Get unique path if original location is blocked
+                const restorePath = await getUniqueFilePath(op.original);
 
-            // Dry run mode
-            if (options.dryRun) {
-                const relativeSource = path.relative(targetDir, file.path);
-                const relativeDest = path.relative(targetDir, newFilePath);
-                console.log(chalk.blue(`  [DRY RUN] Would move: ${relativeSource} → ${relativeDest}`));
-                continue;
+                // Move back to original location (or unique path); files that
+                // were copied across filesystems are copied back the same way
+                await fs.mkdir(path.dirname(restorePath), { recursive: true });
+                await moveFile(op.movedTo, restorePath);
+                op.restoredTo = restorePath;
+                touchedDirs.add(path.dirname(op.movedTo));
+                await restoreReplaced(op, touchedDirs);
             }
+            restored.push({ from: op.type === 'delete' ? op.duplicateOf : op.movedTo, to: op.restoredTo });
+        } catch (error) {
+            errors.push({ file: op.movedTo || op.original, ...describeError(error, operation) });
+        }
 
-            // Interactive mode
-            if (options.interactive) {
-                const relativeSource = path.relative(targetDir, file.path);
-                const relativeDest = path.relative(targetDir, path.dirname(newFilePath));
-                const { confirm } = await inquirer.prompt([{
-                    type: 'confirm',
-                    name: 'confirm',
-                    message: `Move ${chalk.cyan(relativeSource)} → ${chalk.yellow(relativeDest)}?`,
-                    default: true
-                }]);
-
-                if (!confirm) {
-                    skippedCount++;
-                    continue;
-                }
+        onProgress();
+    }
+
+    return { restored, errors, touchedDirs };
+}
+
+/**
+ * Undo organize operations (the last batch by default)
+ * @param {string} targetDir - Directory with log file
+ * @param {Object} options - Undo options
+ * @param {number|string} [options.batch] - Id of a specific batch to revert
+ * @param {boolean} [options.all] - Revert every logged batch, newest first
+ * @param {boolean} [options.force] - Revert a batch despite conflicts, skipping conflicting files
+ * @param {boolean} [options.json] - Silence console output
+ * @param {Function} [options.locks] - Locks the caller already holds (from acquireLocks),
+ *     e.g. recover rolling back the batch it logged
+ * @returns {Promise<Object>} Result with restored, skipped and failed files (absolute
+ *     paths), or an error message when nothing was undone
+ * @throws {Error} If undo operation fails
+ */
+async function undoOrganize(targetDir, options = {}) {
+    // Validate targetDir before starting spinner
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    const startedAt = new Date();
+    const output = createOutput(options);
+    const spinner = output.spinner('Reading operation log...');
+    let release = async () => {};
+
+    try {
+        targetDir = path.resolve(targetDir);
+        release = await lockLoggedRoots(targetDir, () => readLogRoots(targetDir), options, 'undo', spinner);
+
+        const result = {
+            command: 'undo',
+            directory: targetDir,
+            startedAt: startedAt.toISOString(),
+            durationMs: 0,
+            batches: [],
+            restored: [],
+            skipped: [],
+            errors: []
+        };
+        const finish = message => {
+            if (message) {
+                result.error = message;
             }
+            result.durationMs = Date.now() - startedAt.getTime();
+            return result;
+        };
+        const fail = message => {
+            spinner.stopAndPersist({
+                symbol: chalk.red('[ERROR]'),
+                text: chalk.red(message)
+            });
+            return finish(message);
+        };
 
-            // Create target directory if it doesn't exist
-            await fs.mkdir(targetSubDir, { recursive: true });
+        const rawLog = await readLog(targetDir);
 
-            // Move file
-            try {
-                await fs.rename(file.path, newFilePath);
+        if (!rawLog) {
+            return fail('No operation log found. Nothing to undo.');
+        }
 
-                operations.push({
-                    original: file.path,
-                    movedTo: newFilePath
-                });
+        // Undone batches stay in the log as the redo stack. Batches that only
+        // record errors (every file failed) have nothing to revert.
+        const fullLog = normalizeLog(rawLog);
+        const log = fullLog.filter(batch => !batch.undone);
+        const revertible = log.map((batch, i) => i).filter(i => log[i].operations.length > 0);
+
+        if (revertible.length === 0) {
+            return fail('No operations to undo.');
+        }
+
+        // Pick the batches to revert (the last one by default)
+        let indexes = [revertible[revertible.length - 1]];
+
+        if (options.all) {
+            indexes = revertible.reverse();
+        } else if (options.batch !== undefined) {
+            const index = findBatchIndex(log, options.batch);
+            if (index === -1) {
+                return fail(`Batch not found: ${options.batch}. Run "segre history" to list batches.`);
+            }
+            if (log[index].operations.length === 0) {
+                return fail(`Batch #${options.batch} moved no files. Nothing to undo.`);
+            }
+            indexes = [index];
+        }
 
-                processedCount++;
+        // Files a later batch moved again or overwrote cannot be restored from this batch's record
+        const skip = new Set();
+        if (!options.all) {
+            const conflicts = findBatchConflicts(log, indexes[0]);
 
-                if (options.verbose && !options.interactive) {
-                    progressBar.stop();
-                    const relativeSource = path.relative(targetDir, file.path);
-                    console.log(chalk.green(`  [OK] Moved: ${relativeSource} -> ${path.relative(targetDir, newFilePath)}`));
-                    progressBar.start(filesToProcess.length, processedCount);
+            if (conflicts.length > 0) {
+                const batchId = getBatchId(log[indexes[0]], indexes[0]);
+                spinner.stopAndPersist({
+                    symbol: chalk.yellow('[WARN]'),
+                    text: chalk.yellow(`Batch #${batchId} conflicts with later batches:`)
+                });
+                for (const conflict of conflicts) {
+                    output.log(chalk.yellow(`  ${path.relative(targetDir, conflict.operation.movedTo)} was ${conflict.reason} by batch #${conflict.batchId}`));
+                    result.skipped.push({
+                        file: conflict.operation.movedTo,
+                        reason: `${conflict.reason} by batch #${conflict.batchId}`
+                    });
                 }
-            } catch (error) {
-                /* istanbul ignore next */
-                if (options.verbose) {
-                    const relativeSource = path.relative(targetDir, file.path);
-                    console.log(chalk.red(`  [ERROR] Moving ${relativeSource}: ${error.message}`));
+
+                if (!options.force) {
+                    output.log(chalk.gray('\nUndo the later batches first, or use --force to skip these files.'));
+                    return finish(`Batch #${batchId} conflicts with later batches`);
                 }
-            }
 
-            if (!options.interactive) {
-                progressBar.update(processedCount + skippedCount);
+                conflicts.forEach(conflict => skip.add(conflict.operation));
             }
         }
 
-        if (!options.dryRun && !options.interactive) {
-            progressBar.stop();
-        }
+        const batches = indexes.map(i => log[i]);
+        const totalOperations = batches.reduce((sum, batch) => sum + batch.operations.length, 0);
+        result.batches = indexes.map(i => getBatchId(log[i], i));
+
+        spinner.stopAndPersist({
+            symbol: chalk.green('[OK]'),
+            text: chalk.green(batches.length === 1 ?
+                `Found ${totalOperations} operations from ${batches[0].timestamp}` :
+                `Found ${totalOperations} operations in ${batches.length} batches`)
+        });
+
+        // Setup progress bar
+        const progressBar = output.progressBar('Undoing');
+
+        progressBar.start(totalOperations, 0);
 
-        // Save log for undo
-        if (operations.length > 0 && !options.dryRun) {
-            await saveLog(targetDir, operations);
+        let progress = 0;
+        // Directory left behind -> output root to stop cleaning at
+        const touchedDirs = new Map();
+
+        // Files that could not be restored, kept with their batch in the log
+        const undoErrors = [];
+
+        for (const batch of batches) {
+            const reverted = await revertBatch(batch, skip, () => progressBar.update(++progress));
+            result.restored.push(...reverted.restored);
+            result.errors.push(...reverted.errors);
+            undoErrors.push(reverted.errors);
+            reverted.touchedDirs.forEach(dir => touchedDirs.set(dir, getBatchRoots(batch, targetDir).output));
         }
 
-        // Clean up empty directories after recursive organization
-        if (options.recursive && !options.dryRun && operations.length > 0) {
-            await cleanupEmptyDirectories(targetDir, categoryFolders);
+        progressBar.stop();
+
+        // Move reverted batches to the redo stack at the end of the log
+        const undoneAt = new Date().toISOString();
+        const undoneBatches = batches.map((batch, i) => ({
+            ...batch,
+            undone: undoneAt,
+            ...(undoErrors[i].length > 0 && { undoErrors: undoErrors[i] })
+        }));
+        await updateLog(targetDir, [
+            ...log.filter((batch, i) => !indexes.includes(i)),
+            ...fullLog.filter(batch => batch.undone),
+            ...undoneBatches
+        ]);
+        await updateMirrorLogs(targetDir, batches.map((batch, i) => ({ batch, updated: undoneBatches[i] })));
+
+        // Cleanup directories left empty by the restored files
+        for (const [dir, stopDir] of touchedDirs) {
+            await removeEmptyParents(dir, stopDir);
         }
 
         // Summary
-        console.log('');
-        console.log(chalk.bold('Summary:'));
-        if (options.dryRun) {
-            console.log(chalk.blue(`  Would move: ${filesToProcess.length} files`));
-        } else {
-            console.log(chalk.green(`  Moved: ${processedCount} files`));
-            if (skippedCount > 0) {
-                console.log(chalk.yellow(`  Skipped: ${skippedCount} files`));
-            }
+        output.log('');
+        output.log(chalk.bold('Undo Summary:'));
+        output.log(chalk.green(`  Restored: ${result.restored.length} files`));
+        if (skip.size > 0) {
+            output.log(chalk.yellow(`  Skipped (conflicts): ${skip.size} files`));
         }
+        printErrors(result.errors, output, item => path.relative(targetDir, item.file));
+
+        return finish();
 
     } catch (error) {
+        /* istanbul ignore next */
         spinner.stopAndPersist({
             symbol: chalk.red('[ERROR]'),
             text: chalk.red(`Error: ${error.message}`)
         });
+        /* istanbul ignore next */
         throw error;
+    } finally {
+        await release();
+    }
+}
+
+/**
+ * Get the destination of a file redo places again, creating its folder. A
+ * file the operation had overwritten, which undo put back, goes into the
+ * trash again; any other file there makes it take a new name.
+ * @param {string} movedTo - Destination the batch used
+ * @param {string} [replaced] - Where the overwritten file was kept
+ * @returns {Promise<Object>} { movedTo, replaced } for the redone operation
+ */
+async function getRedoDestination(movedTo, replaced) {
+    await fs.mkdir(path.dirname(movedTo), { recursive: true });
+
+    if (replaced && await exists(movedTo)) {
+        const trashPath = await getUniqueFilePath(replaced);
+        await setAside(movedTo, trashPath);
+        return { movedTo, replaced: trashPath };
     }
+    return { movedTo: await getUniqueFilePath(movedTo) };
 }
 
 /**
- * Undo last organize operation
+ * Redo the most recently undone batch, moving files back to the same destinations
  * @param {string} targetDir - Directory with log file
- * @throws {Error} If undo operation fails
+ * @param {Object} options - Redo options
+ * @param {boolean} [options.json] - Silence console output
+ * @returns {Promise<Object>} Result with placed, skipped and failed files (absolute
+ *     paths), or an error message when there was nothing to redo
+ * @throws {Error} If redo operation fails
  */
-async function undoOrganize(targetDir) {
-    // Validate targetDir before starting spinner
+async function redoOrganize(targetDir, options = {}) {
     if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
         throw new Error('Target directory must be a non-empty string');
     }
 
-    const spinner = ora({
-        text: 'Reading operation log...',
-        spinner: 'dots'
-    }).start();
+    const startedAt = new Date();
+    const output = createOutput(options);
+    const spinner = output.spinner('Reading operation log...');
+    let release = async () => {};
 
     try {
         targetDir = path.resolve(targetDir);
-
-        const log = await readLog(targetDir);
-
-        if (!log) {
-            spinner.stopAndPersist({
-                symbol: chalk.red('[ERROR]'),
-                text: chalk.red('No operation log found. Nothing to undo.')
-            });
-            return;
-        }
-
-        if (log.length === 0) {
+        release = await lockLoggedRoots(targetDir, () => readLogRoots(targetDir), options, 'redo', spinner);
+
+        const result = {
+            command: 'redo',
+            directory: targetDir,
+            startedAt: startedAt.toISOString(),
+            durationMs: 0,
+            batchId: null,
+            moved: [],
+            skipped: [],
+            errors: []
+        };
+        const finish = () => {
+            result.durationMs = Date.now() - startedAt.getTime();
+            return result;
+        };
+
+        const rawLog = await readLog(targetDir);
+        const log = rawLog ? normalizeLog(rawLog) : [];
+        const undone = log.filter(batch => batch.undone && batch.operations.length > 0);
+
+        if (undone.length === 0) {
+            result.error = 'No undone operations. Nothing to redo.';
             spinner.stopAndPersist({
                 symbol: chalk.red('[ERROR]'),
-                text: chalk.red('No operations to undo.')
+                text: chalk.red(result.error)
             });
-            return;
+            return finish();
         }
 
-        // Get the last operation batch
-        const lastBatch = log.pop();
-        const operations = lastBatch.operations;
+        const batch = undone[undone.length - 1];
+        result.batchId = batch.id;
 
         spinner.stopAndPersist({
             symbol: chalk.green('[OK]'),
-            text: chalk.green(`Found ${operations.length} operations from ${lastBatch.timestamp}`)
+            text: chalk.green(`Found ${batch.operations.length} operations from batch #${batch.id} (${batch.timestamp})`)
         });
 
-        // Setup progress bar
-        const progressBar = new cliProgress.SingleBar({
-            format: 'Undoing |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} files',
-            barCompleteChar: '\u2588',
-            barIncompleteChar: '\u2591',
-            hideCursor: true
-        });
+        const progressBar = output.progressBar('Redoing');
 
-        progressBar.start(operations.length, 0);
+        progressBar.start(batch.operations.length, 0);
 
-        let restoredCount = 0;
-        let errorCount = 0;
+        const operations = [];
+
+        for (let i = 0; i < batch.operations.length; i++) {
+            const { restoredTo, replaced, ...op } = batch.operations[i];
+            const operation = op.type === 'delete' ? 'delete' : op.type || 'move';
 
-        for (let i = 0; i < operations.length; i++) {
-            const op = operations[i];
+            if (!restoredTo) {
+                // Was not restored by the undo (conflict or error)
+                result.skipped.push({ file: op.original, reason: 'not restored by undo' });
+                progressBar.update(i + 1);
+                continue;
+            }
 
             try {
-                // Check if moved file still exists
-                await fs.access(op.movedTo);
+                if (op.type === 'delete') {
+                    await fs.unlink(restoredTo);
+                    operations.push({ ...op, original: restoredTo });
+                } else if (op.type) {
+                    // Copy or link: create it again from the untouched original
+                    await fs.access(restoredTo);
+                    const dest = await getRedoDestination(op.movedTo, replaced);
+                    await placeFile(restoredTo, dest.movedTo, op.type);
+                    operations.push({ ...op, original: restoredTo, ...dest });
+                } else {
+                    await fs.access(restoredTo);
+                    const dest = await getRedoDestination(op.movedTo, replaced);
+                    const { copied } = await moveFile(restoredTo, dest.movedTo);
+                    delete op.copied;
+                    operations.push({ ...op, original: restoredTo, ...dest, ...(copied && { copied }) });
+                }
 
-                // Get unique path if original location is blocked
-                const restorePath = await getUniqueFilePath(op.original);
+                const redone = operations[operations.length - 1];
+                result.moved.push({ from: restoredTo, to: redone.movedTo || null });
 
-                // Move back to original location (or unique path)
-                await fs.rename(op.movedTo, restorePath);
-                restoredCount++;
+                if (batch.options && batch.options.recursive) {
+                    await removeEmptyParents(path.dirname(restoredTo), getBatchRoots(batch, targetDir).source);
+                }
             } catch (error) {
-                errorCount++;
+                result.errors.push({ file: restoredTo, ...describeError(error, operation) });
             }
 
             progressBar.update(i + 1);
@@ -416,30 +2029,179 @@ async function undoOrganize(targetDir) {
 
         progressBar.stop();
 
-        // Update log file
-        await updateLog(targetDir, log);
+        // Directories undo recreated empty go again, deepest first
+        for (const dir of batch.removedDirs || []) {
+            await fs.rmdir(dir).catch(() => {});
+        }
 
-        // Cleanup empty category directories
-        const categories = Object.keys(defaultCategories);
-        for (const category of categories) {
-            const categoryDir = path.join(targetDir, category);
-            try {
-                const files = await fs.readdir(categoryDir);
-                if (files.length === 0) {
-                    await fs.rmdir(categoryDir);
-                }
-            } catch {
-                // Directory doesn't exist or not empty
+        // The batch becomes the latest active batch again
+        const redone = { ...batch };
+        delete redone.undone;
+        delete redone.undoErrors;
+        const updated = operations.length > 0 ? { ...redone, operations } : null;
+        const remaining = log.filter(entry => entry !== batch);
+        await updateLog(targetDir, updated ? [...remaining, updated] : remaining);
+        await updateMirrorLogs(targetDir, [{ batch, updated }]);
+
+        output.log('');
+        output.log(chalk.bold('Redo Summary:'));
+        output.log(chalk.green(`  Moved: ${operations.length} files`));
+        if (result.skipped.length > 0) {
+            output.log(chalk.yellow(`  Skipped: ${result.skipped.length} files (not restored by undo)`));
+        }
+        printErrors(result.errors, output, item => path.relative(targetDir, item.file));
+
+        return finish();
+
+    } catch (error) {
+        /* istanbul ignore next */
+        spinner.stopAndPersist({
+            symbol: chalk.red('[ERROR]'),
+            text: chalk.red(`Error: ${error.message}`)
+        });
+        /* istanbul ignore next */
+        throw error;
+    } finally {
+        await release();
+    }
+}
+
+/**
+ * Find out whether a journaled operation that was never marked done took
+ * place before the run was interrupted. What an operation cut off halfway
+ * left behind (e.g., a partial copy next to the intact source) is removed,
+ * and a file it was overwriting is put back.
+ * @param {Object} operation - Log operation from the journal
+ * @returns {Promise<boolean>} True if the operation was carried out
+ */
+async function settleOperation(operation) {
+    if (operation.type === 'delete') {
+        return !await exists(operation.original);
+    }
+    // Cut off before the file it overwrites was set aside: that file is still in place
+    if (operation.replaced && !await exists(operation.replaced)) {
+        return false;
+    }
+    if (await exists(operation.movedTo)) {
+        if (operation.type ? await isPlaced(operation.original, operation.movedTo, operation.type) :
+            !await exists(operation.original)) {
+            return true;
+        }
+        await fs.unlink(operation.movedTo);
+    }
+
+    // The overwritten file goes back from the trash
+    if (operation.replaced) {
+        await fs.mkdir(path.dirname(operation.movedTo), { recursive: true });
+        await moveFile(operation.replaced, operation.movedTo);
+    }
+    return false;
+}
+
+/**
+ * Recover a run that was interrupted (crash, power loss, killed process):
+ * the files it moved are logged as a batch, so they can be undone, and
+ * with rollback that batch is undone right away
+ * @param {string} targetDir - Directory that was being organized
+ * @param {Object} options - Recover options
+ * @param {boolean} [options.rollback] - Put the moved files back where they were
+ * @param {boolean} [options.json] - Silence console output
+ * @returns {Promise<Object>} Result with completed and incomplete files (absolute
+ *     paths), the logged batch id, or an error message when there was no interrupted run
+ */
+async function recoverRun(targetDir, options = {}) {
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    const startedAt = new Date();
+    const output = createOutput(options);
+    const spinner = output.spinner('Reading journal...');
+    let release = async () => {};
+
+    try {
+        targetDir = path.resolve(targetDir);
+        release = await lockLoggedRoots(targetDir, async () => {
+            const journal = await readJournal(targetDir);
+            return journal ? [journal.start.source, journal.start.output].filter(Boolean) : [];
+        }, options, 'recover', spinner);
+
+        const result = {
+            command: 'recover',
+            directory: targetDir,
+            startedAt: startedAt.toISOString(),
+            durationMs: 0,
+            batchId: null,
+            completed: [],
+            incomplete: [],
+            rolledBack: false,
+            restored: [],
+            errors: []
+        };
+        const finish = () => {
+            result.durationMs = Date.now() - startedAt.getTime();
+            return result;
+        };
+
+        const journal = await readJournal(targetDir);
+
+        if (!journal) {
+            result.error = 'No interrupted run found. Nothing to recover.';
+            spinner.stopAndPersist({
+                symbol: chalk.red('[ERROR]'),
+                text: chalk.red(result.error)
+            });
+            return finish();
+        }
+
+        const { start } = journal;
+        const operations = [];
+
+        for (const { operation, done } of journal.operations) {
+            if (done || await settleOperation(operation)) {
+                operations.push(operation);
+                result.completed.push({ from: operation.original, to: operation.movedTo || null });
+            } else {
+                result.incomplete.push({ file: operation.original });
             }
         }
 
-        // Summary
-        console.log('');
-        console.log(chalk.bold('Undo Summary:'));
-        console.log(chalk.green(`  Restored: ${restoredCount} files`));
-        if (errorCount > 0) {
-            console.log(chalk.red(`  Errors: ${errorCount} files`));
+        spinner.stopAndPersist({
+            symbol: chalk.green('[OK]'),
+            text: chalk.green(`Found an interrupted ${start.command || 'organize'} run from ${start.timestamp}: ` +
+                `${operations.length} of ${journal.operations.length} files were done`)
+        });
+
+        if (operations.length > 0) {
+            const batch = await saveBatch(start.source || targetDir, start.output || targetDir, operations, {
+                command: start.command,
+                options: start.options || {},
+                interrupted: true
+            });
+            result.batchId = batch.id;
+        }
+        await removeJournal(targetDir);
+
+        if (options.rollback && result.batchId) {
+            output.log(chalk.bold('\nRolling back...\n'));
+            const undo = await undoOrganize(targetDir, { batch: result.batchId, json: options.json, locks: release });
+            result.rolledBack = true;
+            result.restored = undo.restored;
+            result.errors = undo.errors;
+            return finish();
+        }
+
+        output.log('');
+        output.log(chalk.bold('Recover Summary:'));
+        output.log(chalk.green(`  Logged: ${operations.length} files${result.batchId ? ` (batch #${result.batchId})` : ''}`));
+        if (result.incomplete.length > 0) {
+            output.log(chalk.yellow(`  Not started or cut off: ${result.incomplete.length} files (left in place)`));
         }
+        if (result.batchId) {
+            output.log(chalk.gray(`\nRun "segre undo ${targetDir}" to put them back.`));
+        }
+
+        return finish();
 
     } catch (error) {
         /* istanbul ignore next */
@@ -449,36 +2211,79 @@ async function undoOrganize(targetDir) {
         });
         /* istanbul ignore next */
         throw error;
+    } finally {
+        await release();
     }
 }
 
 /**
  * Show current categories configuration
  * @param {string} configPath - Optional config file path
+ * @param {Object} options - Display options
+ * @param {boolean} [options.json] - Silence console output
+ * @returns {Promise<Object>} The rules, destination template and categories shown
  */
-async function showCategories(configPath) {
-    let categories = defaultCategories;
+async function showCategories(configPath, options = {}) {
+    const settings = await resolveSettings({ config: configPath });
+    const output = createOutput(options);
+
+    const rules = settings.rules.map(rule => {
+        const { type, conditions } = rule.condition;
+        const joiner = type === 'all' ? ' and ' : ' or ';
+        return { name: rule.name, destination: rule.destination, when: conditions.map(describeCondition).join(joiner) };
+    });
+
+    if (rules.length > 0) {
+        output.log(chalk.bold('\nRules (evaluated in order):\n'));
+
+        rules.forEach((rule, i) => {
+            output.log(chalk.cyan(`  ${i + 1}. ${rule.name} -> ${rule.destination}`));
+            output.log(chalk.gray(`    when ${rule.when}`));
+        });
+    }
 
-    if (configPath) {
-        categories = await loadConfig(configPath);
+    if (settings.template.source !== DEFAULT_TEMPLATE) {
+        output.log(chalk.bold('\nDestination template:\n'));
+        output.log(chalk.cyan(`  ${settings.template.source}`));
     }
 
-    console.log(chalk.bold('\nFile Categories:\n'));
+    output.log(chalk.bold('\nFile Categories:\n'));
 
-    for (const [category, extensions] of Object.entries(categories)) {
+    for (const [category, extensions] of Object.entries(settings.categories)) {
         if (extensions.length > 0) {
-            console.log(chalk.cyan(`  ${category}:`));
-            console.log(chalk.gray(`    ${extensions.join(', ')}`));
+            output.log(chalk.cyan(`  ${category}:`));
+            output.log(chalk.gray(`    ${extensions.join(', ')}`));
         } else {
-            console.log(chalk.cyan(`  ${category}:`));
-            console.log(chalk.gray(`    (fallback for unmatched files)`));
+            output.log(chalk.cyan(`  ${category}:`));
+            output.log(chalk.gray(`    (fallback for unmatched files)`));
         }
     }
-    console.log('');
+    output.log('');
+
+    return {
+        command: 'categories',
+        rules,
+        template: settings.template.source,
+        categories: settings.categories
+    };
 }
 
 module.exports = {
+    parseMode,
+    parseSymlinkPolicy,
+    parseConcurrency,
+    resolveSettings,
+    getCategoryFolders,
+    resolveOutputDir,
+    resolveFileDate,
+    resolveCategory,
+    getTargetPath,
+    planOrganize,
+    executePlan,
     organizeDirectory,
+    applyPlan,
     undoOrganize,
+    redoOrganize,
+    recoverRun,
     showCategories
 };
@@ -0,0 +1,86 @@
+/**
+ * Console output (spinners, progress bars, messages) that --json silences
+ * @module output
+ */
+
+const chalk = require('chalk');
+const cliProgress = require('cli-progress');
+const ora = require('ora');
+
+// Stand-ins used when output is silenced
+const silentSpinner = {
+    start() { return this; },
+    stop() { return this; },
+    stopAndPersist() { return this; }
+};
+
+const silentProgressBar = {
+    start() {},
+    update() {},
+    stop() {}
+};
+
+/**
+ * Create the output used by a command
+ * @param {Object} options - CLI options (json silences everything)
+ * @returns {Object} Output with log(), spinner() and progressBar()
+ */
+function createOutput(options = {}) {
+    const quiet = Boolean(options.json);
+
+    return {
+        /**
+         * Print a line of human-readable output
+         * @param {...*} args - console.log arguments
+         */
+        log(...args) {
+            if (!quiet) console.log(...args);
+        },
+
+        /**
+         * Start a spinner
+         * @param {string} text - Spinner text
+         * @returns {Object} ora spinner
+         */
+        spinner(text) {
+            return quiet ? silentSpinner : ora({ text, spinner: 'dots' }).start();
+        },
+
+        /**
+         * Create a progress bar counting files
+         * @param {string} label - Label in front of the bar (e.g., "Organizing")
+         * @returns {Object} cli-progress bar
+         */
+        progressBar(label) {
+            if (quiet) return silentProgressBar;
+            return new cliProgress.SingleBar({
+                format: `${label} |` + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} files',
+                barCompleteChar: '█',
+                barIncompleteChar: '░',
+                hideCursor: true
+            });
+        }
+    };
+}
+
+/**
+ * Print a command result as JSON on stdout
+ * @param {*} result - Result to print
+ */
+function printJson(result) {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+/**
+ * Print a result as a single line of JSON, for streams of events (NDJSON)
+ * @param {*} result - Result to print
+ */
+function printJsonLine(result) {
+    process.stdout.write(JSON.stringify(result) + '\n');
+}
+
+module.exports = {
+    createOutput,
+    printJson,
+    printJsonLine
+};
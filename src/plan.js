@@ -0,0 +1,152 @@
+/**
+ * Saved organize plans: reading, writing and checking them before they are applied
+ * @module plan
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { PLACE_MODES } = require('./fileops');
+
+const PLAN_VERSION = 1;
+
+// What an entry does with its source: a placement mode, or for duplicates delete/skip
+const PLAN_ACTIONS = [...PLACE_MODES, 'delete', 'skip'];
+
+// What happens to a file already at an entry's destination (--on-conflict)
+const PLAN_CONFLICTS = ['overwrite', 'ask'];
+
+/**
+ * Check that a plan path stays inside its root
+ * @param {*} value - Path from the plan
+ * @returns {boolean} True for a relative path without ".." segments
+ */
+function isInsideRoot(value) {
+    return typeof value === 'string' && value !== '' &&
+        !path.isAbsolute(value) && !value.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Validate a plan, which may have been edited by hand
+ * @param {Object} plan - Parsed plan
+ * @returns {Object} The plan
+ * @throws {Error} If the plan is malformed
+ */
+function validatePlan(plan) {
+    if (typeof plan !== 'object' || plan === null || Array.isArray(plan)) {
+        throw new Error('Plan must be a JSON object');
+    }
+    if (plan.version !== PLAN_VERSION) {
+        throw new Error(`Unsupported plan version: ${plan.version} (expected ${PLAN_VERSION})`);
+    }
+    for (const key of ['directory', 'output']) {
+        if (typeof plan[key] !== 'string' || !path.isAbsolute(plan[key])) {
+            throw new Error(`Plan "${key}" must be an absolute path`);
+        }
+    }
+    if (!PLACE_MODES.includes(plan.mode)) {
+        throw new Error(`Plan "mode" must be one of ${PLACE_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(plan.entries)) {
+        throw new Error('Plan "entries" must be an array');
+    }
+
+    plan.entries.forEach((entry, i) => {
+        const where = `Plan entry #${i + 1}`;
+
+        if (typeof entry !== 'object' || entry === null) {
+            throw new Error(`${where} must be an object`);
+        }
+        if (!isInsideRoot(entry.source)) {
+            throw new Error(`${where}: "source" must be a path relative to the directory`);
+        }
+        if (!PLAN_ACTIONS.includes(entry.action)) {
+            throw new Error(`${where}: "action" must be one of ${PLAN_ACTIONS.join(', ')}`);
+        }
+        if (!['delete', 'skip'].includes(entry.action) && !isInsideRoot(entry.destination)) {
+            throw new Error(`${where}: "destination" must be a path relative to the output`);
+        }
+        if (entry.conflict !== undefined && !PLAN_CONFLICTS.includes(entry.conflict)) {
+            throw new Error(`${where}: "conflict" must be one of ${PLAN_CONFLICTS.join(', ')}`);
+        }
+        // Hardlinked and moved duplicates record it too
+        if ((entry.action === 'delete' || entry.duplicateOf !== undefined) && !isInsideRoot(entry.duplicateOf)) {
+            throw new Error(`${where}: "duplicateOf" must be a path relative to the output`);
+        }
+        if (typeof entry.size !== 'number' || isNaN(new Date(entry.mtime).getTime())) {
+            throw new Error(`${where} must record the "size" and "mtime" of its source`);
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Write a plan to a file
+ * @param {Object} plan - Plan from planOrganize
+ * @param {string} filePath - Destination file
+ */
+async function savePlan(plan, filePath) {
+    await fs.writeFile(filePath, JSON.stringify(plan, null, 2) + '\n');
+}
+
+/**
+ * Read and validate a plan file
+ * @param {string} filePath - Plan file
+ * @returns {Promise<Object>} The plan
+ * @throws {Error} If the file cannot be read or the plan is malformed
+ */
+async function loadPlan(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Plan path must be a non-empty string');
+    }
+
+    let plan;
+    try {
+        plan = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Cannot read plan ${filePath}: ${error.message}`);
+    }
+
+    return validatePlan(plan);
+}
+
+/**
+ * Find entries whose source file was changed, replaced or removed since planning
+ * @param {Object} plan - Validated plan
+ * @returns {Promise<Array>} Changes as { entry, reason }
+ */
+async function findChangedEntries(plan) {
+    const changes = [];
+
+    for (const entry of plan.entries) {
+        if (entry.action === 'skip') continue;
+
+        let stats;
+        try {
+            stats = await fs.stat(path.join(plan.directory, entry.source));
+        } catch {
+            changes.push({ entry, reason: 'missing' });
+            continue;
+        }
+
+        if (!stats.isFile()) {
+            changes.push({ entry, reason: 'no longer a file' });
+        } else if (stats.size !== entry.size) {
+            changes.push({ entry, reason: 'size changed' });
+        } else if (stats.mtime.getTime() !== new Date(entry.mtime).getTime()) {
+            changes.push({ entry, reason: 'modified' });
+        }
+    }
+
+    return changes;
+}
+
+module.exports = {
+    PLAN_VERSION,
+    PLAN_ACTIONS,
+    validatePlan,
+    savePlan,
+    loadPlan,
+    findChangedEntries
+};
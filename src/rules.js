@@ -0,0 +1,283 @@
+/**
+ * Rule engine for config-defined destinations
+ * @module rules
+ */
+
+const path = require('path');
+const { parseSize, parseDuration, globToRegExp } = require('./utils');
+const { parseTemplate } = require('./templates');
+
+const CONDITION_KEYS = ['all', 'any', 'name', 'path', 'extension', 'size', 'olderThan', 'newerThan'];
+
+const SIZE_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b
+};
+
+/**
+ * Compile a name/path pattern. "/.../flags" is a regex, anything else a glob.
+ * @param {string} pattern - Pattern string
+ * @param {string} where - Description used in error messages
+ * @returns {RegExp} Compiled pattern
+ * @throws {Error} If the pattern is invalid
+ */
+function compilePattern(pattern, where) {
+    if (typeof pattern !== 'string' || pattern === '') {
+        throw new Error(`${where} must be a non-empty string`);
+    }
+
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (error) {
+            throw new Error(`${where} is not a valid regex: ${error.message}`);
+        }
+    }
+
+    return globToRegExp(pattern);
+}
+
+/**
+ * Compile a condition object into a list of checks
+ * @param {Object} condition - Condition from the config
+ * @param {string} where - Description used in error messages
+ * @returns {Object} Compiled condition
+ * @throws {Error} If the condition is invalid
+ */
+function compileCondition(condition, where) {
+    if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+        throw new Error(`${where} must be an object`);
+    }
+
+    const keys = Object.keys(condition);
+    if (keys.length === 0) {
+        throw new Error(`${where} must have at least one condition`);
+    }
+
+    const checks = keys.map(key => {
+        const value = condition[key];
+
+        switch (key) {
+            case 'all':
+            case 'any':
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error(`${where}: "${key}" must be a non-empty array of conditions`);
+                }
+                return {
+                    type: key,
+                    conditions: value.map((sub, i) => compileCondition(sub, `${where} > ${key}[${i}]`))
+                };
+
+            case 'name':
+            case 'path':
+                return { type: key, source: value, regex: compilePattern(value, `${where}: "${key}"`) };
+
+            case 'extension': {
+                const extensions = Array.isArray(value) ? value : [value];
+                if (extensions.length === 0 || !extensions.every(ext => typeof ext === 'string')) {
+                    throw new Error(`${where}: "extension" must be a string or array of strings`);
+                }
+                return { type: key, source: value, extensions: extensions.map(ext => ext.toLowerCase()) };
+            }
+
+            case 'size': {
+                const match = String(value).trim().match(/^(>=|<=|>|<|=)\s*(.+)$/);
+                if (!match) {
+                    throw new Error(`${where}: "size" must look like ">500MB" or "<=1KB"`);
+                }
+                return { type: key, source: value, operator: match[1], bytes: parseSize(match[2]) };
+            }
+
+            case 'olderThan':
+            case 'newerThan':
+                return { type: key, source: value, ms: parseDuration(value) };
+
+            default:
+                throw new Error(`${where}: unknown condition "${key}" (expected ${CONDITION_KEYS.join(', ')})`);
+        }
+    });
+
+    return checks.length === 1 ? checks[0] : { type: 'all', conditions: checks };
+}
+
+/**
+ * List the captures the name and path regexes of a condition provide
+ * @param {Object} condition - Compiled condition
+ * @returns {string[]} Group numbers ("1", "2", ...) and group names
+ */
+function getCaptureTokens(condition) {
+    if (condition.type === 'all' || condition.type === 'any') {
+        return condition.conditions.flatMap(getCaptureTokens);
+    }
+    if (condition.type !== 'name' && condition.type !== 'path') return [];
+
+    // With an empty alternative the regex matches "", which lists every group
+    const match = new RegExp(`${condition.regex.source}|`, condition.regex.flags).exec('');
+    return [...match.slice(1).map((value, i) => String(i + 1)), ...Object.keys(match.groups || {})];
+}
+
+/**
+ * Compile a rule destination as a path template
+ * @param {string} destination - Destination folder template
+ * @param {Object} condition - Compiled rule condition, whose captures the destination may use
+ * @param {string} where - Description used in error messages
+ * @returns {Object} Compiled template
+ * @throws {Error} If the template is invalid
+ */
+function compileDestination(destination, condition, where) {
+    try {
+        return parseTemplate(destination, [...new Set(getCaptureTokens(condition))]);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+}
+
+/**
+ * Validate and compile the "rules" config section
+ * @param {*} rules - Value of the "rules" config key
+ * @returns {Array<Object>} Compiled rules, in evaluation order
+ * @throws {Error} If a rule is malformed
+ */
+function parseRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('"rules" must be an array');
+    }
+
+    return rules.map((rule, i) => {
+        const where = `Rule #${i + 1}`;
+
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            throw new Error(`${where} must be an object`);
+        }
+
+        const { name, match = 'all', conditions, destination } = rule;
+
+        if (typeof destination !== 'string' || destination.trim() === '' ||
+            path.isAbsolute(destination) || destination.split(/[\\/]/).includes('..')) {
+            throw new Error(`${where} must have a relative "destination" folder`);
+        }
+        if (match !== 'all' && match !== 'any') {
+            throw new Error(`${where}: "match" must be "all" or "any"`);
+        }
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            throw new Error(`${where} must have a non-empty "conditions" array`);
+        }
+
+        const condition = {
+            type: match,
+            conditions: conditions.map((item, j) => compileCondition(item, `${where} > conditions[${j}]`))
+        };
+
+        return {
+            name: typeof name === 'string' && name ? name : where,
+            destination: destination.split(/[\\/]/).filter(Boolean).join('/'),
+            // Destinations are templates, so captures can be used as {1} or {group}
+            template: compileDestination(destination, condition, where),
+            condition
+        };
+    });
+}
+
+/**
+ * Evaluate a compiled condition against a file
+ * @param {Object} condition - Compiled condition
+ * @param {Object} file - File object with name, path and stats
+ * @param {Object} context - Evaluation context ({ baseDir, now, captures })
+ * @returns {boolean} True if the condition holds
+ */
+function evaluateCondition(condition, file, context) {
+    switch (condition.type) {
+        case 'all':
+            return condition.conditions.every(sub => evaluateCondition(sub, file, context));
+
+        case 'any':
+            return condition.conditions.some(sub => evaluateCondition(sub, file, context));
+
+        case 'name':
+        case 'path': {
+            const subject = condition.type === 'name' ?
+                file.name :
+                path.relative(context.baseDir, file.path).split(path.sep).join('/');
+            const match = subject.match(condition.regex);
+            if (match) {
+                // Keep regex captures for destination templates
+                match.slice(1).forEach((value, i) => {
+                    context.captures[i + 1] = value;
+                });
+                Object.assign(context.captures, match.groups);
+            }
+            return Boolean(match);
+        }
+
+        case 'extension':
+            return condition.extensions.includes(path.extname(file.name).toLowerCase());
+
+        case 'size':
+            return SIZE_OPERATORS[condition.operator](file.stats.size, condition.bytes);
+
+        case 'olderThan':
+            return context.now - file.stats.mtime.getTime() > condition.ms;
+
+        default:
+            // newerThan
+            return context.now - file.stats.mtime.getTime() < condition.ms;
+    }
+}
+
+/**
+ * Find the first rule matching a file
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} file - File object with name, path and stats
+ * @param {string} baseDir - Directory being organized (for "path" conditions)
+ * @returns {Object|null} { rule, captures } or null if no rule matches
+ */
+function findMatchingRule(rules, file, baseDir) {
+    const now = Date.now();
+
+    for (const rule of rules) {
+        const context = { baseDir, now, captures: {} };
+        if (evaluateCondition(rule.condition, file, context)) {
+            return { rule, captures: context.captures };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describe a compiled condition for display
+ * @param {Object} condition - Compiled condition
+ * @returns {string} Human-readable description
+ */
+function describeCondition(condition) {
+    switch (condition.type) {
+        case 'all':
+        case 'any': {
+            const joiner = condition.type === 'all' ? ' and ' : ' or ';
+            return `(${condition.conditions.map(describeCondition).join(joiner)})`;
+        }
+        case 'name':
+            return `name matches ${condition.source}`;
+        case 'path':
+            return `path matches ${condition.source}`;
+        case 'extension':
+            return `extension is ${condition.extensions.join('|')}`;
+        case 'size':
+            return `size ${condition.operator} ${condition.source.replace(/^[<>=]+\s*/, '')}`;
+        case 'olderThan':
+            return `older than ${condition.source}`;
+        default:
+            return `newer than ${condition.source}`;
+    }
+}
+
+module.exports = {
+    parseRules,
+    evaluateCondition,
+    findMatchingRule,
+    describeCondition
+};
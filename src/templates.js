@@ -0,0 +1,204 @@
+/**
+ * Destination path templates such as "{category}/{year}/{month:02}/{name}{ext}"
+ * @module templates
+ */
+
+const path = require('path');
+const { getMonthName } = require('./utils');
+
+const DEFAULT_TEMPLATE = '{category}';
+const BY_DATE_TEMPLATE = '{year}/{monthName}';
+
+const DATE_TOKENS = ['year', 'month', 'monthName', 'day'];
+
+// Tokens every template can use (see getTemplateValues)
+const TEMPLATE_TOKENS = ['category', 'name', 'ext', 'extension', ...DATE_TOKENS, 'size', 'initial', 'parent'];
+
+// {size} buckets, checked in order
+const SIZE_BUCKETS = [
+    { name: 'Tiny', below: 10 * 1024 },
+    { name: 'Small', below: 1024 * 1024 },
+    { name: 'Medium', below: 100 * 1024 * 1024 },
+    { name: 'Large', below: 1024 * 1024 * 1024 },
+    { name: 'Huge', below: Infinity }
+];
+
+/**
+ * Get the {size} bucket of a file
+ * @param {number} bytes - File size
+ * @returns {string} Bucket name (Tiny, Small, Medium, Large or Huge)
+ */
+function getSizeBucket(bytes) {
+    return SIZE_BUCKETS.find(bucket => bytes < bucket.below).name;
+}
+
+/**
+ * Parse one path segment into literal strings and tokens
+ * @param {string} segment - Segment of the template
+ * @param {string} template - Whole template, for error messages
+ * @returns {Array} Parts: strings and { token, format }
+ * @throws {Error} If a token is malformed
+ */
+function parseSegment(segment, template) {
+    const parts = [];
+    const tokenPattern = /\{([^{}]*)\}/g;
+    let last = 0;
+    let match;
+
+    const pushLiteral = text => {
+        if (/[{}]/.test(text)) {
+            throw new Error(`Unbalanced braces in template: ${template}`);
+        }
+        if (text) parts.push(text);
+    };
+
+    while ((match = tokenPattern.exec(segment)) !== null) {
+        pushLiteral(segment.slice(last, match.index));
+
+        const tokenMatch = match[1].match(/^([A-Za-z_]\w*|\d+)(?::(0\d+|upper|lower))?$/);
+        if (!tokenMatch) {
+            throw new Error(`Invalid token "{${match[1]}}" in template: ${template}`);
+        }
+        parts.push({ token: tokenMatch[1], format: tokenMatch[2] || null });
+        last = tokenPattern.lastIndex;
+    }
+
+    pushLiteral(segment.slice(last));
+    return parts;
+}
+
+/**
+ * Validate and compile a destination template. Rule destinations can also
+ * use the captures of the rule's regexes ({1}, {year} from a named group, ...).
+ * @param {string} template - Template string
+ * @param {string[]} [captures] - Capture tokens the template may use besides the built-in ones
+ * @returns {Object} Compiled template with source, segments, tokens, usesDate and hasFileName
+ * @throws {Error} If the template is invalid or uses an unknown token
+ */
+function parseTemplate(template, captures = []) {
+    if (typeof template !== 'string' || template.trim() === '') {
+        throw new Error('Template must be a non-empty string');
+    }
+    if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+        throw new Error(`Template must be a relative path: ${template}`);
+    }
+
+    const segments = template.split(/[\\/]/).filter(Boolean).map(segment => parseSegment(segment, template));
+    const tokens = new Set();
+    segments.forEach(parts => parts.forEach(part => {
+        if (typeof part !== 'string') tokens.add(part.token);
+    }));
+
+    const known = [...TEMPLATE_TOKENS, ...captures];
+    for (const token of tokens) {
+        if (!known.includes(token)) {
+            const hint = /^\d+$/.test(token) && captures.length === 0 ?
+                'captures such as {1} only work in the destination of a rule whose regex has them' :
+                `expected {${known.join('}, {')}}`;
+            throw new Error(`Unknown token "{${token}}" in template: ${template} (${hint})`);
+        }
+    }
+
+    return {
+        source: template,
+        segments,
+        tokens,
+        usesDate: DATE_TOKENS.some(token => tokens.has(token)),
+        // The last segment names the file only when it uses {name}
+        hasFileName: segments[segments.length - 1].some(part => part.token === 'name')
+    };
+}
+
+/**
+ * Collect the token values for a file
+ * @param {Object} file - File object with name, path and stats
+ * @param {Object} details - Extra values
+ * @param {string} [details.category] - Category of the file
+ * @param {Date} [details.date] - Date for the date tokens (default: modification time)
+ * @param {Object} [details.captures] - Rule captures, which win over built-in tokens
+ * @returns {Object} Token values
+ */
+function getTemplateValues(file, { category = null, date = file.stats.mtime, captures = {} } = {}) {
+    const ext = path.extname(file.name);
+    const first = file.name.charAt(0);
+
+    return {
+        category,
+        name: path.basename(file.name, ext),
+        ext,
+        extension: ext.slice(1).toLowerCase(),
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        monthName: getMonthName(date),
+        day: date.getDate(),
+        size: getSizeBucket(file.stats.size),
+        initial: /[\p{L}\p{N}]/u.test(first) ? first.toUpperCase() : '#',
+        parent: path.basename(path.dirname(file.path)),
+        ...captures
+    };
+}
+
+/**
+ * Format a token value
+ * @param {*} value - Raw value
+ * @param {string|null} format - "0N" (zero-pad to N), "upper" or "lower"
+ * @returns {string} Formatted value
+ */
+function formatValue(value, format) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    switch (format) {
+        case 'upper':
+            return text.toUpperCase();
+        case 'lower':
+            return text.toLowerCase();
+        case null:
+            return text;
+        default:
+            return text.padStart(Number(format), '0');
+    }
+}
+
+/**
+ * Render a compiled template into path segments relative to the output root.
+ * Values cannot add separators, and segments that render empty are dropped.
+ * @param {Object} template - Compiled template
+ * @param {Object} values - Token values (see getTemplateValues)
+ * @returns {string[]} Path segments; the last one is the file name if template.hasFileName
+ */
+function renderTemplate(template, values) {
+    const rendered = template.segments.map(parts => parts
+        .map(part => typeof part === 'string' ?
+            part :
+            formatValue(values[part.token], part.format).replace(/[\\/]/g, '_'))
+        .join(''))
+        .map(segment => (segment === '.' || segment === '..' ? '_' : segment));
+
+    if (template.hasFileName && rendered[rendered.length - 1] === '') {
+        rendered[rendered.length - 1] = `${values.name}${values.ext}`;
+    }
+
+    return rendered.filter(Boolean);
+}
+
+/**
+ * Get the fixed top-level folder of a template, if it has one
+ * @param {Object} template - Compiled template
+ * @returns {string|null} Folder name, or null if it depends on the file
+ */
+function getTemplateRoot(template) {
+    const first = template.segments[0];
+    if (template.hasFileName && template.segments.length === 1) return null;
+    return first.every(part => typeof part === 'string') ? first.join('') : null;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    BY_DATE_TEMPLATE,
+    TEMPLATE_TOKENS,
+    getSizeBucket,
+    parseTemplate,
+    getTemplateValues,
+    renderTemplate,
+    getTemplateRoot
+};
@@ -6,33 +6,100 @@
 const fs = require('fs/promises');
 const path = require('path');
 
+/**
+ * Name a taken path the default way: "report.pdf" becomes "report(1).pdf"
+ * @param {string} targetPath - Wanted path
+ * @param {number} counter - Attempt number, from 1
+ * @returns {string} Numbered path
+ */
+function numberPath(targetPath, counter) {
+    const dir = path.dirname(targetPath);
+    const ext = path.extname(targetPath);
+    const baseName = path.basename(targetPath, ext);
+    return path.join(dir, `${baseName}(${counter})${ext}`);
+}
+
 /**
  * Generate a unique filename if file already exists
  * @param {string} targetPath - Target file path
+ * @param {Set<string>} [reserved] - Paths that count as taken even though they do not exist yet
+ * @param {Function} [rename] - (targetPath, counter) => path, sync or async, naming the
+ *     alternatives (default "name(1).ext")
  * @returns {Promise<string>} Unique file path
  */
-async function getUniqueFilePath(targetPath) {
+async function getUniqueFilePath(targetPath, reserved = new Set(), rename = numberPath) {
     let uniquePath = targetPath;
     let counter = 1;
 
     while (true) {
         try {
-            await fs.access(uniquePath);
-            // File exists, generate new name
-            const dir = path.dirname(targetPath);
-            const ext = path.extname(targetPath);
-            const baseName = path.basename(targetPath, ext);
-            uniquePath = path.join(dir, `${baseName}(${counter})${ext}`);
-            counter++;
+            if (!reserved.has(uniquePath)) {
+                await fs.access(uniquePath);
+            }
         } catch {
             // File doesn't exist, use this path
             break;
         }
+        // File exists, generate new name
+        uniquePath = await rename(targetPath, counter);
+        counter++;
     }
 
     return uniquePath;
 }
 
+/**
+ * Create an allocator that hands out unique file paths to concurrent callers.
+ * Claims are made one at a time, so two files never get the same path even
+ * before either has been written.
+ * @returns {Object} Allocator with claim(targetPath, rename) => Promise<string>
+ */
+function createPathAllocator() {
+    const claimed = new Set();
+    let queue = Promise.resolve();
+
+    return {
+        /**
+         * Claim a unique path for a file
+         * @param {string} targetPath - Wanted path
+         * @param {Function} [rename] - Names the alternatives (see getUniqueFilePath)
+         * @returns {Promise<string>} The path, renamed if taken on disk or claimed already
+         */
+        claim(targetPath, rename) {
+            const claim = queue.then(async () => {
+                const uniquePath = await getUniqueFilePath(targetPath, claimed, rename);
+                claimed.add(uniquePath);
+                return uniquePath;
+            });
+            queue = claim.catch(() => {});
+            return claim;
+        }
+    };
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function runConcurrently(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, runWorker);
+    await Promise.all(workers);
+    return results;
+}
+
 /**
  * Get month name from date
  * @param {Date} date 
@@ -44,26 +111,130 @@ function getMonthName(date) {
 }
 
 /**
- * Check if a path should be ignored
- * @param {string} filePath - File path to check
- * @param {Array<string>} ignorePatterns - Patterns to ignore
- * @returns {boolean} True if should be ignored
+ * Describe a failed file operation for error lists and logs
+ * @param {Error} error - The error (system errors carry an errno code such as EACCES)
+ * @param {string} operation - What was being done (e.g., "move", "restore")
+ * @returns {Object} { operation, code, error } with code null for non-system errors
+ */
+function describeError(error, operation) {
+    return { operation, code: error.code || null, error: error.message };
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human-readable size (e.g., "1.5 MB")
  */
-function shouldIgnore(filePath, ignorePatterns) {
-    if (!ignorePatterns || ignorePatterns.length === 0) return false;
-
-    const fileName = path.basename(filePath);
-    return ignorePatterns.some(pattern => {
-        if (pattern.startsWith('*.')) {
-            // Extension pattern
-            return fileName.endsWith(pattern.slice(1));
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Parse a human-readable size (e.g., "500MB", "1.5 GB", "200")
+ * @param {string|number} value - Size string; plain numbers are bytes
+ * @returns {number} Size in bytes
+ * @throws {Error} If the size cannot be parsed
+ */
+function parseSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?B?)?$/i);
+    if (!match) {
+        throw new Error(`Invalid size: ${value} (expected e.g. 500KB, 100MB, 2GB)`);
+    }
+
+    let unit = (match[2] || 'B').toUpperCase();
+    if (!unit.endsWith('B')) unit += 'B';
+
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    mo: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a human-readable duration (e.g., "30d", "2w", "12h")
+ * @param {string} value - Duration string (units: s, m, h, d, w, mo, y)
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the duration cannot be parsed
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w|mo|y)$/i);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value} (expected e.g. 12h, 30d, 2w, 6mo, 1y)`);
+    }
+
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Convert a glob pattern into a regular expression
+ * @param {string} glob - Pattern with *, ** , ? and [...] wildcards
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*' && glob[i + 2] === '/') {
+                // **/ matches zero or more directories
+                source += '(?:.*/)?';
+                i += 2;
+            } else if (glob[i + 1] === '*') {
+                // ** matches across directory separators
+                source += '.*';
+                i++;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+                source += `[${cls}]`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
         }
-        return fileName === pattern || filePath.includes(pattern);
-    });
+    }
+
+    return new RegExp(`^${source}$`);
 }
 
 module.exports = {
+    numberPath,
     getUniqueFilePath,
+    createPathAllocator,
+    runConcurrently,
     getMonthName,
-    shouldIgnore
+    describeError,
+    formatBytes,
+    parseSize,
+    parseDuration,
+    globToRegExp
 };
@@ -0,0 +1,242 @@
+/**
+ * Watch mode - organize files continuously as they arrive
+ * @module watcher
+ */
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const chalk = require('chalk');
+
+const { IGNORE_FILE_NAME, parseIgnoreOption, createIgnoreMatcher, createProtectedMatcher } = require('./ignore');
+const { LOG_FILE_NAME, TRASH_DIR_NAME } = require('./logger');
+const { JOURNAL_FILE_NAME } = require('./journal');
+const { LOCK_FILE_NAME, TAKEOVER_FILE_NAME, acquireLocks } = require('./lock');
+const { parseSymlinkPolicy, resolveSettings, planOrganize, executePlan } = require('./organizer');
+const { createOutput, printJsonLine } = require('./output');
+
+const DEFAULT_STABLE_DELAY = 1000;
+
+/**
+ * Watch a directory and organize new files once they stop growing. Each
+ * group of files that settled is planned and carried out like an organize
+ * run (journaled, with the conflict and duplicate options) and logged as a batch.
+ * @param {string} targetDir - Directory to watch
+ * @param {Object} options - CLI options (json prints each move as a line of JSON)
+ * @returns {Promise<Object>} Watcher handle with a close() method
+ * @throws {Error} If the directory or options are invalid
+ */
+async function watchDirectory(targetDir, options = {}) {
+    if (!targetDir || typeof targetDir !== 'string' || targetDir.trim() === '') {
+        throw new Error('Target directory must be a non-empty string');
+    }
+
+    targetDir = path.resolve(targetDir);
+
+    try {
+        await fs.access(targetDir);
+    } catch {
+        throw new Error(`Directory does not exist: ${targetDir}`);
+    }
+
+    const dirStats = await fs.stat(targetDir);
+    if (!dirStats.isDirectory()) {
+        throw new Error(`Path is not a directory: ${targetDir}`);
+    }
+
+    if (options.onConflict === 'ask') {
+        throw new Error('watch cannot be combined with --on-conflict ask');
+    }
+
+    // Planning no files checks the options and lists the folders files go to
+    const { folders: categoryFolders } = await planOrganize(targetDir, { ...options, recursive: false, paths: [] });
+    const settings = await resolveSettings(options);
+    const ignore = await createIgnoreMatcher(targetDir, parseIgnoreOption(options.ignore));
+    const protect = createProtectedMatcher(settings.protected, options.includeHidden);
+    const symlinks = parseSymlinkPolicy(options.symlinks);
+    const delay = Number(options.delay) > 0 ? Number(options.delay) : DEFAULT_STABLE_DELAY;
+    const output = createOutput(options);
+
+    // With --json each move is reported as a line of JSON instead
+    const emit = event => {
+        if (options.json) {
+            printJsonLine({ time: new Date().toISOString(), ...event });
+        }
+    };
+
+    // Files waiting for their size to settle: name -> { size, timer }
+    const pending = new Map();
+    const ready = new Set();
+    let processing = null;
+    let closed = false;
+
+    /**
+     * Organize every file that has settled, one batch at a time
+     */
+    async function processReady() {
+        while (ready.size > 0) {
+            const names = [...ready];
+            ready.clear();
+
+            let release = async () => {};
+            try {
+                // Other runs on the directory finish first (they may be moving the same files)
+                release = await acquireLocks([targetDir], { command: 'watch', wait: true });
+                await organizeFiles(names, release);
+            } catch (error) {
+                // E.g. an interrupted run that was not recovered yet, or a lock that
+                // cannot be written (EACCES, EROFS): the files stay for later
+                output.log(chalk.red(`  [ERROR] ${error.message}`));
+                emit({ type: 'error', error: error.message });
+            } finally {
+                await release();
+            }
+        }
+    }
+
+    /**
+     * Plan and carry out the organizing of some files, logged as one batch
+     * @param {string[]} names - Names of the files in the directory
+     * @param {Function} locks - Lock on the directory, held by processReady
+     */
+    async function organizeFiles(names, locks) {
+        const events = new EventEmitter();
+        events.on('file:moved', item => {
+            output.log(chalk.green(`  [OK] Moved: ${item.source} -> ${item.destination}`));
+            emit({ type: 'moved', source: item.source, destination: item.destination });
+        });
+        events.on('file:duplicate', item => {
+            output.log(chalk.yellow(`  [DUPLICATE] ${item.source} = ${item.duplicateOf} (${item.action})`));
+            emit({ type: 'duplicate', ...item });
+        });
+        events.on('file:skipped', item => {
+            if (options.verbose) {
+                output.log(chalk.gray(`  Skipped: ${item.source} (${item.reason})`));
+            }
+            emit({ type: 'skipped', ...item });
+        });
+        events.on('error', item => {
+            // File vanished or could not be moved
+            if (options.verbose) {
+                output.log(chalk.red(`  [ERROR] ${item.operation} ${item.source}: ${item.error}`));
+            }
+            emit({ type: 'error', ...item });
+        });
+
+        const plan = await planOrganize(targetDir, { ...options, recursive: false, paths: names });
+        if (plan.entries.length === 0) return;
+
+        const result = await executePlan(plan, { ...options, events, command: 'watch', skipChanged: true, locks });
+        if (result.batchId) {
+            emit({ type: 'batch', batchId: result.batchId, files: result.moved.length + result.duplicates.length });
+        }
+    }
+
+    /**
+     * Check whether a pending file has kept the same size since the last check
+     * @param {string} name - File name inside the watched directory
+     */
+    async function checkStable(name) {
+        const entry = pending.get(name);
+        /* istanbul ignore next */
+        if (!entry || closed) return;
+
+        let stats;
+        try {
+            const linkStats = await fs.lstat(path.join(targetDir, name));
+            stats = linkStats.isSymbolicLink() && symlinks !== 'skip' ?
+                await fs.stat(path.join(targetDir, name)) :
+                linkStats;
+        } catch {
+            // File was removed before it settled, or is a broken link
+            pending.delete(name);
+            return;
+        }
+
+        // Directories, and links unless --symlinks moves them
+        if (!stats.isFile()) {
+            if (options.verbose && stats.isSymbolicLink()) {
+                output.log(chalk.gray(`  Skipping symlink: ${name}`));
+            }
+            pending.delete(name);
+            return;
+        }
+
+        if (entry.size !== stats.size) {
+            // Still being written, check again later
+            entry.size = stats.size;
+            entry.timer = setTimeout(() => checkStable(name), delay);
+            return;
+        }
+
+        pending.delete(name);
+        ready.add(name);
+
+        if (!processing) {
+            processing = processReady().finally(() => {
+                processing = null;
+            });
+        }
+    }
+
+    /**
+     * Start (or restart) the settle timer for a file
+     * @param {string} name - File name inside the watched directory
+     */
+    function schedule(name) {
+        if (closed) return;
+        if ([LOG_FILE_NAME, JOURNAL_FILE_NAME, LOCK_FILE_NAME, TAKEOVER_FILE_NAME, IGNORE_FILE_NAME, TRASH_DIR_NAME].includes(name) || categoryFolders.includes(name)) return;
+
+        // Partial downloads are picked up once renamed to their final name
+        const reason = protect.reason(name);
+        if (reason) {
+            if (options.verbose) {
+                output.log(chalk.gray(`  Skipping ${reason} file: ${name}`));
+            }
+            return;
+        }
+
+        if (ignore.ignores(path.join(targetDir, name))) {
+            if (options.verbose) {
+                output.log(chalk.gray(`  Ignoring: ${name}`));
+            }
+            return;
+        }
+
+        const entry = pending.get(name) || { size: -1, timer: null };
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => checkStable(name), delay);
+        pending.set(name, entry);
+    }
+
+    const watcher = fsSync.watch(targetDir, (eventType, filename) => {
+        if (filename) {
+            schedule(filename.toString());
+        }
+    });
+
+    return {
+        directory: targetDir,
+
+        /**
+         * Stop watching and wait for in-flight moves to finish
+         */
+        async close() {
+            closed = true;
+            watcher.close();
+            for (const entry of pending.values()) {
+                clearTimeout(entry.timer);
+            }
+            pending.clear();
+            if (processing) {
+                await processing;
+            }
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STABLE_DELAY,
+    watchDirectory
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark: sequential vs concurrent moves on a slow filesystem
+ *
+ * Every rename is delayed (like a network mount), then the same tree is
+ * organized at --concurrency 1 and at each given concurrency. Not part of
+ * `npm test`, as its timings depend on the machine.
+ *
+ * Usage: npm run bench -- [--files 200] [--delay 10] [--concurrency 4,8,16]
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { planOrganize, executePlan } = require('../../src');
+
+/**
+ * Read the benchmark settings from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Settings with files, delay and concurrency levels
+ * @throws {Error} If a value is not a positive integer
+ */
+function parseArgs(argv) {
+    const settings = { files: '200', delay: '10', concurrency: '4,8,16' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in settings) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        settings[key] = argv[i + 1];
+    }
+
+    const toInteger = value => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`Expected a positive integer, got "${value}"`);
+        }
+        return number;
+    };
+
+    return {
+        files: toInteger(settings.files),
+        delay: toInteger(settings.delay),
+        levels: [1, ...settings.concurrency.split(',').map(toInteger).filter(level => level !== 1)]
+    };
+}
+
+/**
+ * Create a directory of small files spread over a few categories
+ * @param {string} dir - Directory to create
+ * @param {number} count - Number of files
+ */
+async function createTree(dir, count) {
+    const extensions = ['.pdf', '.jpg', '.mp3', '.zip', '.js'];
+    await fs.mkdir(dir, { recursive: true });
+    for (let i = 0; i < count; i++) {
+        await fs.writeFile(path.join(dir, `file${i}${extensions[i % extensions.length]}`), `content ${i}`);
+    }
+}
+
+/**
+ * Organize a fresh tree at a concurrency and time the moves
+ * @param {string} root - Scratch directory
+ * @param {number} files - Number of files
+ * @param {number} concurrency - Files moved at once
+ * @returns {Promise<number>} Milliseconds spent in executePlan
+ */
+async function time(root, files, concurrency) {
+    const dir = path.join(root, `concurrency-${concurrency}`);
+    await createTree(dir, files);
+
+    const plan = await planOrganize(dir);
+    const started = process.hrtime.bigint();
+    const result = await executePlan(plan, { concurrency });
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (result.moved.length !== files) {
+        throw new Error(`Moved ${result.moved.length} of ${files} files at concurrency ${concurrency}`);
+    }
+    return elapsed;
+}
+
+async function main() {
+    const { files, delay, levels } = parseArgs(process.argv.slice(2));
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'segre-bench-'));
+
+    // Simulate a slow filesystem: organizer calls fs/promises.rename at run time
+    const rename = fs.rename;
+    fs.rename = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return rename(...args);
+    };
+
+    try {
+        console.log(`Moving ${files} files, ${delay}ms per rename\n`);
+
+        let sequential;
+        for (const concurrency of levels) {
+            const elapsed = await time(root, files, concurrency);
+            sequential = sequential || elapsed;
+
+            const throughput = (files / (elapsed / 1000)).toFixed(0);
+            const speedup = (sequential / elapsed).toFixed(1);
+            console.log(`  --concurrency ${String(concurrency).padEnd(4)} ${elapsed.toFixed(0).padStart(6)} ms  ` +
+                `${throughput.padStart(6)} files/s  ${speedup}x`);
+        }
+    } finally {
+        fs.rename = rename;
+        await fs.rm(root, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});